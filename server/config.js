@@ -4,6 +4,7 @@
  */
 
 import os from 'os';
+import path from 'path';
 
 /**
  * Load and validate configuration from environment variables
@@ -18,6 +19,17 @@ export function loadConfig() {
     ENABLE_FILE_INDEXING: process.env.ENABLE_FILE_INDEXING !== 'false',
     MAX_FILE_SIZE_MB: parseInt(process.env.MAX_FILE_SIZE_MB || '10'),
     
+    // Delete/trash configuration
+    TRASH_PATH: process.env.TRASH_PATH || path.join(os.homedir(), '.git-workspace-mcp', 'trash'),
+    DELETE_CONFIRM_THRESHOLD: parseInt(process.env.DELETE_CONFIRM_THRESHOLD || '20'),
+    
+    // Git write mode configuration (off unless explicitly enabled)
+    ENABLE_GIT_WRITE: process.env.ENABLE_GIT_WRITE === 'true',
+    GIT_PROTECTED_BRANCHES: (process.env.GIT_PROTECTED_BRANCHES || 'main,master,develop,release/*,production')
+      .split(',').map(name => name.trim()).filter(Boolean),
+    GIT_COMMIT_TEMPLATE: process.env.GIT_COMMIT_TEMPLATE || '',
+    GIT_WRITE_LOG_PATH: process.env.GIT_WRITE_LOG_PATH || path.join(os.homedir(), '.git-workspace-mcp', 'git-write.log'),
+    
     // Debug configuration
     DEBUG_MODE: process.env.DEBUG_MODE === 'true',
   };
@@ -47,6 +59,14 @@ export function validateConfig(config) {
     throw new Error('MAX_FILE_SIZE_MB must be positive');
   }
 
+  if (isNaN(config.DELETE_CONFIRM_THRESHOLD) || config.DELETE_CONFIRM_THRESHOLD < 0) {
+    throw new Error('DELETE_CONFIRM_THRESHOLD must be a non-negative number');
+  }
+
+  if (config.GIT_COMMIT_TEMPLATE && !config.GIT_COMMIT_TEMPLATE.includes('{{message}}')) {
+    throw new Error('GIT_COMMIT_TEMPLATE must contain a {{message}} placeholder');
+  }
+
   if (typeof config.ENABLE_FILE_INDEXING !== 'boolean') {
     throw new Error('ENABLE_FILE_INDEXING must be a boolean');
   }
@@ -26,9 +26,25 @@ export const SKIP_DIRS = new Set([
 /**
  * Git commands that are allowed for read-only operations
  * This is a security measure to prevent destructive Git operations
+ * (merge-tree only adds unreferenced objects to the object store - never refs, the index or the working tree)
  */
 export const ALLOWED_GIT_COMMANDS = [
-  'status', 'diff', 'log', 'branch', 'show', 'rev-parse', 'config'
+  'status', 'diff', 'log', 'branch', 'show', 'rev-parse', 'config', 'blame', 'for-each-ref', 'rev-list',
+  'merge-base', 'merge-tree', 'ls-files'
+];
+
+/**
+ * Git commands available in opt-in write mode (ENABLE_GIT_WRITE)
+ * Nothing here can push, force, or rewrite existing history
+ */
+export const GIT_WRITE_COMMANDS = ['add', 'restore', 'commit', 'switch', 'stash'];
+
+/**
+ * Flags refused in write mode: forcing, amending, discarding work, bypassing hooks
+ */
+export const GIT_FORBIDDEN_WRITE_FLAGS = [
+  '-f', '--force', '--force-create', '-C', '--discard-changes',
+  '--amend', '--fixup', '--squash', '--no-verify', '-n', '--hard', '--worktree', '-W'
 ];
 
 /**
@@ -72,5 +88,12 @@ export const PERFORMANCE_LIMITS = {
   MAX_SEARCH_FILES: 200,      // Maximum files to search for TODOs/content
   MAX_MATCHES_PER_FILE: 5,    // Maximum matches to show per file in search
   MAX_FAST_FIND_RESULTS: 10,  // Default max results for fast file find
-  INDEX_PROGRESS_INTERVAL: 1000  // Show progress every N files during indexing
+  INDEX_PROGRESS_INTERVAL: 1000,  // Show progress every N files during indexing
+  MAX_JOURNAL_ENTRIES: 200,   // Oldest change journal entries are dropped beyond this
+  MAX_JOURNAL_SNAPSHOT_BYTES: 20 * 1024 * 1024,  // Largest snapshot kept for a single change
+  MAX_VERSION_CACHE_ENTRIES: 50,  // File versions remembered from read_file for conflict diffs
+  MAX_REPLACEMENTS: 1000,     // Default safety cap for replace-all operations
+  GIT_COMMAND_TIMEOUT_MS: 30 * 1000,         // Read-only git commands are killed after this
+  GIT_WRITE_TIMEOUT_MS: 2 * 60 * 1000,       // Write-mode commands (commit hooks can be slow)
+  MAX_GIT_OUTPUT_BYTES: 5 * 1024 * 1024      // Git output beyond this is truncated with a notice
 };
@@ -57,6 +57,27 @@ export function getFilePriority(filePath, extension) {
   return FILE_PRIORITIES.OTHER;
 }
 
+/**
+ * Create the index entry for a file
+ * 
+ * @param {string} filePath - Absolute path to the file
+ * @param {fs.Stats} stats - File stats
+ * @returns {Object} - Index entry
+ */
+function createIndexEntry(filePath, stats) {
+  const relativePath = path.relative(WORKSPACE_PATH, filePath);
+  const extension = path.extname(filePath).toLowerCase();
+  
+  return {
+    path: relativePath,
+    name: path.basename(filePath),
+    size: stats.size,
+    modified: stats.mtime.getTime(),
+    priority: getFilePriority(filePath, extension),
+    extension
+  };
+}
+
 /**
  * Build the file index by scanning all files in the workspace
  * This is the main indexing function that populates the fileIndex Map
@@ -87,17 +108,8 @@ export async function buildFileIndex() {
           continue;
         }
         
-        const relativePath = path.relative(WORKSPACE_PATH, filePath);
-        const extension = path.extname(filePath).toLowerCase();
-        
-        fileIndex.set(relativePath, {
-          path: relativePath,
-          name: path.basename(filePath),
-          size: stats.size,
-          modified: stats.mtime.getTime(),
-          priority: getFilePriority(filePath, extension),
-          extension
-        });
+        const entry = createIndexEntry(filePath, stats);
+        fileIndex.set(entry.path, entry);
         
         processed++;
         if (processed % PERFORMANCE_LIMITS.INDEX_PROGRESS_INTERVAL === 0) {
@@ -116,6 +128,79 @@ export async function buildFileIndex() {
   }
 }
 
+/**
+ * Add or refresh a single file in the index without a full rebuild
+ * 
+ * @param {string} filePath - Absolute path to the file
+ * @returns {Promise<void>}
+ */
+export async function indexFile(filePath) {
+  if (!ENABLE_FILE_INDEXING || !indexLastBuilt) return;
+  
+  try {
+    const stats = await fs.stat(filePath);
+    if (!stats.isFile() || stats.size > MAX_FILE_SIZE_BYTES) return;
+    const entry = createIndexEntry(filePath, stats);
+    fileIndex.set(entry.path, entry);
+  } catch (error) {
+    debugLog(`Error indexing ${filePath}:`, error.message);
+  }
+}
+
+/**
+ * Move index entries for a file or directory in place after a rename
+ * Entries keep their metadata; only path-derived fields are updated
+ * 
+ * @param {string} fromPath - Old relative path (file or directory)
+ * @param {string} toPath - New relative path
+ * @returns {number} - Number of entries moved
+ */
+export function moveIndexEntries(fromPath, toPath) {
+  const prefix = fromPath + path.sep;
+  const moved = [];
+  
+  for (const [relativePath, info] of fileIndex) {
+    if (relativePath === fromPath || relativePath.startsWith(prefix)) {
+      moved.push([relativePath, info]);
+    }
+  }
+  
+  for (const [relativePath, info] of moved) {
+    const newPath = toPath + relativePath.slice(fromPath.length);
+    const extension = path.extname(newPath).toLowerCase();
+    fileIndex.delete(relativePath);
+    fileIndex.set(newPath, {
+      ...info,
+      path: newPath,
+      name: path.basename(newPath),
+      extension,
+      priority: getFilePriority(newPath, extension)
+    });
+  }
+  
+  return moved.length;
+}
+
+/**
+ * Drop index entries for a deleted file or directory
+ * 
+ * @param {string} relativePath - Relative path (file or directory)
+ * @returns {number} - Number of entries removed
+ */
+export function removeIndexEntries(relativePath) {
+  const prefix = relativePath + path.sep;
+  let removed = 0;
+  
+  for (const indexedPath of [...fileIndex.keys()]) {
+    if (indexedPath === relativePath || indexedPath.startsWith(prefix)) {
+      fileIndex.delete(indexedPath);
+      removed++;
+    }
+  }
+  
+  return removed;
+}
+
 /**
  * Get access to the file index Map (read-only access recommended)
  * 
@@ -0,0 +1,171 @@
+// server/git-write/index.js
+
+import fs from 'fs/promises';
+import path from 'path';
+import { minimatch } from 'minimatch';
+import { config } from '../config.js';
+import { debugLog, validatePath, runGitCommand, runGitWriteCommand, detectGitOperation } from '../utils/index.js';
+
+/**
+ * Refuse unless write mode was enabled in the extension settings
+ *
+ * @throws {Error} If ENABLE_GIT_WRITE is off
+ */
+export function assertGitWriteEnabled() {
+  if (!config.ENABLE_GIT_WRITE) {
+    throw new Error(`❌ Git write operations are disabled\n\n🔧 TROUBLESHOOTING:\n1. Enable "Allow Git Write Operations" in the extension settings (ENABLE_GIT_WRITE=true)\n2. Or run the git command yourself`);
+  }
+}
+
+/**
+ * Check a branch name against the protected branch patterns
+ *
+ * @param {string} name - Branch name
+ * @returns {boolean} - True if commits and branch creation under this name are refused
+ */
+export function isProtectedBranch(name) {
+  return config.GIT_PROTECTED_BRANCHES.some(pattern => minimatch(name, pattern));
+}
+
+/**
+ * Get the checked-out branch name
+ *
+ * @returns {Promise<string|null>} - Branch name, or null when HEAD is detached
+ */
+export async function getCurrentBranch() {
+  // Works on unborn branches too, unlike rev-parse --abbrev-ref HEAD
+  const branch = await runGitCommand(['branch', '--show-current'], config.WORKSPACE_PATH);
+  return branch || null;
+}
+
+/**
+ * Refuse when a rebase or am is in progress - committing then rewrites history
+ *
+ * @throws {Error} If a rebase or am stopped part-way
+ */
+export async function assertNoHistoryRewrite() {
+  const state = await detectGitOperation(config.WORKSPACE_PATH);
+  if (state && (state.operation === 'rebase' || state.operation === 'am')) {
+    throw new Error(`❌ A ${state.operation} is in progress - write mode does not take part in history rewriting\n\n🔧 TROUBLESHOOTING:\n1. Use 'git_merge_conflicts' to inspect the stopped ${state.operation}\n2. Continue or abort it yourself`);
+  }
+}
+
+/**
+ * Validate paths for staging operations and make them relative to the workspace
+ * The workspace root itself is refused so every operation names specific paths
+ *
+ * @param {Array<string>} paths - Requested paths
+ * @returns {Promise<Array<string>>} - Workspace-relative POSIX paths
+ * @throws {Error} If a path is outside the workspace, is the workspace root or is inside .git
+ */
+export async function resolveWritePaths(paths) {
+  if (!Array.isArray(paths) || paths.length === 0) {
+    throw new Error('At least one path is required - write mode never stages or restores the whole tree implicitly');
+  }
+
+  const resolved = [];
+  for (const requested of paths) {
+    const validPath = await validatePath(requested, config.WORKSPACE_PATH);
+    const relative = path.relative(config.WORKSPACE_PATH, validPath).split(path.sep).join('/');
+    if (relative === '') {
+      throw new Error(`'${requested}' is the workspace root - name specific files or directories`);
+    }
+    if (relative === '.git' || relative.startsWith('.git/')) {
+      throw new Error(`'${requested}' is inside the .git directory`);
+    }
+    resolved.push(relative);
+  }
+  return resolved;
+}
+
+/**
+ * Fill {{placeholders}} in a commit message, then wrap it in GIT_COMMIT_TEMPLATE if configured
+ * Built-in placeholders: {{branch}}, {{date}}, {{staged_count}}, {{staged_files}}
+ *
+ * @param {string} message - Message, possibly containing placeholders
+ * @param {Object} variables - Caller-supplied placeholder values
+ * @param {Object} context - { branch, stagedFiles }
+ * @returns {string} - Final commit message
+ * @throws {Error} If a placeholder has no value or the message is empty
+ */
+export function renderCommitMessage(message, variables, context) {
+  const values = {
+    branch: context.branch || 'HEAD',
+    date: new Date().toISOString().slice(0, 10),
+    staged_count: String(context.stagedFiles.length),
+    staged_files: context.stagedFiles.join(', '),
+    ...Object.fromEntries(Object.entries(variables || {}).map(([key, value]) => [key, String(value)]))
+  };
+
+  const fill = text => text.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => {
+    if (!(name in values)) {
+      throw new Error(`No value for ${placeholder} in the commit message - pass it in variables`);
+    }
+    return values[name];
+  });
+
+  const body = fill(message || '').trim();
+  if (!body) {
+    throw new Error('Commit message must not be empty');
+  }
+  return config.GIT_COMMIT_TEMPLATE
+    ? fill(config.GIT_COMMIT_TEMPLATE.replace(/\\n/g, '\n').replace(/\{\{\s*message\s*\}\}/g, () => body)).trim()
+    : body;
+}
+
+/**
+ * Append an operation to the git write log (JSON lines, outside the workspace by default)
+ * Logging problems are reported in debug mode but never undo a completed operation
+ *
+ * @param {Object} entry - { tool, args, outcome, message }
+ */
+async function logGitWrite(entry) {
+  const logPath = path.resolve(config.GIT_WRITE_LOG_PATH);
+  const line = JSON.stringify({ timestamp: new Date().toISOString(), workspace: path.resolve(config.WORKSPACE_PATH), ...entry });
+  try {
+    await fs.mkdir(path.dirname(logPath), { recursive: true });
+    await fs.appendFile(logPath, line + '\n', 'utf-8');
+  } catch (error) {
+    debugLog(`Git write log: failed to write ${logPath}:`, error.message);
+  }
+  debugLog(`Git write: ${entry.tool} ${entry.outcome}${entry.message ? ` - ${entry.message}` : ''}`);
+}
+
+/**
+ * Run one git write operation under the write-mode policy and log the outcome
+ * Pathspecs are always literal, so '*' or ':(glob)' in a file name never widens the operation
+ *
+ * @param {string} tool - Tool name
+ * @param {Array<string>} gitArgs - Git arguments
+ * @param {Function} [checkPolicy] - Async policy check that throws to refuse
+ * @returns {Promise<string>} - Git output
+ */
+export async function runGitWrite(tool, gitArgs, checkPolicy) {
+  try {
+    assertGitWriteEnabled();
+    if (checkPolicy) await checkPolicy();
+  } catch (error) {
+    await logGitWrite({ tool, args: gitArgs, outcome: 'refused', message: error.message.split('\n')[0] });
+    throw error;
+  }
+
+  try {
+    const output = await runGitWriteCommand(gitArgs, config.WORKSPACE_PATH, {
+      env: { ...process.env, GIT_LITERAL_PATHSPECS: '1' }
+    });
+    await logGitWrite({ tool, args: gitArgs, outcome: 'ok' });
+    return output;
+  } catch (error) {
+    await logGitWrite({ tool, args: gitArgs, outcome: 'failed', message: error.message.split('\n')[0] });
+    throw error;
+  }
+}
+
+/**
+ * Short note on where write operations are logged
+ *
+ * @returns {string} - Formatted note
+ */
+export function formatGitWriteNote() {
+  return `\n\n📝 Logged to ${config.GIT_WRITE_LOG_PATH}`;
+}
@@ -122,7 +122,7 @@ async function runServer() {
   console.error("🚀 Git Workspace MCP Server running on stdio");
   console.error(`📁 Workspace: ${WORKSPACE_PATH}`);
   console.error(`⚡ File indexing: ${ENABLE_FILE_INDEXING ? 'enabled' : 'disabled'}`);
-  console.error(`🛡️ Enhanced security: atomic operations, corruption protection, read-only Git`);
+  console.error(`🛡️ Enhanced security: atomic operations, corruption protection, ${config.ENABLE_GIT_WRITE ? 'policy-gated Git writes' : 'read-only Git'}`);
 }
 
 runServer().catch((error) => {
@@ -0,0 +1,521 @@
+// server/journal/index.js
+
+import fs from 'fs/promises';
+import path from 'path';
+import { PERFORMANCE_LIMITS } from '../constants.js';
+import { config } from '../config.js';
+import { debugLog, hashContent, writeFileAtomically, commitChangeset, removeCreatedDirectories } from '../utils/index.js';
+import { moveIndexEntries, removeIndexEntries, indexFile } from '../file-index/index.js';
+import { collectFilesFiltered } from '../file-index/collect.js';
+import { restoreFromTrash, moveToTrash } from '../trash/index.js';
+
+// Session change journal - shared state, newest entry last
+let journal = [];
+let nextId = 1;
+
+/**
+ * Take a byte-exact snapshot of a path before or after it is mutated
+ * Missing paths are recorded too, so creating a file can be undone by removing it
+ *
+ * @param {string} absolutePath - Validated absolute path
+ * @returns {Promise<Object>} - Snapshot of kind 'missing', 'file' or 'directory'
+ */
+export async function snapshotPath(absolutePath) {
+  let stats;
+  try {
+    stats = await fs.stat(absolutePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return { kind: 'missing' };
+    throw error;
+  }
+
+  if (!stats.isDirectory()) {
+    if (stats.size > PERFORMANCE_LIMITS.MAX_JOURNAL_SNAPSHOT_BYTES) {
+      return { kind: 'file', restorable: false, size: stats.size, mode: stats.mode };
+    }
+    const content = await fs.readFile(absolutePath);
+    return { kind: 'file', restorable: true, size: stats.size, mode: stats.mode, uid: stats.uid, gid: stats.gid, content };
+  }
+
+  // Directories are snapshotted file by file, including hidden and ignored entries
+  const files = [];
+  let totalSize = 0;
+  let restorable = true;
+
+  async function walk(dirPath) {
+    const entries = await fs.readdir(dirPath, { withFileTypes: true });
+    for (const entry of entries) {
+      if (!restorable) return;
+      const fullPath = path.join(dirPath, entry.name);
+      if (entry.isDirectory()) {
+        await walk(fullPath);
+      } else if (entry.isFile()) {
+        const fileStats = await fs.stat(fullPath);
+        totalSize += fileStats.size;
+        if (totalSize > PERFORMANCE_LIMITS.MAX_JOURNAL_SNAPSHOT_BYTES) {
+          restorable = false;
+          return;
+        }
+        files.push({
+          path: path.relative(absolutePath, fullPath),
+          mode: fileStats.mode,
+          content: await fs.readFile(fullPath)
+        });
+      }
+    }
+  }
+
+  await walk(absolutePath);
+  return restorable
+    ? { kind: 'directory', restorable, size: totalSize, files }
+    : { kind: 'directory', restorable, size: totalSize };
+}
+
+/**
+ * Reduce a snapshot to hashes, enough to tell later whether the path changed
+ * Entries keep this for their "after" state so the journal holds one copy of content per change
+ *
+ * @param {Object} snapshot - Snapshot from snapshotPath
+ * @returns {Object} - Fingerprint of the same kind, with hash instead of content
+ */
+export function fingerprintSnapshot(snapshot) {
+  if (snapshot.kind === 'missing') return snapshot;
+  const { kind, restorable, size } = snapshot;
+  if (!restorable) return { kind, restorable, size };
+  if (kind === 'file') return { kind, restorable, size, mode: snapshot.mode, hash: hashContent(snapshot.content) };
+  return { kind, restorable, size, files: snapshot.files.map(f => ({ path: f.path, mode: f.mode, hash: hashContent(f.content) })) };
+}
+
+/**
+ * Check whether a snapshot still matches a recorded fingerprint
+ *
+ * @param {Object} snapshot - Current snapshot from snapshotPath
+ * @param {Object} fingerprint - Fingerprint from fingerprintSnapshot
+ * @returns {boolean} - True if both describe the same on-disk state
+ */
+export function matchesFingerprint(snapshot, fingerprint) {
+  const current = fingerprintSnapshot(snapshot);
+  if (current.kind !== fingerprint.kind) return false;
+  if (current.kind === 'missing') return true;
+  if (!current.restorable || !fingerprint.restorable) return current.size === fingerprint.size;
+  if (current.kind === 'file') return current.hash === fingerprint.hash;
+
+  if (current.files.length !== fingerprint.files.length) return false;
+  const other = new Map(fingerprint.files.map(f => [f.path, f.hash]));
+  return current.files.every(f => other.get(f.path) === f.hash);
+}
+
+/**
+ * Label an entry by its paths: the path itself for one file, a short list for several
+ *
+ * @param {Array} files - Entry files
+ * @returns {string} - e.g. 'src/a.js' or 'src/a.js, src/b.js, src/c.js and 2 more'
+ */
+function describePaths(files) {
+  const shown = files.slice(0, 3).map(file => file.path).join(', ');
+  return files.length > 3 ? `${shown} and ${files.length - 3} more` : shown;
+}
+
+/**
+ * Record a completed mutation of one or more paths as a single journal entry
+ * The "after" fingerprints are taken here so callers only need to capture "before";
+ * all paths of an entry are reverted together
+ *
+ * @param {string} tool - Name of the tool that made the change
+ * @param {Map<string, Object>} snapshots - Validated absolute path -> snapshot taken before the mutation
+ * @param {Object} [options] - How the change is undone besides restoring snapshots
+ * @param {Array<string>} [options.createdDirectories] - Directories the change created, removed again on revert if empty
+ * @param {Object} [options.move] - Rename made alongside the file changes: { sourcePath, destinationPath }
+ * @param {Object} [options.trash] - Trash entry holding the deleted path: { id }
+ * @param {Object} [options.restoredFrom] - Trash entry the path was restored from: { id }
+ * @returns {Promise<Object>} - The new journal entry
+ */
+export async function recordChangeset(tool, snapshots, { createdDirectories = [], move = null, trash = null, restoredFrom = null } = {}) {
+  const files = [];
+  for (const [absolutePath, before] of snapshots) {
+    files.push({
+      path: path.relative(config.WORKSPACE_PATH, absolutePath),
+      absolutePath,
+      before,
+      after: fingerprintSnapshot(await snapshotPath(absolutePath))
+    });
+  }
+  const entry = {
+    type: 'change',
+    id: nextId++,
+    tool,
+    path: move ? `${path.relative(config.WORKSPACE_PATH, move.sourcePath)} → ${path.relative(config.WORKSPACE_PATH, move.destinationPath)}` : describePaths(files),
+    files,
+    createdDirectories,
+    move,
+    trash,
+    restoredFrom,
+    timestamp: new Date(),
+    reverted: false
+  };
+
+  journal.push(entry);
+  trimJournal();
+  debugLog(`Journal: recorded change #${entry.id} (${tool}) on ${entry.path}`);
+  return entry;
+}
+
+/**
+ * Record a completed mutation of a single path in the journal
+ *
+ * @param {string} tool - Name of the tool that made the change
+ * @param {string} absolutePath - Validated absolute path that was mutated
+ * @param {Object} before - Snapshot taken before the mutation
+ * @returns {Promise<Object>} - The new journal entry
+ */
+export async function recordChange(tool, absolutePath, before) {
+  return recordChangeset(tool, new Map([[absolutePath, before]]));
+}
+
+/**
+ * Record a completed move as one journal entry that is undone by renaming back
+ * Files rewritten after the rename (importers, or files inside the moved tree) are
+ * snapshotted at their new location and restored before the rename is reversed
+ *
+ * @param {string} tool - Name of the tool that made the change
+ * @param {string} sourcePath - Validated absolute path moved from
+ * @param {string} destinationPath - Validated absolute path moved to
+ * @param {Map<string, Object>} [snapshots] - Rewritten file path -> snapshot taken after the rename, before rewriting
+ * @returns {Promise<Object>} - The new journal entry
+ */
+export async function recordMove(tool, sourcePath, destinationPath, snapshots = new Map()) {
+  return recordChangeset(tool, snapshots, { move: { sourcePath, destinationPath } });
+}
+
+/**
+ * Record a delete that moved the path to the trash
+ * Undo restores the trash entry instead of keeping a second copy of the content in memory
+ *
+ * @param {string} tool - Name of the tool that made the change
+ * @param {string} absolutePath - Validated absolute path that was deleted
+ * @param {Object} trashed - Metadata returned by moveToTrash
+ * @returns {Promise<Object>} - The new journal entry
+ */
+export async function recordTrashedDelete(tool, absolutePath, trashed) {
+  const before = { kind: trashed.kind, restorable: false, size: trashed.size };
+  return recordChangeset(tool, new Map([[absolutePath, before]]), { trash: { id: trashed.id } });
+}
+
+/**
+ * Record a path restored from the trash
+ * Undo moves it back into the trash, so undoing a restore never deletes anything
+ *
+ * @param {string} tool - Name of the tool that made the change
+ * @param {string} absolutePath - Validated absolute path the entry was restored to
+ * @param {Object} metadata - Metadata of the restored trash entry
+ * @returns {Promise<Object>} - The new journal entry
+ */
+export async function recordTrashRestore(tool, absolutePath, metadata) {
+  return recordChangeset(tool, new Map([[absolutePath, { kind: 'missing' }]]), { restoredFrom: { id: metadata.id } });
+}
+
+/**
+ * Commit a planned changeset and record it as one journal entry,
+ * so undoing it restores every touched file at once
+ *
+ * @param {string} tool - Name of the tool that made the change
+ * @param {Object} plan - Plan returned by planChangeset
+ * @returns {Promise<Object>} - The new journal entry
+ */
+export async function commitChangesetWithJournal(tool, plan) {
+  const before = new Map();
+  for (const absolutePath of plan.files.keys()) {
+    before.set(absolutePath, await snapshotPath(absolutePath));
+  }
+
+  const { createdDirectories } = await commitChangeset(plan);
+  return recordChangeset(tool, before, { createdDirectories });
+}
+
+/**
+ * Add a named checkpoint marker to the journal
+ *
+ * @param {string} [label] - Human-readable checkpoint label
+ * @returns {Object} - The checkpoint entry
+ */
+export function addCheckpoint(label) {
+  const checkpoint = {
+    type: 'checkpoint',
+    id: nextId++,
+    label: label || `checkpoint-${nextId - 1}`,
+    timestamp: new Date()
+  };
+  journal.push(checkpoint);
+  trimJournal();
+  return checkpoint;
+}
+
+/**
+ * Drop the oldest entries once the journal grows past its limit
+ */
+function trimJournal() {
+  while (journal.length > PERFORMANCE_LIMITS.MAX_JOURNAL_ENTRIES) {
+    const dropped = journal.shift();
+    debugLog(`Journal: dropped entry #${dropped.id}`);
+  }
+}
+
+/**
+ * Get access to the journal entries (read-only access recommended)
+ *
+ * @returns {Array} - Journal entries, oldest first
+ */
+export function getJournal() {
+  return journal;
+}
+
+/**
+ * Find a journal entry by id
+ *
+ * @param {number} id - Entry id
+ * @returns {Object|undefined} - The entry, if still in the journal
+ */
+export function getJournalEntry(id) {
+  return journal.find(entry => entry.id === id);
+}
+
+/**
+ * Get the most recent change that has not been reverted
+ *
+ * @returns {Object|undefined} - The latest revertable change
+ */
+export function getLastChange() {
+  for (let i = journal.length - 1; i >= 0; i--) {
+    const entry = journal[i];
+    if (entry.type === 'change' && !entry.reverted) return entry;
+  }
+  return undefined;
+}
+
+/**
+ * Get all unreverted changes recorded after a checkpoint, newest first
+ *
+ * @param {number} checkpointId - Checkpoint entry id
+ * @returns {Array} - Changes in the order they must be reverted
+ * @throws {Error} If the checkpoint is not in the journal
+ */
+export function getChangesSince(checkpointId) {
+  const index = journal.findIndex(entry => entry.type === 'checkpoint' && entry.id === checkpointId);
+  if (index === -1) {
+    throw new Error(`Checkpoint #${checkpointId} not found in the change journal`);
+  }
+  return journal
+    .slice(index + 1)
+    .filter(entry => entry.type === 'change' && !entry.reverted)
+    .reverse();
+}
+
+/**
+ * Write a snapshot back to disk
+ *
+ * @param {string} absolutePath - Path to restore
+ * @param {Object} snapshot - Snapshot to restore
+ */
+async function restoreSnapshot(absolutePath, snapshot) {
+  if (snapshot.kind === 'missing') {
+    await fs.rm(absolutePath, { recursive: true, force: true });
+    return;
+  }
+
+  if (snapshot.kind === 'file') {
+    await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+    await writeFileAtomically(absolutePath, snapshot.content);
+    await fs.chmod(absolutePath, snapshot.mode & 0o7777);
+    return;
+  }
+
+  await fs.rm(absolutePath, { recursive: true, force: true });
+  await fs.mkdir(absolutePath, { recursive: true });
+  for (const file of snapshot.files) {
+    const filePath = path.join(absolutePath, file.path);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, file.content, { mode: file.mode & 0o7777 });
+  }
+}
+
+/**
+ * Build a changeset plan that puts file snapshots back, for commitChangeset
+ * The current on-disk content is kept as the original so a failed restore rolls back cleanly
+ *
+ * @param {Array} files - Entry files whose "before" snapshots are files or missing
+ * @returns {Promise<Object>} - Plan with a files map
+ */
+async function planSnapshotRestore(files) {
+  const planned = new Map();
+  for (const file of files) {
+    let raw = null;
+    try {
+      raw = await fs.readFile(file.absolutePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    const restoreTo = file.before.kind === 'file' ? file.before.content : null;
+    if (raw === null && restoreTo === null) continue;
+    planned.set(file.absolutePath, {
+      relativePath: file.path,
+      raw,
+      stats: file.before.kind === 'file' ? file.before : null,
+      original: raw,
+      current: restoreTo
+    });
+  }
+  return { files: planned };
+}
+
+/**
+ * Ensure a move can be renamed back: the moved path must still be at its destination
+ * and nothing may have taken its original place
+ *
+ * @param {Object} entry - Change entry with a move
+ * @throws {Error} If renaming back would fail or overwrite something
+ */
+async function assertMoveReversible(entry) {
+  const { sourcePath, destinationPath } = entry.move;
+  const exists = absolutePath => fs.lstat(absolutePath).then(() => true, error => {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  });
+  if (!(await exists(destinationPath))) {
+    throw new Error(`Change #${entry.id} cannot be reverted - ${path.relative(config.WORKSPACE_PATH, destinationPath)} no longer exists`);
+  }
+  if (await exists(sourcePath)) {
+    throw new Error(`Change #${entry.id} cannot be reverted - ${path.relative(config.WORKSPACE_PATH, sourcePath)} exists again; move or delete it first`);
+  }
+}
+
+/**
+ * Revert a delete by restoring its trash entry, which also removes it from the trash
+ *
+ * @param {Object} entry - Change entry with a trash id
+ * @returns {Promise<Object>} - The reverted entry
+ * @throws {Error} If the trash entry is gone or the path exists again
+ */
+async function revertTrashedDelete(entry) {
+  let restoredPath;
+  try {
+    ({ restoredPath } = await restoreFromTrash(entry.trash.id));
+  } catch (error) {
+    throw new Error(`Change #${entry.id} cannot be reverted - ${error.message}`);
+  }
+
+  const stats = await fs.stat(restoredPath);
+  const files = stats.isDirectory() ? await collectFilesFiltered(restoredPath) : [restoredPath];
+  await Promise.all(files.map(file => indexFile(file)));
+
+  entry.reverted = true;
+  entry.revertedAt = new Date();
+  debugLog(`Journal: reverted change #${entry.id} on ${entry.path} from trash ${entry.trash.id}`);
+  return entry;
+}
+
+/**
+ * Revert a restore from the trash by moving the path back into the trash
+ * The new trash entry id is kept on the journal entry as trashedAs
+ *
+ * @param {Object} entry - Change entry with restoredFrom
+ * @returns {Promise<Object>} - The reverted entry
+ * @throws {Error} If the restored path no longer exists
+ */
+async function revertTrashRestore(entry) {
+  const [file] = entry.files;
+  let trashed;
+  try {
+    trashed = await moveToTrash(file.absolutePath, { tool: 'undo', args: { change_id: entry.id } });
+  } catch (error) {
+    throw new Error(`Change #${entry.id} cannot be reverted - ${error.code === 'ENOENT' ? `${file.path} no longer exists` : error.message}`);
+  }
+  removeIndexEntries(trashed.originalPath);
+
+  entry.trashedAs = trashed.id;
+  entry.reverted = true;
+  entry.revertedAt = new Date();
+  debugLog(`Journal: reverted change #${entry.id} on ${entry.path} into trash ${trashed.id}`);
+  return entry;
+}
+
+/**
+ * Revert a journal entry by restoring the "before" snapshot of every path it touched
+ * Refuses when any path changed since the entry was recorded, unless forced
+ *
+ * @param {Object} entry - Change entry to revert
+ * @param {Object} [options] - Revert options
+ * @param {boolean} [options.force=false] - Revert even if a path changed since
+ * @returns {Promise<Object>} - The reverted entry
+ * @throws {Error} If the entry cannot be reverted safely
+ */
+export async function revertChange(entry, options = {}) {
+  if (entry.type !== 'change') {
+    throw new Error(`Journal entry #${entry.id} is a checkpoint, not a change`);
+  }
+  if (entry.reverted) {
+    throw new Error(`Change #${entry.id} has already been reverted`);
+  }
+  if (entry.trash) {
+    return revertTrashedDelete(entry);
+  }
+  if (entry.restoredFrom) {
+    return revertTrashRestore(entry);
+  }
+  if (entry.move) {
+    await assertMoveReversible(entry);
+  }
+  for (const file of entry.files) {
+    if (!file.before.restorable && file.before.kind !== 'missing') {
+      throw new Error(`Change #${entry.id} cannot be reverted - the original ${file.before.kind} ${file.path} was too large to snapshot (${file.before.size} bytes)`);
+    }
+  }
+
+  if (!options.force) {
+    for (const file of entry.files) {
+      const current = await snapshotPath(file.absolutePath);
+      if (!matchesFingerprint(current, file.after)) {
+        throw new Error(`❌ ${file.path} has changed since change #${entry.id} was made\n\n🔧 TROUBLESHOOTING:\n1. Use 'list_changes' to find later changes to the same path and undo those first\n2. Use 'show_change' to review what would be restored\n3. Pass force: true to overwrite the current content anyway`);
+      }
+    }
+  }
+
+  if (entry.files.some(file => file.before.kind === 'directory' || file.after.kind === 'directory')) {
+    // Directory snapshots (delete_file, copy_file) are single-path entries restored in place
+    for (const file of entry.files) {
+      await restoreSnapshot(file.absolutePath, file.before);
+    }
+  } else {
+    // Files go back through the changeset commit: all of them are restored or none
+    await commitChangeset(await planSnapshotRestore(entry.files));
+  }
+  await removeCreatedDirectories(entry.createdDirectories);
+  if (entry.move) {
+    const { sourcePath, destinationPath } = entry.move;
+    await fs.mkdir(path.dirname(sourcePath), { recursive: true });
+    await fs.rename(destinationPath, sourcePath);
+    moveIndexEntries(path.relative(config.WORKSPACE_PATH, destinationPath), path.relative(config.WORKSPACE_PATH, sourcePath));
+  }
+
+  entry.reverted = true;
+  entry.revertedAt = new Date();
+  debugLog(`Journal: reverted change #${entry.id} on ${entry.path}`);
+  return entry;
+}
+
+/**
+ * Clear the journal (useful for testing or starting a fresh session)
+ */
+export function clearJournal() {
+  journal = [];
+  nextId = 1;
+}
+
+/**
+ * Short note appended to write tool responses so agents know how to undo
+ *
+ * @param {Object} entry - Recorded change entry
+ * @returns {string} - Formatted note
+ */
+export function formatChangeNote(entry) {
+  return `\n\n↩️ Recorded as change #${entry.id} - use 'undo_last_change' to revert`;
+}
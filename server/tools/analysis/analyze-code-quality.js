@@ -1,7 +1,6 @@
 // tools/analysis/analyze-code-quality.js
 
-import fs from 'fs/promises';
-import { validatePath } from '../../utils/index.js';
+import { validatePath, readTextFile } from '../../utils/index.js';
 import { config } from '../../config.js';
 
 /**
@@ -16,7 +15,7 @@ import { config } from '../../config.js';
 export async function analyzeCodeQuality(args) {
   try {
     const validPath = await validatePath(args.file_path, config.WORKSPACE_PATH);
-    const content = await fs.readFile(validPath, 'utf-8');
+    const { content } = await readTextFile(validPath);
     const lines = content.split('\n');
     
     const analysis = {
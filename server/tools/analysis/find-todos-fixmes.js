@@ -1,11 +1,10 @@
 // tools/analysis/find-todos-fixmes.js
 
-import fs from 'fs/promises';
 import path from 'path';
 import { minimatch } from 'minimatch';
 import { getFileIndex } from '../../file-index/index.js';
 import { TODO_KEYWORDS, PERFORMANCE_LIMITS } from '../../constants.js';
-import { debugLog } from '../../utils/index.js';
+import { debugLog, readTextFile } from '../../utils/index.js';
 import { config } from '../../config.js';
 
 /**
@@ -35,7 +34,8 @@ export async function findTodosFixmes(args) {
       
       try {
         const fullPath = path.resolve(config.WORKSPACE_PATH, relativePath);
-        const content = await fs.readFile(fullPath, 'utf-8');
+        // Binary files are rejected here and skipped
+        const { content } = await readTextFile(fullPath);
         const lines = content.split('\n');
         
         for (let i = 0; i < lines.length; i++) {
@@ -1,7 +1,7 @@
 // tools/filesystem/append-to-file.js
 
-import fs from 'fs/promises';
-import { validatePath, writeFileAtomically } from '../../utils/index.js';
+import { validatePath, writeFileAtomically, assertFileVersion, readTextFile } from '../../utils/index.js';
+import { snapshotPath, recordChange, formatChangeNote } from '../../journal/index.js';
 import { config } from '../../config.js';
 
 /**
@@ -12,27 +12,33 @@ import { config } from '../../config.js';
  * @param {string} args.path - File path
  * @param {string} args.content - Content to append
  * @param {boolean} [args.add_newline=true] - Whether to add a newline before content
+ * @param {string} [args.expected_hash] - Refuse if the file no longer has this hash
  * @returns {Object} - Response with success message
  */
 export async function appendToFile(args) {
   try {
     const validPath = await validatePath(args.path, config.WORKSPACE_PATH);
+    const appendTo = (existing) => existing +
+                                   (args.add_newline !== false && existing ? '\n' : '') +
+                                   args.content;
+    await assertFileVersion(validPath, args.path, args.expected_hash, appendTo);
+    const before = await snapshotPath(validPath);
     let existingContent = '';
+    let encoding;
     
     try {
-      existingContent = await fs.readFile(validPath, 'utf-8');
+      ({ content: existingContent, encoding } = await readTextFile(validPath));
     } catch (error) {
       if (error.code !== 'ENOENT') throw error;
     }
     
-    const newContent = existingContent + 
-                      (args.add_newline !== false && existingContent ? '\n' : '') + 
-                      args.content;
+    const newContent = appendTo(existingContent);
     
-    // Use atomic write
-    await writeFileAtomically(validPath, newContent);
+    // Use atomic write, keeping the existing encoding
+    await writeFileAtomically(validPath, newContent, encoding);
+    const change = await recordChange('append_to_file', validPath, before);
     return {
-      content: [{ type: "text", text: `Successfully appended to ${args.path}` }]
+      content: [{ type: "text", text: `Successfully appended to ${args.path}` + formatChangeNote(change) }]
     };
   } catch (error) {
     return {
@@ -0,0 +1,43 @@
+// tools/filesystem/apply-changeset.js
+
+import { planChangeset } from '../../utils/index.js';
+import { commitChangesetWithJournal, formatChangeNote } from '../../journal/index.js';
+import { config } from '../../config.js';
+
+/**
+ * Implementation of the apply_changeset tool
+ * Applies operations across multiple files as a single all-or-nothing transaction
+ * 
+ * @param {Object} args - Tool arguments
+ * @param {Array} args.operations - Per-file operations (write, create, edit_lines, edit, delete, rename)
+ * @param {boolean} [args.dryRun=false] - Preview the combined diff without applying
+ * @returns {Object} - Response with combined diff and summary
+ */
+export async function applyChangeset(args) {
+  try {
+    const plan = await planChangeset(args.operations, config.WORKSPACE_PATH);
+    
+    if (plan.files.size === 0) {
+      return {
+        content: [{ type: "text", text: "Changeset produces no changes" }]
+      };
+    }
+    
+    if (args.dryRun) {
+      return {
+        content: [{ type: "text", text: `PREVIEW of ${args.operations.length} operation(s) across ${plan.files.size} file(s):\n${plan.summary.join('\n')}\n\n${plan.diff}` }]
+      };
+    }
+    
+    const change = await commitChangesetWithJournal('apply_changeset', plan);
+    
+    return {
+      content: [{ type: "text", text: `✅ Applied ${args.operations.length} operation(s) across ${plan.files.size} file(s):\n${plan.summary.join('\n')}\n\n${plan.diff.trimEnd()}` + formatChangeNote(change) }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
@@ -0,0 +1,122 @@
+// tools/filesystem/apply-patch.js
+
+import { validatePath, parseUnifiedPatch, applyHunks, planChangeset, readTextFile } from '../../utils/index.js';
+import { commitChangesetWithJournal, formatChangeNote } from '../../journal/index.js';
+import { config } from '../../config.js';
+
+/**
+ * Format one hunk result line for the report
+ * 
+ * @param {Object} result - Hunk result from applyHunks
+ * @returns {string} - Report line
+ */
+function formatHunkResult(result) {
+  if (result.status === 'failed') {
+    return `  ❌ hunk ${result.hunk} ${result.header} failed: ${result.reason}`;
+  }
+  const notes = [];
+  if (result.offset) notes.push(`offset ${result.offset > 0 ? '+' : ''}${result.offset}`);
+  if (result.fuzz) notes.push(`fuzz ${result.fuzz}`);
+  return `  ✅ hunk ${result.hunk} ${result.header} applied at line ${result.line}` +
+         (notes.length > 0 ? ` (${notes.join(', ')})` : '');
+}
+
+/**
+ * Implementation of the apply_patch tool
+ * Applies a multi-file unified diff atomically, with fuzzy hunk matching
+ * 
+ * @param {Object} args - Tool arguments
+ * @param {string} args.patch - Unified diff (git-style or plain)
+ * @param {number} [args.fuzz=2] - Max context lines to ignore at each end of a hunk
+ * @param {number} [args.max_offset=100] - Max distance in lines a hunk may move
+ * @param {number} [args.strip] - Leading path components to strip (default: a/ and b/ prefixes)
+ * @param {boolean} [args.dryRun=false] - Report and preview without applying
+ * @returns {Object} - Response with per-hunk report and combined diff
+ */
+export async function applyPatch(args) {
+  try {
+    const filePatches = parseUnifiedPatch(args.patch, args.strip ?? null);
+    const options = { fuzz: args.fuzz ?? 2, maxOffset: args.max_offset ?? 100 };
+    const operations = [];
+    const report = [];
+    let failures = 0;
+    
+    for (const filePatch of filePatches) {
+      const sourcePath = filePatch.isNew ? filePatch.newPath : filePatch.oldPath;
+      const targetPath = filePatch.isDeleted ? filePatch.oldPath : filePatch.newPath;
+      const label = filePatch.isRename ? `${filePatch.oldPath} → ${filePatch.newPath}` : targetPath;
+      const kind = filePatch.isNew ? ' (new file)' : filePatch.isDeleted ? ' (deleted)' : filePatch.isRename ? ' (renamed)' : '';
+      report.push(`${label}${kind}:`);
+      
+      let original = '';
+      if (!filePatch.isNew) {
+        try {
+          ({ content: original } = await readTextFile(await validatePath(sourcePath, config.WORKSPACE_PATH)));
+        } catch (error) {
+          report.push(`  ❌ cannot read ${sourcePath}: ${error.code === 'ENOENT' ? 'file does not exist' : error.message}`);
+          failures++;
+          continue;
+        }
+      }
+      
+      const { content, results } = applyHunks(original, filePatch.hunks, options);
+      report.push(...results.map(formatHunkResult));
+      const failed = results.filter(result => result.status === 'failed').length;
+      failures += failed;
+      if (failed > 0) continue;
+      
+      if (filePatch.isDeleted) {
+        if (content !== '') {
+          report.push(`  ❌ file still has content after removing the patch lines - it does not match the deleted version`);
+          failures++;
+          continue;
+        }
+        operations.push({ op: 'delete', path: sourcePath });
+      } else if (filePatch.isNew) {
+        operations.push({ op: 'create', path: targetPath, content });
+      } else if (filePatch.isRename) {
+        operations.push({ op: 'rename', path: sourcePath, new_path: targetPath });
+        operations.push({ op: 'write', path: targetPath, content });
+      } else {
+        operations.push({ op: 'write', path: targetPath, content });
+      }
+    }
+    
+    const hunkCount = filePatches.reduce((sum, filePatch) => sum + filePatch.hunks.length, 0);
+    const header = `Patch: ${filePatches.length} file(s), ${hunkCount} hunk(s)\n${report.join('\n')}`;
+    
+    if (failures > 0 && !args.dryRun) {
+      return {
+        content: [{ type: "text", text: `❌ Patch NOT applied - ${failures} problem(s), no files were modified\n\n${header}\n\n🔧 TROUBLESHOOTING:\n1. Use 'read_file' to check the current content around the failed hunks\n2. Regenerate the patch against the current content, or raise fuzz/max_offset\n3. Use dryRun: true to test before applying` }],
+        isError: true
+      };
+    }
+    
+    const plan = operations.length > 0
+      ? await planChangeset(operations, config.WORKSPACE_PATH)
+      : { files: new Map(), diff: '' };
+    
+    if (args.dryRun) {
+      const status = failures > 0 ? `⚠️ ${failures} problem(s) - the patch would NOT apply` : '✅ Patch applies cleanly';
+      return {
+        content: [{ type: "text", text: `PREVIEW - ${status}\n\n${header}\n\n${plan.diff}` }]
+      };
+    }
+    
+    if (plan.files.size === 0) {
+      return {
+        content: [{ type: "text", text: `${header}\n\nPatch produces no changes` }]
+      };
+    }
+    
+    const change = await commitChangesetWithJournal('apply_patch', plan);
+    return {
+      content: [{ type: "text", text: `✅ Patch applied to ${filePatches.length} file(s)\n\n${header}\n\n${plan.diff.trimEnd()}` + formatChangeNote(change) }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
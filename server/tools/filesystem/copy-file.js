@@ -0,0 +1,89 @@
+// tools/filesystem/copy-file.js
+
+import fs from 'fs/promises';
+import path from 'path';
+import { validatePath, isJsModule, planImportRewrites, planChangeset, commitChangeset } from '../../utils/index.js';
+import { collectFilesFiltered } from '../../file-index/collect.js';
+import { indexFile } from '../../file-index/index.js';
+import { snapshotPath, recordChange, formatChangeNote } from '../../journal/index.js';
+import { mapMovedFiles, formatImportRewrites } from './move-file.js';
+import { config } from '../../config.js';
+
+/**
+ * Implementation of the copy_file tool
+ * Copies a file or directory, optionally fixing the copy's own relative imports
+ * 
+ * @param {Object} args - Tool arguments
+ * @param {string} args.source - Path to copy
+ * @param {string} args.destination - Path of the copy
+ * @param {boolean} [args.update_imports=false] - Rewrite the copy's relative JS/TS imports for its new location
+ * @returns {Object} - Response with copy summary and import rewrite diff
+ */
+export async function copyFile(args) {
+  try {
+    const sourcePath = await validatePath(args.source, config.WORKSPACE_PATH);
+    const destinationPath = await validatePath(args.destination, config.WORKSPACE_PATH);
+    
+    const stats = await fs.stat(sourcePath);
+    try {
+      await fs.lstat(destinationPath);
+      throw new Error(`Destination already exists: ${args.destination}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    if (stats.isDirectory() && (destinationPath + path.sep).startsWith(sourcePath + path.sep)) {
+      throw new Error(`Cannot copy a directory into itself: ${args.source} → ${args.destination}`);
+    }
+    
+    const copies = await mapMovedFiles(sourcePath, destinationPath, stats.isDirectory());
+    
+    // Only the copies are rewritten - existing importers keep pointing at the original
+    let planned = [];
+    if (args.update_imports) {
+      const allFiles = await collectFilesFiltered(config.WORKSPACE_PATH);
+      const knownFiles = new Set([...allFiles, ...copies.keys()]);
+      planned = await planImportRewrites([...copies.keys()].filter(isJsModule), copies, knownFiles, { includeImporters: false });
+    }
+    
+    const before = await snapshotPath(destinationPath);
+    
+    // Both copy the source file mode along with the content
+    if (stats.isDirectory()) {
+      await fs.cp(sourcePath, destinationPath, { recursive: true, errorOnExist: true, force: false });
+    } else {
+      await fs.copyFile(sourcePath, destinationPath, fs.constants.COPYFILE_EXCL);
+    }
+    
+    if (planned.length > 0) {
+      try {
+        const plan = await planChangeset(
+          planned.map(file => ({ op: 'write', path: file.newPath, content: file.content })),
+          config.WORKSPACE_PATH
+        );
+        await commitChangeset(plan);
+      } catch (error) {
+        await fs.rm(destinationPath, { recursive: true, force: true });
+        throw new Error(`Import rewrite failed - copy removed: ${error.message}`);
+      }
+    }
+    
+    // One entry for the whole copy, so undo removes it in one step
+    const change = await recordChange('copy_file', destinationPath, before);
+    for (const copyPath of copies.values()) {
+      await indexFile(copyPath);
+    }
+    
+    const fromRelative = path.relative(config.WORKSPACE_PATH, sourcePath);
+    const toRelative = path.relative(config.WORKSPACE_PATH, destinationPath);
+    const kind = stats.isDirectory() ? 'directory' : 'file';
+    const rewriteReport = args.update_imports ? formatImportRewrites(planned) : '';
+    return {
+      content: [{ type: "text", text: `✅ Copied ${kind} ${fromRelative} → ${toRelative}${rewriteReport}` + formatChangeNote(change) }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
@@ -14,6 +14,8 @@ export const readFileDefinition = {
     "2. Call 'preview_edit' - verify what will change\n" +
     "3. Call 'edit_file' - apply the changes\n" +
     "4. Call 'read_file' again - verify the result\n\n" +
+    "🔒 Returns a version hash - pass it as expected_hash to write tools so they refuse\n" +
+    "   the edit if someone else (e.g. a human in the IDE) changed the file meanwhile\n\n" +
     "EXAMPLE: \"Use read_file to see the current structure of auth.js\"\n" +
     "Then: \"Use preview_edit to show what changing lines 45-50 would do\"\n\n" +
     "⚠️ NEVER edit without reading the file first - line numbers must be exact!",
@@ -64,6 +66,10 @@ export const writeFileDefinition = {
       content: {
         type: "string",
         description: "Content to write to the file"
+      },
+      expected_hash: {
+        type: "string",
+        description: "Hash from 'read_file' - refuse with a conflict if the file changed since (optional)"
       }
     },
     required: ["path", "content"]
@@ -109,6 +115,10 @@ export const editFileDefinition = {
       new_content: {
         type: "string",
         description: "New content to replace the specified lines"
+      },
+      expected_hash: {
+        type: "string",
+        description: "Hash from 'read_file' - refuse with a conflict if the file changed since (optional)"
       }
     },
     required: ["path", "line_start", "new_content"]
@@ -165,6 +175,10 @@ export const appendToFileDefinition = {
         type: "boolean",
         description: "Add a newline before the appended content",
         default: true
+      },
+      expected_hash: {
+        type: "string",
+        description: "Hash from 'read_file' - refuse with a conflict if the file changed since (optional)"
       }
     },
     required: ["path", "content"]
@@ -183,6 +197,9 @@ export const replaceInFileDefinition = {
     "• Exact text matching for simple cases\n" +
     "• Line-by-line matching with flexible whitespace handling\n" +
     "• Indentation preservation\n" +
+    "• replace_all for every occurrence, capped by max_replacements\n" +
+    "• Regex mode with capture groups ($1, $<name>) and i/m/s flags\n" +
+    "• Per-match summary with line numbers\n" +
     "• Atomic file operations\n\n" +
     "✅ Use for: Find and replace operations, updating configuration values\n" +
     "⚠️ TIP: Use 'read_file' first to confirm the search text exists\n" +
@@ -210,12 +227,124 @@ export const replaceInFileDefinition = {
         type: "boolean",
         description: "Replace all occurrences (default: first occurrence only)",
         default: false
+      },
+      regex: {
+        type: "boolean",
+        description: "Treat search_text as a JavaScript regular expression; replace_text may use $1, $<name>, $&",
+        default: false
+      },
+      ignore_case: {
+        type: "boolean",
+        description: "Case-insensitive matching",
+        default: false
+      },
+      multiline: {
+        type: "boolean",
+        description: "Regex mode: ^ and $ match at the start and end of every line",
+        default: false
+      },
+      dot_all: {
+        type: "boolean",
+        description: "Regex mode: . also matches newlines, for patterns spanning several lines",
+        default: false
+      },
+      max_replacements: {
+        type: "integer",
+        description: "Safety cap - refuse to change the file if replace_all would replace more matches than this",
+        default: 1000
+      },
+      expected_hash: {
+        type: "string",
+        description: "Hash from 'read_file' - refuse with a conflict if the file changed since (optional)"
       }
     },
     required: ["path", "search_text", "replace_text"]
   }
 };
 
+export const searchAndReplaceDefinition = {
+  name: "search_and_replace",
+  description:
+    "🔁 Replace text or a regex across the whole project in ONE call\n" +
+    "Walks the file index, previews a single combined diff, and applies all files or none\n\n" +
+    "💡 RECOMMENDED WORKFLOW:\n" +
+    "1. Call 'search_and_replace' with dryRun: true to review every change\n" +
+    "2. Narrow the scope with glob/include/exclude or whole_word if needed\n" +
+    "3. Call 'search_and_replace' again without dryRun to apply\n\n" +
+    "✅ Use for: Renaming identifiers, updating API URLs or import paths everywhere\n" +
+    "🛡️ SAFETY: Refuses to touch more than max_files files; all changed files are journaled as one change for undo\n\n" +
+    "EXAMPLE: \"Use search_and_replace to rename fetchUser to loadUser in src/**/*.ts\"",
+  inputSchema: {
+    type: "object",
+    properties: {
+      search: {
+        type: "string",
+        description: "Text (or regular expression with regex: true) to search for"
+      },
+      replace: {
+        type: "string",
+        description: "Replacement text; in regex mode $1, $<name> and $& insert captured text"
+      },
+      glob: {
+        type: "string",
+        description: "Scope glob matched against the full relative path (e.g., 'src/**/*.js')",
+        default: "**"
+      },
+      include: {
+        type: "array",
+        items: { type: "string" },
+        description: "Only change files matching at least one of these globs (optional)"
+      },
+      exclude: {
+        type: "array",
+        items: { type: "string" },
+        description: "Never change files matching any of these globs (e.g., ['**/*.min.js', 'vendor/**'])"
+      },
+      regex: {
+        type: "boolean",
+        description: "Treat search as a JavaScript regular expression",
+        default: false
+      },
+      whole_word: {
+        type: "boolean",
+        description: "Only match whole identifiers, so 'user' does not match 'userId'",
+        default: false
+      },
+      ignore_case: {
+        type: "boolean",
+        description: "Case-insensitive matching",
+        default: false
+      },
+      multiline: {
+        type: "boolean",
+        description: "Regex mode: ^ and $ match at the start and end of every line",
+        default: false
+      },
+      dot_all: {
+        type: "boolean",
+        description: "Regex mode: . also matches newlines",
+        default: false
+      },
+      max_files: {
+        type: "integer",
+        description: "Safety cap - refuse to change anything if more files than this would be modified",
+        default: 50
+      },
+      max_replacements: {
+        type: "integer",
+        description: "Safety cap - refuse if any single file would get more replacements than this",
+        default: 1000
+      },
+      dryRun: {
+        type: "boolean",
+        description: "Preview the combined diff without applying any changes",
+        default: false
+      }
+    },
+    required: ["search", "replace"]
+  }
+};
+
 export const editFileAdvancedDefinition = {
   name: "edit_file_advanced",
   description:
@@ -251,12 +380,146 @@ export const editFileAdvancedDefinition = {
         type: "boolean",
         description: "Preview changes using git-style diff format",
         default: false
+      },
+      expected_hash: {
+        type: "string",
+        description: "Hash from 'read_file' - refuse with a conflict if the file changed since (optional)"
       }
     },
     required: ["path", "edits"]
   }
 };
 
+export const applyChangesetDefinition = {
+  name: "apply_changeset",
+  description:
+    "🔀 ATOMIC MULTI-FILE CHANGES: Apply edits across several files as ONE transaction\n" +
+    "Either every operation is applied or none are - a refactor can never be left half-done\n\n" +
+    "✅ Operations (applied in order, later ones see earlier results):\n" +
+    "• write - replace or create a file with 'content'\n" +
+    "• create - create a new file with 'content' (fails if it exists)\n" +
+    "• edit_lines - replace 'line_start'..'line_end' with 'new_content'\n" +
+    "• edit - find-and-replace 'edits' ([{oldText, newText}])\n" +
+    "• delete - delete a file\n" +
+    "• rename - move a file to 'new_path'\n\n" +
+    "💡 RECOMMENDED WORKFLOW:\n" +
+    "1. Call 'read_file' on every file you will edit\n" +
+    "2. Call 'apply_changeset' with dryRun: true to review the combined diff\n" +
+    "3. Call 'apply_changeset' again without dryRun to apply\n\n" +
+    "🛡️ SAFETY: All paths validated up front, new content staged to temp files, full rollback on failure",
+  inputSchema: {
+    type: "object",
+    properties: {
+      operations: {
+        type: "array",
+        description: "Per-file operations to apply in order",
+        items: {
+          type: "object",
+          properties: {
+            op: {
+              type: "string",
+              enum: ["write", "create", "edit_lines", "edit", "delete", "rename"],
+              description: "Operation type"
+            },
+            path: {
+              type: "string",
+              description: "Relative path to file from workspace root"
+            },
+            content: {
+              type: "string",
+              description: "File content (write, create)"
+            },
+            line_start: {
+              type: "integer",
+              description: "Starting line number, 1-based (edit_lines)"
+            },
+            line_end: {
+              type: "integer",
+              description: "Ending line number, defaults to line_start (edit_lines)"
+            },
+            new_content: {
+              type: "string",
+              description: "Replacement content for the line range (edit_lines)"
+            },
+            edits: {
+              type: "array",
+              description: "Find-and-replace edits (edit)",
+              items: {
+                type: "object",
+                properties: {
+                  oldText: { type: "string" },
+                  newText: { type: "string" }
+                },
+                required: ["oldText", "newText"]
+              }
+            },
+            new_path: {
+              type: "string",
+              description: "Destination path (rename)"
+            },
+            expected_hash: {
+              type: "string",
+              description: "Hash from 'read_file' - abort the whole changeset if this file changed since"
+            }
+          },
+          required: ["op", "path"]
+        }
+      },
+      dryRun: {
+        type: "boolean",
+        description: "Preview the combined diff without applying any changes",
+        default: false
+      }
+    },
+    required: ["operations"]
+  }
+};
+
+export const applyPatchDefinition = {
+  name: "apply_patch",
+  description:
+    "🩹 Apply a unified diff (git diff / diff -u format) to one or more files\n" +
+    "Often more reliable than line-numbered edits: hunks are located by their context lines\n\n" +
+    "✅ Supports: modified, new, deleted and renamed files (git-style headers)\n" +
+    "✅ Tolerant matching: hunks may move up to max_offset lines, and up to 'fuzz'\n" +
+    "   context lines at each end may be ignored\n" +
+    "✅ Per-hunk report: where each hunk applied, with offset and fuzz used\n\n" +
+    "🛡️ SAFETY: All-or-nothing - if any hunk fails, no file is modified\n\n" +
+    "💡 RECOMMENDED WORKFLOW:\n" +
+    "1. Call 'read_file' on the files you want to change\n" +
+    "2. Call 'apply_patch' with dryRun: true to check every hunk applies\n" +
+    "3. Call 'apply_patch' again without dryRun",
+  inputSchema: {
+    type: "object",
+    properties: {
+      patch: {
+        type: "string",
+        description: "Unified diff text, may contain multiple files"
+      },
+      fuzz: {
+        type: "integer",
+        description: "Max context lines that may be ignored at each end of a hunk",
+        default: 2
+      },
+      max_offset: {
+        type: "integer",
+        description: "Max number of lines a hunk may have moved from its stated position",
+        default: 100
+      },
+      strip: {
+        type: "integer",
+        description: "Leading path components to strip, like patch -p (default: strip a/ and b/ prefixes)"
+      },
+      dryRun: {
+        type: "boolean",
+        description: "Report per-hunk results and preview the diff without applying",
+        default: false
+      }
+    },
+    required: ["patch"]
+  }
+};
+
 export const listFilesDefinition = {
   name: "list_files",
   description: "List files and directories in the workspace",
@@ -297,15 +560,83 @@ export const createDirectoryDefinition = {
   }
 };
 
+export const moveFileDefinition = {
+  name: "move_file",
+  description:
+    "📦 Move or rename a file or directory (keeps file mode and updates the file index)\n" +
+    "Use instead of write_file + delete_file, which loses permissions and history\n\n" +
+    "✅ update_imports: rewrites relative import/require paths in other JS/TS files that\n" +
+    "   point at the moved module, and the moved file's own relative imports\n" +
+    "✅ Returns the diff of every import rewrite\n\n" +
+    "EXAMPLE: \"Use move_file to move src/utils.js to src/lib/utils.js with update_imports\"",
+  inputSchema: {
+    type: "object",
+    properties: {
+      source: {
+        type: "string",
+        description: "Relative path of the file or directory to move"
+      },
+      destination: {
+        type: "string",
+        description: "New relative path (must not exist; parent directory must exist)"
+      },
+      update_imports: {
+        type: "boolean",
+        description: "Rewrite relative JS/TS import specifiers affected by the move",
+        default: false
+      }
+    },
+    required: ["source", "destination"]
+  }
+};
+
+export const copyFileDefinition = {
+  name: "copy_file",
+  description:
+    "📄 Copy a file or directory (keeps file mode and adds the copy to the file index)\n" +
+    "✅ update_imports: fixes the copy's own relative JS/TS imports for its new location",
+  inputSchema: {
+    type: "object",
+    properties: {
+      source: {
+        type: "string",
+        description: "Relative path of the file or directory to copy"
+      },
+      destination: {
+        type: "string",
+        description: "Relative path of the copy (must not exist; parent directory must exist)"
+      },
+      update_imports: {
+        type: "boolean",
+        description: "Rewrite the copy's relative JS/TS import specifiers",
+        default: false
+      }
+    },
+    required: ["source", "destination"]
+  }
+};
+
 export const deleteFileDefinition = {
   name: "delete_file",
-  description: "Delete a file or directory",
+  description:
+    "Delete a file or directory by moving it to the workspace trash\n" +
+    "Deleted paths can be recovered with 'restore_from_trash' until purged\n\n" +
+    "🛡️ SAFETY: Directories with many files require confirm_recursive: true",
   inputSchema: {
     type: "object",
     properties: {
       path: {
         type: "string",
         description: "Relative path to file/directory to delete"
+      },
+      expected_hash: {
+        type: "string",
+        description: "Hash from 'read_file' - refuse with a conflict if the file changed since (optional)"
+      },
+      confirm_recursive: {
+        type: "boolean",
+        description: "Confirm deleting a directory with more files than the configured threshold",
+        default: false
       }
     },
     required: ["path"]
@@ -320,8 +651,13 @@ export const filesystemToolDefinitions = [
   previewEditDefinition,
   appendToFileDefinition,
   replaceInFileDefinition,
+  searchAndReplaceDefinition,
   editFileAdvancedDefinition,
+  applyChangesetDefinition,
+  applyPatchDefinition,
   listFilesDefinition,
   createDirectoryDefinition,
+  moveFileDefinition,
+  copyFileDefinition,
   deleteFileDefinition
 ];
@@ -1,33 +1,53 @@
 // tools/filesystem/delete-file.js
 
 import fs from 'fs/promises';
-import { validatePath } from '../../utils/index.js';
+import path from 'path';
+import { validatePath, assertFileVersion } from '../../utils/index.js';
+import { recordTrashedDelete, formatChangeNote } from '../../journal/index.js';
+import { moveToTrash, measurePath } from '../../trash/index.js';
+import { removeIndexEntries } from '../../file-index/index.js';
 import { config } from '../../config.js';
 
 /**
  * Implementation of the delete_file tool
- * Deletes a file or directory
+ * Moves a file or directory to the workspace trash so it can be restored
  * 
  * @param {Object} args - Tool arguments
  * @param {string} args.path - Path to delete
+ * @param {string} [args.expected_hash] - Refuse to delete a file that no longer has this hash
+ * @param {boolean} [args.confirm_recursive] - Required for directories above DELETE_CONFIRM_THRESHOLD files
  * @returns {Object} - Response with success message
  */
 export async function deleteFile(args) {
   try {
     const validPath = await validatePath(args.path, config.WORKSPACE_PATH);
+    const relativePath = path.relative(config.WORKSPACE_PATH, validPath);
+    if (relativePath === '' || relativePath === '.git') {
+      throw new Error(`❌ Refusing to delete ${relativePath === '' ? 'the workspace root' : 'the .git directory'} ('${args.path}')\n\n🔧 TROUBLESHOOTING:\n1. Name the specific files or directories to delete\n2. Use 'list_files' to see what the workspace contains`);
+    }
     const stats = await fs.stat(validPath);
-    
     if (stats.isDirectory()) {
-      await fs.rm(validPath, { recursive: true, force: true });
-      return {
-        content: [{ type: "text", text: `Successfully deleted directory ${args.path}` }]
-      };
+      const threshold = config.DELETE_CONFIRM_THRESHOLD;
+      const { truncated } = await measurePath(validPath, threshold);
+      if (truncated && !args.confirm_recursive) {
+        throw new Error(`❌ ${args.path} contains more than ${threshold} files\n\n🔧 TROUBLESHOOTING:\n1. Use 'list_files' to check what the directory contains\n2. Pass confirm_recursive: true to delete it anyway (it can be restored with 'restore_from_trash')\n3. Delete individual files instead`);
+      }
     } else {
-      await fs.unlink(validPath);
-      return {
-        content: [{ type: "text", text: `Successfully deleted file ${args.path}` }]
-      };
+      await assertFileVersion(validPath, args.path, args.expected_hash, () => '');
     }
+    const trashed = await moveToTrash(validPath, { tool: 'delete_file', args });
+    removeIndexEntries(trashed.originalPath);
+    const change = await recordTrashedDelete('delete_file', validPath, trashed);
+
+    const what = trashed.kind === 'directory'
+      ? `directory ${args.path} (${trashed.fileCount} files, ${trashed.size} bytes)`
+      : `file ${args.path}`;
+    return {
+      content: [{
+        type: "text",
+        text: `Successfully deleted ${what}\n\n🗑️ Moved to trash as ${trashed.id} - use 'restore_from_trash' to recover it` + formatChangeNote(change)
+      }]
+    };
   } catch (error) {
     return {
       content: [{ type: "text", text: `Error: ${error.message}` }],
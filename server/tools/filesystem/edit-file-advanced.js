@@ -1,6 +1,7 @@
 // tools/filesystem/edit-file-advanced.js
 
-import { validatePath, applyFileEdits } from '../../utils/index.js';
+import { validatePath, applyFileEdits, applyEditsToContent, assertFileVersion } from '../../utils/index.js';
+import { snapshotPath, recordChange, formatChangeNote } from '../../journal/index.js';
 import { config } from '../../config.js';
 
 /**
@@ -11,16 +12,20 @@ import { config } from '../../config.js';
  * @param {string} args.path - File path
  * @param {Array} args.edits - Array of edit operations
  * @param {boolean} [args.dryRun=false] - Whether to preview changes without applying
+ * @param {string} [args.expected_hash] - Refuse if the file no longer has this hash
  * @returns {Object} - Response with diff showing changes
  */
 export async function editFileAdvanced(args) {
   try {
     const validPath = await validatePath(args.path, config.WORKSPACE_PATH);
+    await assertFileVersion(validPath, args.path, args.expected_hash, base => applyEditsToContent(base, args.edits));
+    const before = args.dryRun ? null : await snapshotPath(validPath);
     const diff = await applyFileEdits(validPath, args.edits, args.dryRun || false);
+    const change = before ? await recordChange('edit_file_advanced', validPath, before) : null;
     
     const action = args.dryRun ? "PREVIEW" : "Applied";
     return {
-      content: [{ type: "text", text: `${action} ${args.edits.length} edit(s):\n\n${diff}` }]
+      content: [{ type: "text", text: `${action} ${args.edits.length} edit(s):\n\n${diff}` + (change ? formatChangeNote(change) : '') }]
     };
   } catch (error) {
     return {
@@ -1,6 +1,7 @@
 // tools/filesystem/edit-file.js
 
-import { validatePath, editFileSafely } from '../../utils/index.js';
+import { validatePath, editFileSafely, replaceLines, assertFileVersion } from '../../utils/index.js';
+import { snapshotPath, recordChange, formatChangeNote } from '../../journal/index.js';
 import { config } from '../../config.js';
 
 /**
@@ -12,14 +13,19 @@ import { config } from '../../config.js';
  * @param {number} args.line_start - Starting line number (1-based)
  * @param {number} [args.line_end] - Ending line number (defaults to line_start)
  * @param {string} args.new_content - New content to replace the specified lines
+ * @param {string} [args.expected_hash] - Refuse if the file no longer has this hash
  * @returns {Object} - Response with diff and summary
  */
 export async function editFile(args) {
   try {
     const validPath = await validatePath(args.path, config.WORKSPACE_PATH);
+    await assertFileVersion(validPath, args.path, args.expected_hash,
+      base => replaceLines(base, args.line_start, args.line_end, args.new_content, args.path).content);
+    const before = await snapshotPath(validPath);
     const result = await editFileSafely(validPath, args.line_start, args.line_end, args.new_content);
+    const change = await recordChange('edit_file', validPath, before);
     return {
-      content: [{ type: "text", text: result.diff + result.summary }]
+      content: [{ type: "text", text: result.diff + result.summary + formatChangeNote(change) }]
     };
   } catch (error) {
     return {
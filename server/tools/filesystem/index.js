@@ -7,9 +7,14 @@ export { editFile } from './edit-file.js';
 export { previewEdit } from './preview-edit.js';
 export { appendToFile } from './append-to-file.js';
 export { replaceInFile } from './replace-in-file.js';
+export { searchAndReplace } from './search-and-replace.js';
 export { editFileAdvanced } from './edit-file-advanced.js';
+export { applyChangeset } from './apply-changeset.js';
+export { applyPatch } from './apply-patch.js';
 export { listFiles } from './list-files.js';
 export { createDirectory } from './create-directory.js';
+export { moveFile } from './move-file.js';
+export { copyFile } from './copy-file.js';
 export { deleteFile } from './delete-file.js';
 
 // Re-exports all filesystem tool definitions
@@ -20,9 +25,14 @@ export {
   previewEditDefinition,
   appendToFileDefinition,
   replaceInFileDefinition,
+  searchAndReplaceDefinition,
   editFileAdvancedDefinition,
+  applyChangesetDefinition,
+  applyPatchDefinition,
   listFilesDefinition,
   createDirectoryDefinition,
+  moveFileDefinition,
+  copyFileDefinition,
   deleteFileDefinition,
   filesystemToolDefinitions
 } from './definitions.js';
@@ -0,0 +1,125 @@
+// tools/filesystem/move-file.js
+
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  validatePath,
+  isJsModule,
+  planImportRewrites,
+  planChangeset,
+  commitChangeset,
+  createUnifiedDiff,
+  formatDiff
+} from '../../utils/index.js';
+import { collectFilesFiltered } from '../../file-index/collect.js';
+import { moveIndexEntries } from '../../file-index/index.js';
+import { snapshotPath, recordMove, formatChangeNote } from '../../journal/index.js';
+import { config } from '../../config.js';
+
+/**
+ * Map every file under a source path to its location under a destination path
+ * 
+ * @param {string} sourcePath - Absolute source (file or directory)
+ * @param {string} destinationPath - Absolute destination
+ * @param {boolean} isDirectory - Whether the source is a directory
+ * @returns {Promise<Map<string, string>>} - Old absolute path -> new absolute path
+ */
+export async function mapMovedFiles(sourcePath, destinationPath, isDirectory) {
+  if (!isDirectory) return new Map([[sourcePath, destinationPath]]);
+  const files = await collectFilesFiltered(sourcePath);
+  return new Map(files.map(file => [file, path.join(destinationPath, path.relative(sourcePath, file))]));
+}
+
+/**
+ * Format planned import rewrites as a summary and a combined diff
+ * 
+ * @param {Array<Object>} planned - Rewrites from planImportRewrites
+ * @returns {string} - Summary lines followed by a formatted diff
+ */
+export function formatImportRewrites(planned) {
+  if (planned.length === 0) return '\n\nNo relative imports needed rewriting';
+  
+  const summary = planned.flatMap(file => file.rewrites.map(rewrite =>
+    `• ${path.relative(config.WORKSPACE_PATH, file.newPath)}:${rewrite.line}: '${rewrite.from}' → '${rewrite.to}'`));
+  const diff = planned
+    .map(file => createUnifiedDiff(file.original, file.content, path.relative(config.WORKSPACE_PATH, file.newPath)))
+    .join('');
+  return `\n\nRewrote ${summary.length} import specifier(s) in ${planned.length} file(s):\n${summary.join('\n')}\n\n${formatDiff(diff).trimEnd()}`;
+}
+
+/**
+ * Implementation of the move_file tool
+ * Moves or renames a file or directory, optionally rewriting relative imports
+ * 
+ * @param {Object} args - Tool arguments
+ * @param {string} args.source - Path to move
+ * @param {string} args.destination - New path
+ * @param {boolean} [args.update_imports=false] - Rewrite relative JS/TS imports affected by the move
+ * @returns {Object} - Response with move summary and import rewrite diff
+ */
+export async function moveFile(args) {
+  try {
+    const sourcePath = await validatePath(args.source, config.WORKSPACE_PATH);
+    const destinationPath = await validatePath(args.destination, config.WORKSPACE_PATH);
+    
+    const stats = await fs.stat(sourcePath);
+    try {
+      await fs.lstat(destinationPath);
+      throw new Error(`Destination already exists: ${args.destination}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    if (stats.isDirectory() && (destinationPath + path.sep).startsWith(sourcePath + path.sep)) {
+      throw new Error(`Cannot move a directory into itself: ${args.source} → ${args.destination}`);
+    }
+    
+    // Plan import rewrites against the pre-move tree
+    let planned = [];
+    if (args.update_imports) {
+      const moves = await mapMovedFiles(sourcePath, destinationPath, stats.isDirectory());
+      const allFiles = await collectFilesFiltered(config.WORKSPACE_PATH);
+      const knownFiles = new Set([...allFiles, ...moves.keys()]);
+      const candidates = [...new Set([...allFiles, ...moves.keys()])].filter(isJsModule);
+      planned = await planImportRewrites(candidates, moves, knownFiles);
+    }
+    
+    // fs.rename keeps the inode, so file mode and ownership are preserved
+    await fs.rename(sourcePath, destinationPath);
+    
+    const rewritten = new Map();
+    if (planned.length > 0) {
+      try {
+        const plan = await planChangeset(
+          planned.map(file => ({ op: 'write', path: file.newPath, content: file.content })),
+          config.WORKSPACE_PATH
+        );
+        // Taken after the rename so rewritten files inside the moved tree are captured at their new paths
+        for (const absolutePath of plan.files.keys()) {
+          rewritten.set(absolutePath, await snapshotPath(absolutePath));
+        }
+        await commitChangeset(plan);
+      } catch (error) {
+        await fs.rename(destinationPath, sourcePath);
+        throw new Error(`Import rewrite failed - move rolled back: ${error.message}`);
+      }
+    }
+    
+    // One entry: undo restores the rewritten imports and renames back, never copying content
+    const change = await recordMove('move_file', sourcePath, destinationPath, rewritten);
+    
+    const fromRelative = path.relative(config.WORKSPACE_PATH, sourcePath);
+    const toRelative = path.relative(config.WORKSPACE_PATH, destinationPath);
+    const indexed = moveIndexEntries(fromRelative, toRelative);
+    
+    const kind = stats.isDirectory() ? 'directory' : 'file';
+    const rewriteReport = args.update_imports ? formatImportRewrites(planned) : '';
+    return {
+      content: [{ type: "text", text: `✅ Moved ${kind} ${fromRelative} → ${toRelative} (${indexed} index entr${indexed === 1 ? 'y' : 'ies'} updated)${rewriteReport}` + formatChangeNote(change) }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
@@ -1,7 +1,7 @@
 // tools/filesystem/read-file.js
 
 import fs from 'fs/promises';
-import { validatePath, tailFile, headFile } from '../../utils/index.js';
+import { validatePath, tailFile, headFile, getFileVersion, hashContent, rememberVersion, formatVersion, detectEncoding, decodeText, sniffFileEncoding, formatLineEndingNote } from '../../utils/index.js';
 import { config } from '../../config.js';
 
 /**
@@ -12,7 +12,7 @@ import { config } from '../../config.js';
  * @param {string} args.path - File path
  * @param {number} [args.tail] - Number of lines to read from end
  * @param {number} [args.head] - Number of lines to read from start
- * @returns {Object} - Response with file content
+ * @returns {Object} - Response with file content and its version (hash and mtime)
  */
 export async function readFile(args) {
   try {
@@ -26,22 +26,41 @@ export async function readFile(args) {
     if (args.tail) {
       // Use memory-efficient tail implementation for large files
       const tailContent = await tailFile(validPath, args.tail);
+      const version = { ...await getFileVersion(validPath), encoding: await sniffFileEncoding(validPath) };
       return {
-        content: [{ type: "text", text: tailContent }],
+        content: [
+          { type: "text", text: tailContent },
+          { type: "text", text: formatVersion(version) }
+        ],
       };
     }
     
     if (args.head) {
       // Use memory-efficient head implementation for large files
       const headContent = await headFile(validPath, args.head);
+      const version = { ...await getFileVersion(validPath), encoding: await sniffFileEncoding(validPath) };
       return {
-        content: [{ type: "text", text: headContent }],
+        content: [
+          { type: "text", text: headContent },
+          { type: "text", text: formatVersion(version) }
+        ],
       };
     }
     
-    const content = await fs.readFile(validPath, "utf-8");
+    const [raw, stats] = await Promise.all([fs.readFile(validPath), fs.stat(validPath)]);
+    const encoding = detectEncoding(raw);
+    if (encoding.name === 'binary') {
+      throw new Error(`❌ ${args.path} appears to be a binary file (${stats.size} bytes) - read_file only returns text\n\n🔧 TROUBLESHOOTING:\n1. Use 'list_files' or 'git_status' to inspect it instead\n2. Check the path if you expected a text file`);
+    }
+    const { content } = decodeText(raw, encoding);
+    const version = { hash: hashContent(raw), mtime: stats.mtime, size: stats.size, encoding };
+    rememberVersion(version.hash, content);
+    const lineEndingNote = formatLineEndingNote(content);
     return {
-      content: [{ type: "text", text: content }]
+      content: [
+        { type: "text", text: content },
+        { type: "text", text: formatVersion(version) + (lineEndingNote ? `\n${lineEndingNote}` : '') }
+      ]
     };
   } catch (error) {
     return {
@@ -1,32 +1,90 @@
 // tools/filesystem/replace-in-file.js
 
-import { validatePath, applyFileEdits } from '../../utils/index.js';
+import {
+  validatePath,
+  applyEditsToContent,
+  assertFileVersion,
+  replaceInContent,
+  formatReplacementSummary,
+  createUnifiedDiff,
+  formatDiff,
+  writeFileAtomically,
+  readTextFile,
+  formatLineEndingNote
+} from '../../utils/index.js';
+import { snapshotPath, recordChange, formatChangeNote } from '../../journal/index.js';
 import { config } from '../../config.js';
 
+/**
+ * Compute the replaced content for replace_in_file arguments
+ * Plain first-occurrence replacements keep the whitespace-flexible line matching
+ * of edit_file_advanced when there is no exact match
+ * 
+ * @param {string} content - Original file content
+ * @param {Object} args - Tool arguments
+ * @returns {Object} - { content, matches, flexible }
+ * @throws {Error} If nothing matches or the safety cap is exceeded
+ */
+function planReplacement(content, args) {
+  const result = replaceInContent(content, args.search_text, args.replace_text, {
+    regex: args.regex,
+    replaceAll: args.replace_all,
+    ignoreCase: args.ignore_case,
+    multiline: args.multiline,
+    dotAll: args.dot_all,
+    maxReplacements: args.max_replacements
+  });
+  if (result.matches.length > 0) {
+    return { ...result, flexible: false };
+  }
+  
+  if (args.regex || args.replace_all || args.ignore_case) {
+    const what = args.regex ? `regular expression /${args.search_text}/` : `text:\n${args.search_text}`;
+    throw new Error(`Could not find any match for ${what}`);
+  }
+  
+  // Use enhanced line-by-line matching
+  const edits = [{ oldText: args.search_text, newText: args.replace_text }];
+  return { content: applyEditsToContent(content, edits), matches: [], flexible: true };
+}
+
 /**
  * Implementation of the replace_in_file tool
- * Replaces text patterns in a file
+ * Replaces literal text or regular expression matches in a file
  * 
  * @param {Object} args - Tool arguments
  * @param {string} args.path - File path
- * @param {string} args.search_text - Text to search for
- * @param {string} args.replace_text - Text to replace with
+ * @param {string} args.search_text - Text or regular expression to search for
+ * @param {string} args.replace_text - Text to replace with ($1, $<name> etc. in regex mode)
  * @param {boolean} [args.replace_all=false] - Whether to replace all occurrences
+ * @param {boolean} [args.regex=false] - Treat search_text as a JavaScript regular expression
+ * @param {boolean} [args.ignore_case=false] - Case-insensitive matching
+ * @param {boolean} [args.multiline=false] - ^ and $ match at every line (regex m flag)
+ * @param {boolean} [args.dot_all=false] - . matches newlines too (regex s flag)
+ * @param {number} [args.max_replacements] - Refuse when replace_all would replace more than this
+ * @param {string} [args.expected_hash] - Refuse if the file no longer has this hash
  * @returns {Object} - Response with diff showing changes
  */
 export async function replaceInFile(args) {
   try {
     const validPath = await validatePath(args.path, config.WORKSPACE_PATH);
-    const edits = [{
-      oldText: args.search_text,
-      newText: args.replace_text
-    }];
     
-    // Use enhanced line-by-line matching
-    const diff = await applyFileEdits(validPath, edits, false);
+    await assertFileVersion(validPath, args.path, args.expected_hash, base => planReplacement(base, args).content);
+    const { content: originalContent, encoding } = await readTextFile(validPath);
+    const planned = planReplacement(originalContent, args);
+    
+    const before = await snapshotPath(validPath);
+    await writeFileAtomically(validPath, planned.content, encoding);
+    const change = await recordChange('replace_in_file', validPath, before);
+    
+    const diff = formatDiff(createUnifiedDiff(originalContent, planned.content, validPath));
+    const summary = planned.flexible
+      ? '🔁 1 replacement (whitespace-flexible line match)'
+      : formatReplacementSummary(planned.matches);
+    const lineEndingNote = formatLineEndingNote(originalContent);
     
     return {
-      content: [{ type: "text", text: diff }]
+      content: [{ type: "text", text: diff + summary + (lineEndingNote ? `\n${lineEndingNote}` : '') + formatChangeNote(change) }]
     };
   } catch (error) {
     return {
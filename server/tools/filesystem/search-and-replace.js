@@ -0,0 +1,120 @@
+// tools/filesystem/search-and-replace.js
+
+import path from 'path';
+import { getFileIndex } from '../../file-index/index.js';
+import { planChangeset, isPathInScope, replaceInContent, buildSearchPattern, readTextFile, debugLog } from '../../utils/index.js';
+import { commitChangesetWithJournal, formatChangeNote } from '../../journal/index.js';
+import { config } from '../../config.js';
+
+// Default cap on the number of files a single call may change
+const DEFAULT_MAX_FILES = 50;
+
+/**
+ * Implementation of the search_and_replace tool
+ * Replaces a literal or regex pattern across every indexed file in scope,
+ * previewing one combined diff and committing all files or none
+ * 
+ * @param {Object} args - Tool arguments
+ * @param {string} args.search - Text or regular expression to search for
+ * @param {string} args.replace - Replacement text ($1, $<name> etc. in regex mode)
+ * @param {string} [args.glob="**"] - Scope glob matched against the full relative path
+ * @param {Array<string>} [args.include] - Only files matching one of these globs
+ * @param {Array<string>} [args.exclude] - Skip files matching any of these globs
+ * @param {boolean} [args.regex=false] - Treat search as a JavaScript regular expression
+ * @param {boolean} [args.whole_word=false] - Only match whole identifiers
+ * @param {boolean} [args.ignore_case=false] - Case-insensitive matching
+ * @param {boolean} [args.multiline=false] - ^ and $ match at every line (regex m flag)
+ * @param {boolean} [args.dot_all=false] - . matches newlines too (regex s flag)
+ * @param {number} [args.max_files=50] - Refuse when more files than this would change
+ * @param {number} [args.max_replacements] - Refuse when a single file would get more replacements than this
+ * @param {boolean} [args.dryRun=false] - Preview the combined diff without applying
+ * @returns {Object} - Response with per-file summary and combined diff
+ */
+export async function searchAndReplace(args) {
+  try {
+    if (typeof args.replace !== 'string') {
+      throw new Error('replace is required (use an empty string to delete matches)');
+    }
+    const options = {
+      regex: args.regex,
+      wholeWord: args.whole_word,
+      ignoreCase: args.ignore_case,
+      multiline: args.multiline,
+      dotAll: args.dot_all,
+      replaceAll: true,
+      maxReplacements: args.max_replacements
+    };
+    // Validate the pattern once before reading any files
+    buildSearchPattern(args.search, options);
+    
+    const fileIndex = getFileIndex();
+    if (fileIndex.size === 0) {
+      throw new Error(`❌ The file index is empty\n\n🔧 TROUBLESHOOTING:\n1. Call 'refresh_file_index' to build it\n2. Make sure ENABLE_FILE_INDEXING is not set to false`);
+    }
+    
+    const maxFiles = args.max_files || DEFAULT_MAX_FILES;
+    const operations = [];
+    const fileMatches = new Map();
+    let filesScanned = 0;
+    
+    for (const relativePath of [...fileIndex.keys()].sort()) {
+      if (!isPathInScope(relativePath, { glob: args.glob, include: args.include, exclude: args.exclude })) continue;
+      
+      let content;
+      try {
+        ({ content } = await readTextFile(path.resolve(config.WORKSPACE_PATH, relativePath)));
+      } catch (error) {
+        // Binary and unreadable files are skipped
+        debugLog(`Skipping ${relativePath}:`, error.message);
+        continue;
+      }
+      filesScanned++;
+      
+      let result;
+      try {
+        result = replaceInContent(content, args.search, args.replace, options);
+      } catch (error) {
+        throw new Error(`${relativePath}: ${error.message}`);
+      }
+      if (result.matches.length === 0 || result.content === content) continue;
+      
+      operations.push({ op: 'write', path: relativePath, content: result.content });
+      fileMatches.set(relativePath, result.matches);
+      if (operations.length > maxFiles) {
+        throw new Error(`❌ Pattern matches in more than ${maxFiles} files - nothing was changed\n\n🔧 TROUBLESHOOTING:\n1. Narrow the scope with glob, include or exclude\n2. Use whole_word: true to avoid partial identifier matches\n3. Raise max_files if the change really is that wide`);
+      }
+    }
+    
+    if (operations.length === 0) {
+      return {
+        content: [{ type: "text", text: `No matches found in ${filesScanned} file(s) in scope` }]
+      };
+    }
+    
+    const plan = await planChangeset(operations, config.WORKSPACE_PATH);
+    const totalMatches = [...fileMatches.values()].reduce((sum, matches) => sum + matches.length, 0);
+    const summary = [...fileMatches].map(([relativePath, matches]) => {
+      const lines = [...new Set(matches.map(match => match.line))];
+      const shown = lines.length > 10 ? `${lines.slice(0, 10).join(', ')}, ...` : lines.join(', ');
+      return `• ${relativePath}: ${matches.length} replacement(s) on line${lines.length === 1 ? '' : 's'} ${shown}`;
+    });
+    const heading = `${totalMatches} replacement(s) across ${plan.files.size} file(s) (${filesScanned} scanned)`;
+    
+    if (args.dryRun) {
+      return {
+        content: [{ type: "text", text: `PREVIEW of ${heading}:\n${summary.join('\n')}\n\n${plan.diff}` }]
+      };
+    }
+    
+    const change = await commitChangesetWithJournal('search_and_replace', plan);
+    
+    return {
+      content: [{ type: "text", text: `✅ Applied ${heading}:\n${summary.join('\n')}\n\n${plan.diff.trimEnd()}` + formatChangeNote(change) }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
@@ -1,37 +1,44 @@
 // tools/filesystem/write-file.js
 
 import fs from 'fs/promises';
-import { validatePath, writeFileAtomically } from '../../utils/index.js';
+import { validatePath, writeFileAtomically, assertFileVersion, encodeText, detectEncoding, DEFAULT_ENCODING } from '../../utils/index.js';
+import { snapshotPath, recordChange, formatChangeNote } from '../../journal/index.js';
 import { config } from '../../config.js';
 
 /**
  * Implementation of the write_file tool
  * Writes content to a file with atomic operations
+ * Existing text files keep their encoding and BOM; new files are UTF-8
  * 
  * @param {Object} args - Tool arguments
  * @param {string} args.path - File path
  * @param {string} args.content - Content to write
+ * @param {string} [args.expected_hash] - Refuse if the file no longer has this hash
  * @returns {Object} - Response with success message
  */
 export async function writeFile(args) {
   try {
     const validPath = await validatePath(args.path, config.WORKSPACE_PATH);
+    await assertFileVersion(validPath, args.path, args.expected_hash, () => args.content);
+    const before = await snapshotPath(validPath);
     
     // Enhanced: Use atomic operations with proper error handling
     try {
       // Try exclusive creation first
-      await fs.writeFile(validPath, args.content, { encoding: "utf-8", flag: 'wx' });
+      await fs.writeFile(validPath, encodeText(args.content), { flag: 'wx' });
     } catch (error) {
       if (error.code === 'EEXIST') {
-        // File exists, use atomic write
-        await writeFileAtomically(validPath, args.content);
+        // File exists, use atomic write in its current encoding
+        const encoding = detectEncoding(await fs.readFile(validPath));
+        await writeFileAtomically(validPath, args.content, encoding.name === 'binary' ? DEFAULT_ENCODING : encoding);
       } else {
         throw error;
       }
     }
     
+    const change = await recordChange('write_file', validPath, before);
     return {
-      content: [{ type: "text", text: `Successfully wrote to ${args.path}` }]
+      content: [{ type: "text", text: `Successfully wrote to ${args.path}` + formatChangeNote(change) }]
     };
   } catch (error) {
     return {
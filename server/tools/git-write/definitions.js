@@ -0,0 +1,130 @@
+// tools/git-write/definitions.js
+// Git write tool definitions (opt-in via ENABLE_GIT_WRITE)
+
+export const gitStageDefinition = {
+  name: "git_stage",
+  description:
+    "➕ Stage specific files or directories (git add)\n" +
+    "Write mode only - enable 'Allow Git Write Operations' in the extension settings\n" +
+    "Paths are matched literally; the whole tree is never staged implicitly",
+  inputSchema: {
+    type: "object",
+    properties: {
+      paths: {
+        type: "array",
+        items: { type: "string" },
+        description: "Files or directories to stage (relative to the workspace)"
+      }
+    },
+    required: ["paths"]
+  }
+};
+
+export const gitUnstageDefinition = {
+  name: "git_unstage",
+  description:
+    "➖ Unstage specific paths (git restore --staged)\n" +
+    "Write mode only. Working tree changes are kept",
+  inputSchema: {
+    type: "object",
+    properties: {
+      paths: {
+        type: "array",
+        items: { type: "string" },
+        description: "Files or directories to unstage (relative to the workspace)"
+      }
+    },
+    required: ["paths"]
+  }
+};
+
+export const gitCommitDefinition = {
+  name: "git_commit",
+  description:
+    "✅ Commit the staged changes on the current branch\n" +
+    "Write mode only. Refuses protected branches, detached HEAD, empty commits and rebases in progress; never amends\n" +
+    "The message may use {{branch}}, {{date}}, {{staged_count}}, {{staged_files}} and custom {{placeholders}} from variables.\n" +
+    "If a commit template is configured, the message is inserted at its {{message}} placeholder",
+  inputSchema: {
+    type: "object",
+    properties: {
+      message: {
+        type: "string",
+        description: "Commit message (first line is the summary)"
+      },
+      variables: {
+        type: "object",
+        additionalProperties: { type: "string" },
+        description: "Values for custom {{placeholders}} in the message or commit template (optional)"
+      }
+    },
+    required: ["message"]
+  }
+};
+
+export const gitCreateBranchDefinition = {
+  name: "git_create_branch",
+  description:
+    "🌿 Create a new branch and switch to it (git switch --create)\n" +
+    "Write mode only. Uncommitted and staged changes come along. Protected branch names are refused and existing branches are never overwritten",
+  inputSchema: {
+    type: "object",
+    properties: {
+      name: {
+        type: "string",
+        description: "New branch name (e.g. 'feature/login-form')"
+      },
+      start_point: {
+        type: "string",
+        description: "Commit or branch to start from (default: current HEAD)"
+      }
+    },
+    required: ["name"]
+  }
+};
+
+export const gitStashDefinition = {
+  name: "git_stash",
+  description:
+    "📦 Stash uncommitted changes (push) or re-apply and remove a stash entry (pop)\n" +
+    "Write mode only. Dropping or clearing stashes is not available",
+  inputSchema: {
+    type: "object",
+    properties: {
+      action: {
+        type: "string",
+        enum: ["push", "pop"],
+        description: "push saves changes to the stash, pop restores a stash entry"
+      },
+      message: {
+        type: "string",
+        description: "Description for the stash entry (push)"
+      },
+      include_untracked: {
+        type: "boolean",
+        description: "Also stash untracked files (push)",
+        default: false
+      },
+      paths: {
+        type: "array",
+        items: { type: "string" },
+        description: "Only stash these paths (push, optional)"
+      },
+      index: {
+        type: "integer",
+        description: "Stash entry to pop - 0 is the most recent (pop)",
+        default: 0
+      }
+    },
+    required: ["action"]
+  }
+};
+
+// Export all git write tool definitions
+export const gitWriteToolDefinitions = [
+  gitStageDefinition,
+  gitUnstageDefinition,
+  gitCommitDefinition,
+  gitCreateBranchDefinition,
+  gitStashDefinition
+];
@@ -0,0 +1,57 @@
+// tools/git-write/git-commit.js
+
+import { runGitCommand } from '../../utils/index.js';
+import {
+  assertGitWriteEnabled,
+  runGitWrite,
+  getCurrentBranch,
+  isProtectedBranch,
+  assertNoHistoryRewrite,
+  renderCommitMessage,
+  formatGitWriteNote
+} from '../../git-write/index.js';
+import { config } from '../../config.js';
+
+/**
+ * Implementation of the git_commit tool
+ * Commits the staged changes on the current branch (write mode only)
+ * Never amends, never commits unstaged changes and refuses protected branches
+ * 
+ * @param {Object} args - Tool arguments
+ * @param {string} args.message - Commit message; may contain {{placeholders}}
+ * @param {Object} [args.variables] - Values for custom placeholders in the message or template
+ * @returns {Object} - Response with the new commit
+ */
+export async function gitCommit(args) {
+  try {
+    // Refuse before reading the index or rendering the message template
+    assertGitWriteEnabled();
+    const branch = await getCurrentBranch();
+    const staged = await runGitCommand(['diff', '--cached', '--name-only'], config.WORKSPACE_PATH);
+    const stagedFiles = staged ? staged.split('\n') : [];
+    const message = renderCommitMessage(args.message, args.variables, { branch, stagedFiles });
+    
+    await runGitWrite('git_commit', ['commit', `--message=${message}`], async () => {
+      if (!branch) {
+        throw new Error('❌ HEAD is detached - commits made here are easily lost\n\n🔧 TROUBLESHOOTING:\n1. Use \'git_create_branch\' to start a branch at the current commit\n2. Then commit again');
+      }
+      if (isProtectedBranch(branch)) {
+        throw new Error(`❌ Branch '${branch}' is protected - write mode does not commit to it\n\n🔧 TROUBLESHOOTING:\n1. Use 'git_create_branch' to move your work to a new branch (staged changes come along)\n2. Protected patterns: ${config.GIT_PROTECTED_BRANCHES.join(', ')}`);
+      }
+      if (stagedFiles.length === 0) {
+        throw new Error("❌ Nothing is staged\n\n🔧 TROUBLESHOOTING:\n1. Use 'git_stage' to stage specific paths first\n2. Use 'git_status' to see what changed");
+      }
+      await assertNoHistoryRewrite();
+    });
+    
+    const commit = await runGitCommand(['log', '-1', '--format=%h %s'], config.WORKSPACE_PATH);
+    return {
+      content: [{ type: "text", text: `✅ Committed ${commit} on ${branch}\n📄 ${stagedFiles.length} file${stagedFiles.length === 1 ? '' : 's'}: ${stagedFiles.join(', ')}${formatGitWriteNote()}` }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
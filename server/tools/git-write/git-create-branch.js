@@ -0,0 +1,42 @@
+// tools/git-write/git-create-branch.js
+
+import { runGitWrite, isProtectedBranch, formatGitWriteNote } from '../../git-write/index.js';
+import { verifyGitRef } from '../../utils/index.js';
+import { config } from '../../config.js';
+
+/**
+ * Implementation of the git_create_branch tool
+ * Creates a new branch and switches to it; uncommitted changes come along
+ * 
+ * @param {Object} args - Tool arguments
+ * @param {string} args.name - New branch name
+ * @param {string} [args.start_point] - Commit or branch to start from (default: HEAD)
+ * @returns {Object} - Response confirming the switch
+ */
+export async function gitCreateBranch(args) {
+  try {
+    const gitArgs = ['switch', '--create', args.name];
+    if (args.start_point) gitArgs.push(args.start_point);
+    
+    await runGitWrite('git_create_branch', gitArgs, async () => {
+      if (!args.name || args.name.startsWith('-')) {
+        throw new Error(`Invalid branch name: '${args.name}'`);
+      }
+      if (isProtectedBranch(args.name)) {
+        throw new Error(`❌ '${args.name}' matches a protected branch pattern (${config.GIT_PROTECTED_BRANCHES.join(', ')}) - choose another name`);
+      }
+      if (args.start_point) {
+        await verifyGitRef(args.start_point, config.WORKSPACE_PATH, 'Start point');
+      }
+    });
+    
+    return {
+      content: [{ type: "text", text: `✅ Created and switched to branch '${args.name}'${args.start_point ? ` from ${args.start_point}` : ''}${formatGitWriteNote()}` }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
@@ -0,0 +1,30 @@
+// tools/git-write/git-stage.js
+
+import { runGitCommand } from '../../utils/index.js';
+import { runGitWrite, resolveWritePaths, formatGitWriteNote } from '../../git-write/index.js';
+import { config } from '../../config.js';
+
+/**
+ * Implementation of the git_stage tool
+ * Stages specific paths with git add (write mode only)
+ * 
+ * @param {Object} args - Tool arguments
+ * @param {Array<string>} args.paths - Files or directories to stage
+ * @returns {Object} - Response with the staged paths
+ */
+export async function gitStage(args) {
+  try {
+    const paths = await resolveWritePaths(args.paths);
+    await runGitWrite('git_stage', ['add', '--', ...paths]);
+    
+    const staged = await runGitCommand(['diff', '--cached', '--name-status'], config.WORKSPACE_PATH);
+    return {
+      content: [{ type: "text", text: `✅ Staged ${paths.join(', ')}\n\nStaged changes:\n${staged || '(none - the paths had no changes)'}${formatGitWriteNote()}` }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
@@ -0,0 +1,51 @@
+// tools/git-write/git-stash.js
+
+import { runGitCommand } from '../../utils/index.js';
+import { runGitWrite, resolveWritePaths, formatGitWriteNote } from '../../git-write/index.js';
+import { config } from '../../config.js';
+
+/**
+ * Implementation of the git_stash tool
+ * Saves uncommitted changes to the stash, or re-applies and removes a stash entry
+ * Dropping or clearing stashes is not offered
+ * 
+ * @param {Object} args - Tool arguments
+ * @param {string} args.action - 'push' or 'pop'
+ * @param {string} [args.message] - Description for a pushed stash
+ * @param {boolean} [args.include_untracked=false] - Also stash untracked files (push)
+ * @param {Array<string>} [args.paths] - Only stash these paths (push)
+ * @param {number} [args.index=0] - Stash entry to pop (stash@{index})
+ * @returns {Object} - Response with git's output and the stash list
+ */
+export async function gitStash(args) {
+  try {
+    let gitArgs;
+    if (args.action === 'push') {
+      gitArgs = ['stash', 'push'];
+      if (args.include_untracked) gitArgs.push('--include-untracked');
+      if (args.message) gitArgs.push(`--message=${args.message}`);
+      if (args.paths && args.paths.length > 0) gitArgs.push('--', ...await resolveWritePaths(args.paths));
+    } else if (args.action === 'pop') {
+      const index = args.index ?? 0;
+      if (!Number.isInteger(index) || index < 0) {
+        throw new Error(`Invalid stash index: ${args.index}`);
+      }
+      gitArgs = ['stash', 'pop', `stash@{${index}}`];
+    } else {
+      throw new Error(`Unknown stash action '${args.action}' - use push or pop`);
+    }
+    
+    const output = await runGitWrite('git_stash', gitArgs);
+    // The stash reflog lists entries without needing 'stash' in the read-only command list
+    const list = await runGitCommand(['log', '--walk-reflogs', '--format=%gd: %gs', 'refs/stash'], config.WORKSPACE_PATH).catch(() => '');
+    
+    return {
+      content: [{ type: "text", text: `✅ git stash ${args.action}\n${output}\n\nStash list:\n${list || '(empty)'}${formatGitWriteNote()}` }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
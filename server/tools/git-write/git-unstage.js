@@ -0,0 +1,30 @@
+// tools/git-write/git-unstage.js
+
+import { runGitCommand } from '../../utils/index.js';
+import { runGitWrite, resolveWritePaths, formatGitWriteNote } from '../../git-write/index.js';
+import { config } from '../../config.js';
+
+/**
+ * Implementation of the git_unstage tool
+ * Removes specific paths from the index with git restore --staged, keeping working tree changes
+ * 
+ * @param {Object} args - Tool arguments
+ * @param {Array<string>} args.paths - Files or directories to unstage
+ * @returns {Object} - Response with the remaining staged changes
+ */
+export async function gitUnstage(args) {
+  try {
+    const paths = await resolveWritePaths(args.paths);
+    await runGitWrite('git_unstage', ['restore', '--staged', '--', ...paths]);
+    
+    const staged = await runGitCommand(['diff', '--cached', '--name-status'], config.WORKSPACE_PATH);
+    return {
+      content: [{ type: "text", text: `✅ Unstaged ${paths.join(', ')} (working tree changes kept)\n\nStill staged:\n${staged || '(nothing)'}${formatGitWriteNote()}` }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
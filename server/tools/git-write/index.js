@@ -0,0 +1,18 @@
+// tools/git-write/index.js
+
+// Re-exports all git write tool implementations for convenient importing
+export { gitStage } from './git-stage.js';
+export { gitUnstage } from './git-unstage.js';
+export { gitCommit } from './git-commit.js';
+export { gitCreateBranch } from './git-create-branch.js';
+export { gitStash } from './git-stash.js';
+
+// Re-exports all git write tool definitions
+export {
+  gitStageDefinition,
+  gitUnstageDefinition,
+  gitCommitDefinition,
+  gitCreateBranchDefinition,
+  gitStashDefinition,
+  gitWriteToolDefinitions
+} from './definitions.js';
@@ -3,10 +3,21 @@
 
 export const gitStatusDefinition = {
   name: "git_status",
-  description: "Get Git status of the workspace",
+  description: "Get Git status of the workspace, including the state of its submodules",
   inputSchema: {
     type: "object",
-    properties: {}
+    properties: {
+      file_path: {
+        type: "string",
+        description: "A file or directory inside a submodule or nested repository to report on that repository instead (optional)"
+      },
+      format: {
+        type: "string",
+        enum: ["text", "json"],
+        description: "Output format: 'text' (git's porcelain output) or 'json' (staged, unstaged, untracked, renamed and conflicted sections plus branch ahead/behind counts)",
+        default: "text"
+      }
+    }
   }
 };
 
@@ -18,7 +29,7 @@ export const gitDiffDefinition = {
     properties: {
       file_path: {
         type: "string",
-        description: "Specific file to diff (optional)"
+        description: "Specific file to diff (optional); a file inside a submodule is diffed in that submodule"
       },
       staged: {
         type: "boolean",
@@ -44,6 +55,12 @@ export const gitLogDefinition = {
         type: "boolean",
         description: "Show one line per commit",
         default: true
+      },
+      format: {
+        type: "string",
+        enum: ["text", "json"],
+        description: "Output format: 'text' (git's own output) or 'json' (hash, parents, author, committer, dates, subject and body per commit)",
+        default: "text"
       }
     }
   }
@@ -59,6 +76,51 @@ export const gitListBranchesDefinition = {
         type: "boolean",
         description: "Include remote branches",
         default: true
+      },
+      format: {
+        type: "string",
+        enum: ["text", "json"],
+        description: "Output format: 'text' (git's own output) or 'json' (commit, upstream, ahead/behind and gone-upstream flag per branch)",
+        default: "text"
+      }
+    }
+  }
+};
+
+export const gitBranchReportDefinition = {
+  name: "git_branch_report",
+  description: "Branch health report for cleanup: each branch's last commit date and author, commits ahead/behind a base branch, whether it is fully merged into the base and whether its upstream is gone. Filter to stale, merged or upstream-gone branches",
+  inputSchema: {
+    type: "object",
+    properties: {
+      base: {
+        type: "string",
+        description: "Branch to compare against (default: origin's default branch, then main, then master)"
+      },
+      include_remote: {
+        type: "boolean",
+        description: "Also report remote-tracking branches",
+        default: false
+      },
+      stale_days: {
+        type: "integer",
+        description: "Only branches whose last commit is older than this many days"
+      },
+      merged_only: {
+        type: "boolean",
+        description: "Only branches fully merged into the base (merged but not deleted)",
+        default: false
+      },
+      upstream_gone_only: {
+        type: "boolean",
+        description: "Only branches whose upstream branch was deleted",
+        default: false
+      },
+      format: {
+        type: "string",
+        enum: ["text", "json"],
+        description: "'text' for a readable report, 'json' for structured entries",
+        default: "text"
       }
     }
   }
@@ -81,12 +143,18 @@ export const gitCompareBranchesDefinition = {
       },
       file_path: {
         type: "string",
-        description: "Specific file to compare (optional)"
+        description: "Specific file to compare (optional); refs are resolved in the submodule containing it"
       },
       show_stats: {
         type: "boolean",
         description: "Show file change statistics",
         default: true
+      },
+      format: {
+        type: "string",
+        enum: ["text", "json"],
+        description: "Output format: 'text' (git's own output) or 'json' (per-file status and line counts, totals, and commits on each side)",
+        default: "text"
       }
     },
     required: ["base_branch"]
@@ -110,12 +178,18 @@ export const gitCompareCommitsDefinition = {
       },
       file_path: {
         type: "string",
-        description: "Specific file to compare (optional)"
+        description: "Specific file to compare (optional); refs are resolved in the submodule containing it"
       },
       show_stats: {
         type: "boolean",
         description: "Show file change statistics",
         default: true
+      },
+      format: {
+        type: "string",
+        enum: ["text", "json"],
+        description: "Output format: 'text' (git's own output) or 'json' (per-file status and line counts, totals, and commits on each side)",
+        default: "text"
       }
     },
     required: ["commit_from"]
@@ -170,6 +244,531 @@ export const gitBranchHistoryDefinition = {
       since: {
         type: "string",
         description: "Show commits since date (e.g., '2024-01-01', '1 week ago')"
+      },
+      format: {
+        type: "string",
+        enum: ["text", "json"],
+        description: "Output format: 'text' (one line per commit) or 'json' (hash, parents, author, committer, dates, subject and body per commit)",
+        default: "text"
+      }
+    }
+  }
+};
+
+export const gitBlameDefinition = {
+  name: "git_blame",
+  description: "Show who last changed each line of a file and in which commit, grouped into hunks. Respects .git-blame-ignore-revs",
+  inputSchema: {
+    type: "object",
+    properties: {
+      file_path: {
+        type: "string",
+        description: "File to blame (may be inside a submodule or nested repository)"
+      },
+      line_start: {
+        type: "integer",
+        description: "First line to blame (optional)"
+      },
+      line_end: {
+        type: "integer",
+        description: "Last line to blame (optional, default: end of file)"
+      },
+      revision: {
+        type: "string",
+        description: "Blame the file as of this commit or reference (default: working tree)"
+      },
+      ignore_revs: {
+        type: "boolean",
+        description: "Skip commits listed in .git-blame-ignore-revs at the repository root",
+        default: true
+      },
+      include_messages: {
+        type: "boolean",
+        description: "Append the full commit message for each distinct commit",
+        default: false
+      },
+      show_lines: {
+        type: "boolean",
+        description: "Show the line content under each hunk",
+        default: false
+      }
+    },
+    required: ["file_path"]
+  }
+};
+
+export const gitFileHistoryDefinition = {
+  name: "git_file_history",
+  description: "Show the commits that touched a file, following renames, with the file's path at each commit. Optionally include per-commit patches, or trace a line range (e.g. one function) with git log -L",
+  inputSchema: {
+    type: "object",
+    properties: {
+      file_path: {
+        type: "string",
+        description: "File to trace; history comes from the submodule or nested repository containing it"
+      },
+      limit: {
+        type: "integer",
+        description: "Number of commits to show",
+        default: 20
+      },
+      revision: {
+        type: "string",
+        description: "Start the history from this commit or reference",
+        default: "HEAD"
+      },
+      show_patch: {
+        type: "boolean",
+        description: "Include each commit's patch, limited to this file (default: false, or true in line-range mode)"
+      },
+      line_start: {
+        type: "integer",
+        description: "Trace only this line range - first line (enables line-range mode)"
+      },
+      line_end: {
+        type: "integer",
+        description: "Trace only this line range - last line (default: line_start)"
+      }
+    },
+    required: ["file_path"]
+  }
+};
+
+export const gitSearchCommitsDefinition = {
+  name: "git_search_commits",
+  description: "Search commit history by content change (pickaxe -S / -G), message, author, committer, date range and path. Each result lists the files that matched - answers questions like 'when did this config key disappear?'",
+  inputSchema: {
+    type: "object",
+    properties: {
+      content: {
+        type: "string",
+        description: "Commits that add or remove this exact string, e.g. a config key or function name (git log -S)"
+      },
+      diff_regex: {
+        type: "string",
+        description: "Commits whose added or removed lines match this extended regex (git log -G); cannot be combined with content"
+      },
+      message: {
+        type: "string",
+        description: "Commits whose message matches this extended regex"
+      },
+      author: {
+        type: "string",
+        description: "Commits whose author name or email matches this regex"
+      },
+      committer: {
+        type: "string",
+        description: "Commits whose committer name or email matches this regex"
+      },
+      since: {
+        type: "string",
+        description: "Only commits on or after this date - any date git understands, e.g. '2024-05-01' or '3 months ago'"
+      },
+      until: {
+        type: "string",
+        description: "Only commits on or before this date"
+      },
+      paths: {
+        type: "array",
+        items: { type: "string" },
+        description: "Only commits touching these files or directories; all must be in the same repository or submodule"
+      },
+      ignore_case: {
+        type: "boolean",
+        description: "Case-insensitive content, message, author and committer matching",
+        default: false
+      },
+      revision: {
+        type: "string",
+        description: "Search the history of this commit or reference",
+        default: "HEAD"
+      },
+      all_branches: {
+        type: "boolean",
+        description: "Search every local and remote branch and tag instead of one revision",
+        default: false
+      },
+      limit: {
+        type: "integer",
+        description: "Number of commits to show",
+        default: 20
+      },
+      format: {
+        type: "string",
+        enum: ["text", "json"],
+        description: "'text' for a readable list, 'json' for structured commits with their matched files",
+        default: "text"
+      }
+    }
+  }
+};
+
+export const gitChangelogDefinition = {
+  name: "git_changelog",
+  description: "Generate release notes for the commits between two refs: grouped by Conventional Commit type (breaking changes, features, fixes, performance...) or by top-level directory, with links to PRs, issues and commits. Returns a Markdown changelog section or JSON",
+  inputSchema: {
+    type: "object",
+    properties: {
+      from: {
+        type: "string",
+        description: "Previous release tag, branch or commit (its commits are excluded)"
+      },
+      to: {
+        type: "string",
+        description: "New release tag, branch or commit",
+        default: "HEAD"
+      },
+      title: {
+        type: "string",
+        description: "Section heading, e.g. the version being released (default: the 'to' ref)"
+      },
+      group_by: {
+        type: "string",
+        enum: ["type", "directory"],
+        description: "'type' for Conventional Commit sections, 'directory' for one section per top-level directory",
+        default: "type"
+      },
+      include_merges: {
+        type: "boolean",
+        description: "Include merge commits",
+        default: false
+      },
+      repository_url: {
+        type: "string",
+        description: "Web URL of the repository for links (default: derived from the origin remote)"
+      },
+      format: {
+        type: "string",
+        enum: ["markdown", "json"],
+        description: "'markdown' for a changelog section, 'json' for parsed commits with type, scope, directories and references",
+        default: "markdown"
+      }
+    },
+    required: ["from"]
+  }
+};
+
+export const gitContributorsDefinition = {
+  name: "git_contributors",
+  description: "Per-author commits, lines added/removed and files touched for a path or glob over a date range (.mailmap applied), plus an ownership map of the top authors per directory by surviving blame lines and by churn, flagging bus-factor-1 directories",
+  inputSchema: {
+    type: "object",
+    properties: {
+      path: {
+        type: "string",
+        description: "File, directory or glob relative to the workspace, e.g. 'src' or 'src/**/*.js' (default: whole workspace); a path inside a submodule analyses that submodule"
+      },
+      since: {
+        type: "string",
+        description: "Only count commits on or after this date, e.g. '2024-01-01' or '6 months ago'"
+      },
+      until: {
+        type: "string",
+        description: "Only count commits on or before this date"
+      },
+      depth: {
+        type: "number",
+        description: "Directory depth for the ownership map, e.g. 2 groups by 'src/core'",
+        default: 2
+      },
+      top: {
+        type: "number",
+        description: "Authors listed per directory",
+        default: 3
+      },
+      include_ownership: {
+        type: "boolean",
+        description: "Blame files at HEAD to build the ownership map (slower on large trees)",
+        default: true
+      },
+      max_files: {
+        type: "number",
+        description: "Most files to blame for the ownership map",
+        default: 300
+      },
+      format: {
+        type: "string",
+        enum: ["text", "json"],
+        description: "Output format: 'text' (readable report) or 'json' (per-author totals and per-directory rankings with shares and bus factor)",
+        default: "text"
+      }
+    }
+  }
+};
+
+export const gitHotspotsDefinition = {
+  name: "git_hotspots",
+  description: "Rank files by risk: change frequency from git history over a window multiplied by an indentation-based complexity measure, plus temporal coupling (files that are often committed together)",
+  inputSchema: {
+    type: "object",
+    properties: {
+      path: {
+        type: "string",
+        description: "File, directory or glob relative to the workspace, e.g. 'src' or 'src/**/*.ts' (default: whole workspace)"
+      },
+      since: {
+        type: "string",
+        description: "Start of the history window, e.g. '2024-01-01' or '6 months ago'",
+        default: "1 year ago"
+      },
+      until: {
+        type: "string",
+        description: "End of the history window (default: now)"
+      },
+      limit: {
+        type: "number",
+        description: "Hotspots (and coupled pairs) to list",
+        default: 20
+      },
+      min_revisions: {
+        type: "number",
+        description: "Ignore files changed fewer times than this in the window",
+        default: 2
+      },
+      include_coupling: {
+        type: "boolean",
+        description: "Report files that change together",
+        default: true
+      },
+      min_shared_commits: {
+        type: "number",
+        description: "Fewest commits two files must share to be reported as coupled",
+        default: 3
+      },
+      min_coupling: {
+        type: "number",
+        description: "Lowest degree of coupling in percent (shared commits / average revisions of the pair)",
+        default: 30
+      },
+      max_changeset_size: {
+        type: "number",
+        description: "Commits touching more files than this are ignored for coupling (bulk reformatting, renames)",
+        default: 30
+      },
+      format: {
+        type: "string",
+        enum: ["text", "json"],
+        description: "Output format: 'text' (ranked table) or 'json' (per-file revisions, churn, authors and complexity, and coupled pairs)",
+        default: "text"
+      }
+    }
+  }
+};
+
+export const gitPredictConflictsDefinition = {
+  name: "git_predict_conflicts",
+  description: "Predict whether merging one branch into another would conflict, without touching the working tree or index: runs an in-memory merge (git merge-tree) and reports the merge base, the conflicting files with their conflict hunks, and the files that would merge cleanly",
+  inputSchema: {
+    type: "object",
+    properties: {
+      source: {
+        type: "string",
+        description: "Branch or commit that would be merged in, e.g. 'feature-x'"
+      },
+      target: {
+        type: "string",
+        description: "Branch or commit that would receive the merge, e.g. 'main'",
+        default: "HEAD"
+      },
+      include_hunks: {
+        type: "boolean",
+        description: "Show the conflict hunks of each conflicting file",
+        default: true
+      },
+      format: {
+        type: "string",
+        enum: ["text", "json"],
+        description: "'text' for a readable report, 'json' for structured results",
+        default: "text"
+      }
+    },
+    required: ["source"]
+  }
+};
+
+export const gitMergeConflictsDefinition = {
+  name: "git_merge_conflicts",
+  description: "Inspect a merge, rebase, cherry-pick or revert that stopped on conflicts: shows the operation in progress, the unmerged files and each conflict hunk split into ours/base/theirs with line numbers (merge, diff3 and zdiff3 marker styles)",
+  inputSchema: {
+    type: "object",
+    properties: {
+      file_path: {
+        type: "string",
+        description: "Only inspect this file (optional); a file inside a submodule inspects the submodule's merge"
+      },
+      format: {
+        type: "string",
+        enum: ["text", "json"],
+        description: "Output format: 'text' (readable hunks) or 'json' (operation state and parsed hunks per file)",
+        default: "text"
+      }
+    }
+  }
+};
+
+export const gitResolveConflictDefinition = {
+  name: "git_resolve_conflict",
+  description: "Resolve one conflict hunk in a file by keeping ours, theirs, base, both (ours then theirs) or custom text. Writes the working tree file atomically and records the change for undo; it does not stage the file",
+  inputSchema: {
+    type: "object",
+    properties: {
+      file_path: {
+        type: "string",
+        description: "Conflicted file"
+      },
+      hunk: {
+        type: "integer",
+        description: "Hunk number as listed by git_merge_conflicts (1 = first conflict in the file)"
+      },
+      resolution: {
+        type: "string",
+        enum: ["ours", "theirs", "base", "both", "custom"],
+        description: "Which text replaces the hunk. 'base' needs diff3/zdiff3 markers; 'custom' uses content"
+      },
+      content: {
+        type: "string",
+        description: "Replacement text for the 'custom' resolution"
+      },
+      expected_hash: {
+        type: "string",
+        description: "Hash from 'read_file' - refuse with a conflict if the file changed since (optional)"
+      }
+    },
+    required: ["file_path", "hunk", "resolution"]
+  }
+};
+
+export const gitStashListDefinition = {
+  name: "git_stash_list",
+  description: "List stash entries with the branch they were made on, their message and the files each changes (with line counts and untracked files); optionally include each stash's patch",
+  inputSchema: {
+    type: "object",
+    properties: {
+      include_diff: {
+        type: "boolean",
+        description: "Include each stash's patch against the commit it was made on",
+        default: false
+      },
+      since: {
+        type: "string",
+        description: "Only stashes made on or after this date - any date git understands, e.g. '2024-05-01' or '2 weeks ago'"
+      },
+      until: {
+        type: "string",
+        description: "Only stashes made on or before this date"
+      },
+      pattern: {
+        type: "string",
+        description: "Only stashes whose message contains this text (case-insensitive)"
+      },
+      format: {
+        type: "string",
+        enum: ["text", "json"],
+        description: "'text' for a readable list, 'json' for structured entries",
+        default: "text"
+      }
+    }
+  }
+};
+
+export const gitReflogDefinition = {
+  name: "git_reflog",
+  description: "Browse the reflog of HEAD or a branch: every commit it pointed at, with timestamps and the action (commit, checkout, reset, rebase...). Use it to find a commit from before a reset, rebase or deleted branch",
+  inputSchema: {
+    type: "object",
+    properties: {
+      ref: {
+        type: "string",
+        description: "HEAD or a branch name",
+        default: "HEAD"
+      },
+      limit: {
+        type: "integer",
+        description: "Number of entries to show",
+        default: 30
+      },
+      since: {
+        type: "string",
+        description: "Only entries recorded on or after this date - any date git understands, e.g. '2024-05-01' or '2 weeks ago'"
+      },
+      until: {
+        type: "string",
+        description: "Only entries recorded on or before this date"
+      },
+      pattern: {
+        type: "string",
+        description: "Only entries whose reflog message contains this text (case-insensitive), e.g. 'reset' or 'checkout'"
+      },
+      format: {
+        type: "string",
+        enum: ["text", "json"],
+        description: "'text' for a readable list, 'json' for structured entries",
+        default: "text"
+      }
+    }
+  }
+};
+
+export const gitListTagsDefinition = {
+  name: "git_list_tags",
+  description: "List tags, newest first, with the commit each points at, and the tagger and annotation message of annotated tags",
+  inputSchema: {
+    type: "object",
+    properties: {
+      pattern: {
+        type: "string",
+        description: "Only tags whose name matches this glob, e.g. 'v2.*'"
+      },
+      since: {
+        type: "string",
+        description: "Only tags created on or after this date - any date git understands, e.g. '2024-05-01' or '2 weeks ago'"
+      },
+      until: {
+        type: "string",
+        description: "Only tags created on or before this date"
+      },
+      limit: {
+        type: "integer",
+        description: "Number of tags to show",
+        default: 50
+      },
+      format: {
+        type: "string",
+        enum: ["text", "json"],
+        description: "'text' for a readable list, 'json' for structured entries",
+        default: "text"
+      }
+    }
+  }
+};
+
+export const gitListWorktreesDefinition = {
+  name: "git_list_worktrees",
+  description: "List the main worktree and linked worktrees with their checked-out branch, lock state and uncommitted changes",
+  inputSchema: {
+    type: "object",
+    properties: {
+      format: {
+        type: "string",
+        enum: ["text", "json"],
+        description: "Output format: 'text' (readable list) or 'json' (path, branch, head, locked/prunable flags and dirty state per worktree)",
+        default: "text"
+      }
+    }
+  }
+};
+
+export const gitListSubmodulesDefinition = {
+  name: "git_list_submodules",
+  description: "List submodules with the commit recorded by the superproject, the commit checked out and whether they are initialized or modified",
+  inputSchema: {
+    type: "object",
+    properties: {
+      format: {
+        type: "string",
+        enum: ["text", "json"],
+        description: "Output format: 'text' (readable list) or 'json' (path, URL, recorded and checked-out commits and state per submodule)",
+        default: "text"
       }
     }
   }
@@ -181,9 +780,24 @@ export const gitToolDefinitions = [
   gitDiffDefinition,
   gitLogDefinition,
   gitListBranchesDefinition,
+  gitBranchReportDefinition,
   gitCompareBranchesDefinition,
   gitCompareCommitsDefinition,
   gitShowCommitDefinition,
   gitCurrentBranchDefinition,
-  gitBranchHistoryDefinition
+  gitBranchHistoryDefinition,
+  gitBlameDefinition,
+  gitFileHistoryDefinition,
+  gitSearchCommitsDefinition,
+  gitChangelogDefinition,
+  gitContributorsDefinition,
+  gitHotspotsDefinition,
+  gitPredictConflictsDefinition,
+  gitMergeConflictsDefinition,
+  gitResolveConflictDefinition,
+  gitStashListDefinition,
+  gitReflogDefinition,
+  gitListTagsDefinition,
+  gitListWorktreesDefinition,
+  gitListSubmodulesDefinition
 ];
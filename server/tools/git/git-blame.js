@@ -0,0 +1,163 @@
+// tools/git/git-blame.js
+
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  runGitCommand,
+  validatePath,
+  verifyGitRef,
+  parseBlamePorcelain,
+  isUncommittedHash,
+  resolveGitRepository,
+  formatRepositoryNote
+} from '../../utils/index.js';
+import { config } from '../../config.js';
+
+// Conventional file listing formatting-only commits to skip during blame
+const IGNORE_REVS_FILE = '.git-blame-ignore-revs';
+
+/**
+ * Format the commit column of a blame hunk
+ * @param {Object} hunk - Hunk from parseBlamePorcelain
+ * @returns {string} - Short hash, ^-prefixed for boundary commits, or 'uncommitted'
+ */
+function formatCommit(hunk) {
+  if (isUncommittedHash(hunk.commit)) return 'uncommitted';
+  return (hunk.boundary ? '^' : '') + hunk.commit.slice(0, 8);
+}
+
+/**
+ * Fetch full commit messages for a set of commits in a single git call
+ * @param {Array<string>} commits - Full commit hashes
+ * @param {string} cwd - Repository the commits belong to
+ * @returns {Promise<Map<string, string>>} - Hash -> message body
+ */
+async function getCommitMessages(commits, cwd) {
+  const output = await runGitCommand(['show', '--no-patch', '--format=%H%x00%B%x1e', '--end-of-options', ...commits], cwd, { allowTruncation: false });
+  const messages = new Map();
+  for (const record of output.split('\x1e')) {
+    const [hash, message] = record.trim().split('\x00');
+    if (hash) messages.set(hash, (message || '').trim());
+  }
+  return messages;
+}
+
+/**
+ * Count the lines git blame will see: the working tree file, or the file as of a revision
+ * @param {string} validPath - Absolute path of the file
+ * @param {Object} repo - Repository from resolveGitRepository
+ * @param {string|null} revision - Verified revision, or null for the working tree
+ * @returns {Promise<number>} - Number of lines
+ */
+async function countBlameLines(validPath, repo, revision) {
+  const content = revision
+    ? await runGitCommand(['show', `${revision}:./${repo.path}`], repo.cwd, { allowTruncation: false, trimOutput: false })
+    : await fs.readFile(validPath, 'utf-8');
+  const newlines = content.split('\n').length - 1;
+  return content === '' || content.endsWith('\n') ? newlines : newlines + 1;
+}
+
+/**
+ * Implementation of the git_blame tool
+ * Shows who last changed each line of a file, grouped into hunks per commit
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} args.file_path - File to blame
+ * @param {number} [args.line_start] - First line to blame
+ * @param {number} [args.line_end] - Last line to blame
+ * @param {string} [args.revision] - Blame the file as of this commit or reference
+ * @param {boolean} [args.ignore_revs=true] - Skip commits listed in .git-blame-ignore-revs
+ * @param {boolean} [args.include_messages=false] - Append the full message of each commit
+ * @param {boolean} [args.show_lines=false] - Show the line content under each hunk
+ * @returns {Object} - Response with blame hunks
+ */
+export async function gitBlame(args) {
+  try {
+    const validPath = await validatePath(args.file_path, config.WORKSPACE_PATH);
+    const repo = await resolveGitRepository(validPath, config.WORKSPACE_PATH);
+    const relativePath = repo.path;
+
+    // blame mis-parses --end-of-options; verifyGitRef already refuses revisions starting with '-'
+    const revision = args.revision ? await verifyGitRef(args.revision, repo.cwd) : null;
+
+    const gitArgs = ['blame', '--porcelain'];
+    if (args.line_start || args.line_end) {
+      const start = args.line_start || 1;
+      if (args.line_end && args.line_end < start) {
+        throw new Error(`line_end (${args.line_end}) must not be before line_start (${start})`);
+      }
+      // git clamps line_end to the file but fails outright on a line_start past the end
+      const lineCount = await countBlameLines(validPath, repo, revision);
+      if (start > lineCount) {
+        throw new Error(`❌ line_start ${start} is past the end of ${args.file_path}, which has ${lineCount} line${lineCount === 1 ? '' : 's'}${revision ? ` at ${args.revision}` : ''}\n\n🔧 TROUBLESHOOTING:\n1. Use a line_start between 1 and ${lineCount}\n2. Use 'read_file' to check the current content${revision ? ' (line numbers differ between revisions)' : ''}\n3. Omit line_start and line_end to blame the whole file`);
+      }
+      gitArgs.push('-L', `${start},${args.line_end || ''}`);
+    }
+
+    // git only picks up the ignore-revs file automatically when blame.ignoreRevsFile is configured
+    let ignoreRevsNote = '';
+    if (args.ignore_revs === false) {
+      gitArgs.push('--ignore-revs-file=');
+    } else {
+      const ignoreRevsPath = path.join(repo.root, IGNORE_REVS_FILE);
+      try {
+        await fs.access(ignoreRevsPath);
+        gitArgs.push('--ignore-revs-file', ignoreRevsPath);
+        ignoreRevsNote = `\n🙈 Skipping commits listed in ${IGNORE_REVS_FILE}`;
+      } catch {
+        // No ignore file - blame every commit
+      }
+    }
+
+    if (revision) gitArgs.push(revision);
+    gitArgs.push('--', relativePath);
+
+    const hunks = parseBlamePorcelain(await runGitCommand(gitArgs, repo.cwd, { allowTruncation: false }));
+    if (hunks.length === 0) {
+      return {
+        content: [{ type: "text", text: `No lines to blame in ${relativePath}` }]
+      };
+    }
+
+    const distinctCommits = [...new Set(hunks.map(hunk => hunk.commit))];
+    const first = hunks[0].startLine;
+    const last = hunks[hunks.length - 1].endLine;
+    const lineWidth = `L${last}-${last}`.length;
+
+    let text = `${formatRepositoryNote(repo)}📜 Blame for ${relativePath} (lines ${first}-${last})${args.revision ? ` at ${args.revision}` : ''}${ignoreRevsNote}\n\n`;
+    for (const hunk of hunks) {
+      const range = hunk.startLine === hunk.endLine ? `L${hunk.startLine}` : `L${hunk.startLine}-${hunk.endLine}`;
+      const renamed = hunk.filename && hunk.filename !== relativePath ? ` (as ${hunk.filename})` : '';
+      const attribution = isUncommittedHash(hunk.commit)
+        ? 'Not committed yet'
+        : `${hunk.author} <${hunk.authorEmail}>  ${hunk.date}  ${hunk.summary}${renamed}`;
+      text += `${range.padEnd(lineWidth)}  ${formatCommit(hunk).padEnd(11)}  ${attribution}\n`;
+      if (args.show_lines) {
+        text += hunk.lines.map(line => `    │ ${line}`).join('\n') + '\n';
+      }
+    }
+    text += `\n${hunks.length} hunk${hunks.length === 1 ? '' : 's'} from ${distinctCommits.length} commit${distinctCommits.length === 1 ? '' : 's'}`;
+
+    if (args.include_messages) {
+      const committed = distinctCommits.filter(commit => !isUncommittedHash(commit));
+      if (committed.length > 0) {
+        const messages = await getCommitMessages(committed, repo.cwd);
+        text += '\n\n📝 Commit messages:';
+        for (const commit of committed) {
+          const hunk = hunks.find(h => h.commit === commit);
+          const body = (messages.get(commit) || hunk.summary).split('\n').map(line => `    ${line}`).join('\n');
+          text += `\n\n${commit.slice(0, 8)} - ${hunk.author}, ${hunk.date}\n${body}`;
+        }
+      }
+    }
+
+    return {
+      content: [{ type: "text", text }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
@@ -1,6 +1,6 @@
 // tools/git/git-branch-history.js
 
-import { runGitCommand } from '../../utils/index.js';
+import { runGitCommand, verifyGitRef, parseGitLimit, GIT_LOG_FORMAT, parseGitLog } from '../../utils/index.js';
 import { config } from '../../config.js';
 
 /**
@@ -11,15 +11,28 @@ import { config } from '../../config.js';
  * @param {string} [args.branch_name="HEAD"] - Branch name
  * @param {number} [args.limit] - Number of commits to show
  * @param {string} [args.since] - Show commits since date
+ * @param {string} [args.format="text"] - 'text' for one line per commit, 'json' for parsed commits
  * @returns {Object} - Response with branch history
  */
 export async function gitBranchHistory(args) {
   try {
-    const gitArgs = ['log', args.branch_name || 'HEAD'];
-    if (args.limit) gitArgs.push(`-${args.limit}`);
-    if (args.since) gitArgs.push(`--since="${args.since}"`);
-    gitArgs.push('--oneline');
+    const branch = await verifyGitRef(args.branch_name || 'HEAD', config.WORKSPACE_PATH, 'Branch');
+    const limit = parseGitLimit(args.limit, null);
     
+    // Options first: everything after --end-of-options is read as a revision
+    const gitArgs = ['log', args.format === 'json' ? GIT_LOG_FORMAT : '--oneline'];
+    if (limit) gitArgs.push(`--max-count=${limit}`);
+    if (args.since) gitArgs.push(`--since=${args.since}`);
+    gitArgs.push('--end-of-options', branch);
+
+    if (args.format === 'json') {
+      const output = await runGitCommand(gitArgs, config.WORKSPACE_PATH, { allowTruncation: false });
+      const commits = parseGitLog(output).map(({ extra, ...commit }) => commit);
+      return {
+        content: [{ type: "text", text: JSON.stringify(commits, null, 2) }]
+      };
+    }
+
     const output = await runGitCommand(gitArgs, config.WORKSPACE_PATH);
     return {
       content: [{ type: "text", text: output }]
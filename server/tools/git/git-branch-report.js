@@ -0,0 +1,137 @@
+// tools/git/git-branch-report.js
+
+import { runGitCommand, verifyGitRef, GIT_BRANCH_FORMAT, parseBranchList } from '../../utils/index.js';
+import { config } from '../../config.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Pick the base branch when none was given: origin's default branch, then main, then master
+ * @returns {Promise<string>} - Branch name
+ * @throws {Error} If none of them exists
+ */
+async function detectBaseBranch() {
+  const originHead = await runGitCommand(['rev-parse', '--abbrev-ref', 'origin/HEAD'], config.WORKSPACE_PATH).catch(() => '');
+  if (originHead && originHead !== 'origin/HEAD') return originHead;
+
+  for (const candidate of ['main', 'master']) {
+    try {
+      return await verifyGitRef(candidate, config.WORKSPACE_PATH);
+    } catch {
+      // Try the next candidate
+    }
+  }
+  throw new Error(`❌ Could not detect a base branch (no origin/HEAD, main or master)\n\n🔧 TROUBLESHOOTING:\n1. Pass base, e.g. base: "develop"\n2. Use 'git_list_branches' to see branch names`);
+}
+
+/**
+ * Format the status flags of a branch
+ * @param {Object} branch - Branch report entry
+ * @returns {string} - e.g. ' [current] [merged] [upstream gone]'
+ */
+function formatFlags(branch) {
+  let flags = '';
+  if (branch.current) flags += ' [current]';
+  if (branch.merged) flags += ' [merged]';
+  if (branch.upstreamGone) flags += ' [upstream gone]';
+  return flags;
+}
+
+/**
+ * Implementation of the git_branch_report tool
+ * Reports each branch's last commit, divergence from a base branch, merge state and upstream state
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} [args.base] - Branch to compare against (default: origin's default branch, main or master)
+ * @param {boolean} [args.include_remote=false] - Also report remote-tracking branches
+ * @param {number} [args.stale_days] - Only branches whose last commit is older than this many days
+ * @param {boolean} [args.merged_only=false] - Only branches fully merged into the base (safe to delete)
+ * @param {boolean} [args.upstream_gone_only=false] - Only branches whose upstream was deleted
+ * @param {string} [args.format="text"] - 'text' for a readable report, 'json' for structured entries
+ * @returns {Object} - Response with the branch report
+ */
+export async function gitBranchReport(args) {
+  try {
+    if (args.stale_days !== undefined && !(Number.isInteger(args.stale_days) && args.stale_days >= 0)) {
+      throw new Error(`stale_days must be a non-negative integer, got '${args.stale_days}'`);
+    }
+    const base = args.base
+      ? await verifyGitRef(args.base, config.WORKSPACE_PATH, 'Base branch')
+      : await detectBaseBranch();
+
+    const listArgs = ['branch', GIT_BRANCH_FORMAT];
+    if (args.include_remote) listArgs.push('--all');
+    const branches = parseBranchList(await runGitCommand(listArgs, config.WORKSPACE_PATH, { allowTruncation: false }))
+      // Skips origin/HEAD-style aliases and the "(HEAD detached at ...)" row
+      .filter(branch => branch.ref.startsWith('refs/') && !branch.symref && branch.name !== base);
+
+    const now = Date.now();
+    const report = [];
+    for (const branch of branches) {
+      // Left side: commits only on the base (behind); right side: commits only on the branch (ahead)
+      const counts = await runGitCommand(['rev-list', '--left-right', '--count', '--end-of-options', `${base}...${branch.ref}`], config.WORKSPACE_PATH);
+      const [behind, ahead] = counts.split(/\s+/).map(Number);
+      report.push({
+        name: branch.name,
+        remote: branch.remote,
+        current: branch.current,
+        commit: branch.commit,
+        lastCommitDate: branch.lastCommitDate,
+        lastCommitAuthor: branch.lastCommitAuthor,
+        lastCommitAuthorEmail: branch.lastCommitAuthorEmail,
+        lastCommitSubject: branch.lastCommitSubject,
+        ageDays: Math.floor((now - Date.parse(branch.lastCommitDate)) / DAY_MS),
+        ahead,
+        behind,
+        merged: ahead === 0,
+        upstream: branch.upstream,
+        upstreamGone: branch.upstreamGone
+      });
+    }
+
+    const matching = report
+      .filter(branch => args.stale_days === undefined || branch.ageDays > args.stale_days)
+      .filter(branch => !args.merged_only || branch.merged)
+      .filter(branch => !args.upstream_gone_only || branch.upstreamGone)
+      .sort((a, b) => b.ageDays - a.ageDays || a.name.localeCompare(b.name));
+
+    if (args.format === 'json') {
+      return {
+        content: [{ type: "text", text: JSON.stringify({ base, branches: matching }, null, 2) }]
+      };
+    }
+
+    const filters = [];
+    if (args.stale_days !== undefined) filters.push(`stale > ${args.stale_days} days`);
+    if (args.merged_only) filters.push('merged');
+    if (args.upstream_gone_only) filters.push('upstream gone');
+    const filterNote = filters.length > 0 ? ` (${filters.join(', ')})` : '';
+
+    if (matching.length === 0) {
+      return {
+        content: [{ type: "text", text: `No branches${filterNote} compared with ${base}` }]
+      };
+    }
+
+    let text = `🌿 ${matching.length} branch${matching.length === 1 ? '' : 'es'}${filterNote} compared with ${base}, oldest first\n\n`;
+    const width = Math.max(...matching.map(branch => branch.name.length));
+    for (const branch of matching) {
+      const age = branch.ageDays === 0 ? 'today' : `${branch.ageDays}d ago`;
+      text += `${branch.name.padEnd(width)}  ${branch.lastCommitDate.slice(0, 10)} (${age})  +${branch.ahead} -${branch.behind}  ${branch.lastCommitAuthor}${formatFlags(branch)}\n`;
+    }
+
+    const merged = matching.filter(branch => branch.merged && !branch.current && !branch.remote).length;
+    if (merged > 0) {
+      text += `\n💡 ${merged} local branch${merged === 1 ? ' is' : 'es are'} fully merged into ${base} and can be deleted with 'git branch -d'`;
+    }
+
+    return {
+      content: [{ type: "text", text: text.trimEnd() }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
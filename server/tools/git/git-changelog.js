@@ -0,0 +1,155 @@
+// tools/git/git-changelog.js
+
+import {
+  runGitCommand,
+  verifyGitRef,
+  GIT_LOG_FORMAT,
+  parseGitLog,
+  CHANGELOG_SECTIONS,
+  parseConventionalCommit,
+  findCommitReferences,
+  getRepositoryWebUrl,
+  buildRepositoryLink
+} from '../../utils/index.js';
+import { config } from '../../config.js';
+
+// Files at the repository root are grouped under this name
+const ROOT_DIRECTORY = '(root)';
+
+/**
+ * Work out which changelog section a commit belongs to
+ * @param {Object} conventional - Result of parseConventionalCommit
+ * @returns {string} - Section key from CHANGELOG_SECTIONS (breaking commits also appear in their own type's section)
+ */
+function sectionFor(conventional) {
+  const known = CHANGELOG_SECTIONS.some(section => section.key === conventional.type && section.key !== 'breaking');
+  return known ? conventional.type : 'other';
+}
+
+/**
+ * Format a commit as a Markdown list item
+ * @param {Object} entry - Changelog entry
+ * @param {boolean} withType - Prefix the Conventional Commit type (used when grouping by directory)
+ * @returns {string} - Markdown line
+ */
+function formatEntry(entry, withType) {
+  const link = (label, url) => url ? `[${label}](${url})` : label;
+  const prefix = withType && entry.type
+    ? `**${entry.type}${entry.scope ? `(${entry.scope})` : ''}${entry.breaking ? '!' : ''}:** `
+    : entry.scope ? `**${entry.scope}:** ` : '';
+  // Squash-merge subjects already end with "(#123)"; the appended link replaces it
+  let description = entry.description.replace(/\s*\(#\d+\)\s*$/, '');
+  const appended = [];
+  for (const ref of entry.references) {
+    const mention = new RegExp(`(^|[\\s(,;:])(${ref.kind === 'merge_request' ? '!' : '#|GH-'})${ref.number}\\b`);
+    if (mention.test(description)) {
+      // Mentioned in the text already ("closes #34"): link it there instead of repeating it
+      if (ref.url) description = description.replace(mention, (match, before, sigil) => `${before}${link(`${sigil}${ref.number}`, ref.url)}`);
+    } else {
+      appended.push(link(`${ref.kind === 'merge_request' ? '!' : '#'}${ref.number}`, ref.url));
+    }
+  }
+  const references = appended.join(', ');
+  return `- ${prefix}${description}${references ? ` (${references})` : ''} (${link(entry.shortHash, entry.url)})`;
+}
+
+/**
+ * Implementation of the git_changelog tool
+ * Builds a release-notes section from the commits between two refs, grouped by
+ * Conventional Commit type or by top-level directory, with PR/issue links
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} args.from - Previous release: tag, branch or commit (excluded)
+ * @param {string} [args.to="HEAD"] - New release: tag, branch or commit (included)
+ * @param {string} [args.title] - Section heading, e.g. the version being released (default: the 'to' ref)
+ * @param {string} [args.group_by="type"] - 'type' for Features/Bug Fixes/... sections, 'directory' for top-level directories
+ * @param {boolean} [args.include_merges=false] - Include merge commits
+ * @param {string} [args.repository_url] - Web URL for links (default: derived from the origin remote)
+ * @param {string} [args.format="markdown"] - 'markdown' for a changelog section, 'json' for structured entries
+ * @returns {Object} - Response with the changelog
+ */
+export async function gitChangelog(args) {
+  try {
+    const groupBy = args.group_by || 'type';
+    if (groupBy !== 'type' && groupBy !== 'directory') {
+      throw new Error(`Unknown group_by '${args.group_by}' - use type or directory`);
+    }
+    const from = await verifyGitRef(args.from, config.WORKSPACE_PATH, 'From ref');
+    const to = await verifyGitRef(args.to || 'HEAD', config.WORKSPACE_PATH, 'To ref');
+
+    let webUrl = args.repository_url ? args.repository_url.replace(/\/+$/, '') : null;
+    if (!webUrl) {
+      const remote = await runGitCommand(['config', '--get', 'remote.origin.url'], config.WORKSPACE_PATH).catch(() => '');
+      webUrl = getRepositoryWebUrl(remote);
+    }
+
+    const gitArgs = ['log', GIT_LOG_FORMAT, '--name-only'];
+    if (!args.include_merges) gitArgs.push('--no-merges');
+    gitArgs.push('--end-of-options', `${from}..${to}`);
+    const commits = parseGitLog(await runGitCommand(gitArgs, config.WORKSPACE_PATH, { allowTruncation: false }));
+
+    const entries = commits.map(commit => {
+      const conventional = parseConventionalCommit(commit.subject, commit.body);
+      const files = commit.extra.split('\n').filter(Boolean);
+      const directories = [...new Set(files.map(file => file.includes('/') ? file.slice(0, file.indexOf('/')) : ROOT_DIRECTORY))].sort();
+      return {
+        hash: commit.hash,
+        shortHash: commit.shortHash,
+        url: buildRepositoryLink(webUrl, { commit: commit.hash }),
+        date: commit.authorDate,
+        author: commit.author,
+        subject: commit.subject,
+        ...conventional,
+        section: sectionFor(conventional),
+        directories,
+        references: findCommitReferences(`${commit.subject}\n\n${commit.body}`)
+          .map(ref => ({ ...ref, url: buildRepositoryLink(webUrl, ref) }))
+      };
+    });
+
+    const endDate = await runGitCommand(['log', '--max-count=1', '--format=%cs', '--end-of-options', to], config.WORKSPACE_PATH);
+    const title = args.title || to;
+
+    if (args.format === 'json') {
+      return {
+        content: [{ type: "text", text: JSON.stringify({ title, from, to, date: endDate, repositoryUrl: webUrl, commits: entries }, null, 2) }]
+      };
+    }
+
+    let markdown = `## ${title} (${endDate})\n`;
+    if (entries.length === 0) {
+      markdown += `\nNo changes since ${from}.\n`;
+    } else if (groupBy === 'type') {
+      for (const section of CHANGELOG_SECTIONS) {
+        const items = section.key === 'breaking'
+          ? entries.filter(entry => entry.breaking)
+          : entries.filter(entry => entry.section === section.key);
+        if (items.length === 0) continue;
+        markdown += `\n### ${section.title}\n\n`;
+        for (const item of items) {
+          markdown += formatEntry(item, false) + '\n';
+          if (section.key === 'breaking' && item.breakingNote) {
+            markdown += item.breakingNote.split('\n').map(line => `  ${line}`.trimEnd()).join('\n') + '\n';
+          }
+        }
+      }
+    } else {
+      const directories = [...new Set(entries.flatMap(entry => entry.directories))].sort();
+      for (const directory of directories) {
+        markdown += `\n### ${directory === ROOT_DIRECTORY ? directory : `${directory}/`}\n\n`;
+        for (const item of entries.filter(entry => entry.directories.includes(directory))) {
+          markdown += formatEntry(item, true) + '\n';
+        }
+      }
+    }
+
+    return {
+      content: [{ type: "text", text: markdown.trimEnd() }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
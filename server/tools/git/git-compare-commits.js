@@ -1,6 +1,6 @@
 // tools/git/git-compare-commits.js
 
-import { runGitCommand } from '../../utils/index.js';
+import { runGitCommand, validatePath, verifyGitRef, compareRefs, resolveGitRepository, formatRepositoryNote } from '../../utils/index.js';
 import { config } from '../../config.js';
 
 /**
@@ -10,19 +10,40 @@ import { config } from '../../config.js';
  * @param {Object} args - Tool arguments
  * @param {string} args.commit_from - Starting commit hash or reference
  * @param {string} [args.commit_to="HEAD"] - Ending commit hash or reference
- * @param {string} [args.file_path] - Specific file to compare
+ * @param {string} [args.file_path] - Specific file to compare; a file in a submodule is compared there
  * @param {boolean} [args.show_stats=true] - Show file change statistics
+ * @param {string} [args.format="text"] - 'text' for git's own output, 'json' for per-file changes and commits
  * @returns {Object} - Response with comparison output
  */
 export async function gitCompareCommits(args) {
   try {
-    const gitArgs = ['diff', `${args.commit_from}...${args.commit_to || 'HEAD'}`];
+    // A file inside a submodule or nested repository is compared in that repository
+    let repo = null;
+    if (args.file_path) {
+      const validPath = await validatePath(args.file_path, config.WORKSPACE_PATH);
+      repo = await resolveGitRepository(validPath, config.WORKSPACE_PATH);
+    }
+    const cwd = repo ? repo.cwd : config.WORKSPACE_PATH;
+    const filePath = repo ? repo.path : null;
+    const from = await verifyGitRef(args.commit_from, cwd, 'Starting commit');
+    const to = await verifyGitRef(args.commit_to || 'HEAD', cwd, 'Ending commit');
+
+    if (args.format === 'json') {
+      const comparison = await compareRefs(from, to, cwd, filePath);
+      if (repo && repo.nested) comparison.repository = repo.label;
+      return {
+        content: [{ type: "text", text: JSON.stringify(comparison, null, 2) }]
+      };
+    }
+
+    const gitArgs = ['diff'];
     if (args.show_stats) gitArgs.push('--stat');
-    if (args.file_path) gitArgs.push(args.file_path);
+    gitArgs.push('--end-of-options', `${from}...${to}`);
+    if (filePath) gitArgs.push('--', filePath);
     
-    const output = await runGitCommand(gitArgs, config.WORKSPACE_PATH);
+    const output = await runGitCommand(gitArgs, cwd);
     return {
-      content: [{ type: "text", text: output || `No differences between ${args.commit_from} and ${args.commit_to || 'HEAD'}` }]
+      content: [{ type: "text", text: formatRepositoryNote(repo) + (output || `No differences between ${from} and ${to}`) }]
     };
   } catch (error) {
     return {
@@ -0,0 +1,236 @@
+// tools/git/git-contributors.js
+
+import {
+  runGitCommand,
+  parseGitLimit,
+  resolveHistoryScope,
+  readChangeHistory,
+  parseBlamePorcelain,
+  formatGitDate,
+  formatRepositoryNote
+} from '../../utils/index.js';
+import { config } from '../../config.js';
+
+// Files at the repository root are grouped under this name
+const ROOT_DIRECTORY = '(root)';
+
+// Files blamed for the ownership map unless max_files says otherwise
+const DEFAULT_MAX_BLAME_FILES = 300;
+
+/**
+ * Directory a file is grouped under, cut to the requested depth
+ * @param {string} filePath - Path relative to the repository root
+ * @param {number} depth - Number of leading directories to keep
+ * @returns {string} - e.g. 'src/core', or ROOT_DIRECTORY for top-level files
+ */
+function directoryOf(filePath, depth) {
+  const parts = filePath.split('/').slice(0, -1);
+  return parts.length === 0 ? ROOT_DIRECTORY : parts.slice(0, depth).join('/');
+}
+
+/**
+ * Add an author's count to a per-directory tally
+ * @param {Map} directories - Directory name → { lines: Map, churn: Map }
+ * @param {string} directory - Directory name
+ * @param {string} kind - 'lines' or 'churn'
+ * @param {string} key - Author key (lower-cased email)
+ * @param {number} count - Amount to add
+ */
+function tally(directories, directory, kind, key, count) {
+  if (!directories.has(directory)) directories.set(directory, { lines: new Map(), churn: new Map() });
+  const counts = directories.get(directory)[kind];
+  counts.set(key, (counts.get(key) || 0) + count);
+}
+
+/**
+ * Rank authors by their share of a directory's total
+ * @param {Map<string, number>} counts - Author key → count
+ * @param {Map<string, Object>} people - Author key → { name, email }
+ * @returns {Array<Object>} - { name, email, count, share } sorted by count, share as a whole percentage
+ */
+function rankAuthors(counts, people) {
+  const total = [...counts.values()].reduce((sum, count) => sum + count, 0);
+  return [...counts.entries()]
+    .map(([key, count]) => ({ ...people.get(key), count, share: total === 0 ? 0 : Math.round((count / total) * 100) }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * Smallest number of authors who together wrote more than half of the surviving lines
+ * @param {Array<Object>} ranked - Result of rankAuthors for surviving lines
+ * @returns {number|null} - Bus factor, or null for a directory without blamed lines
+ */
+function busFactor(ranked) {
+  const total = ranked.reduce((sum, author) => sum + author.count, 0);
+  if (total === 0) return null;
+  let covered = 0;
+  for (let i = 0; i < ranked.length; i++) {
+    covered += ranked[i].count;
+    if (covered * 2 > total) return i + 1;
+  }
+  return ranked.length;
+}
+
+/**
+ * Implementation of the git_contributors tool
+ * Per-author commit and line statistics for a path over a date range, plus an ownership map of the
+ * top authors per directory by surviving (blamed) lines and by churn, with .mailmap applied throughout
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} [args.path] - File, directory or glob such as 'src/**\/*.js' (default: the whole workspace)
+ * @param {string} [args.since] - Only count commits on or after this date, e.g. '6 months ago'
+ * @param {string} [args.until] - Only count commits on or before this date
+ * @param {number} [args.depth=2] - Directory depth the ownership map groups files by
+ * @param {number} [args.top=3] - Authors listed per directory
+ * @param {boolean} [args.include_ownership=true] - Blame files at HEAD to build the ownership map
+ * @param {number} [args.max_files=300] - Most files to blame for the ownership map
+ * @param {string} [args.format="text"] - 'text' for a readable report, 'json' for structured results
+ * @returns {Object} - Response with the contributor statistics and ownership map
+ */
+export async function gitContributors(args) {
+  try {
+    const depth = parseGitLimit(args.depth, 2, 'depth');
+    const top = parseGitLimit(args.top, 3, 'top');
+    const maxFiles = parseGitLimit(args.max_files, DEFAULT_MAX_BLAME_FILES, 'max_files');
+    const { repo, cwd, pathspec } = await resolveHistoryScope(args.path, config.WORKSPACE_PATH);
+
+    const commits = await readChangeHistory({ since: args.since, until: args.until, pathspec }, cwd);
+
+    // Authors are keyed by their (mailmapped) email; names come from the newest commit
+    const people = new Map();
+    const authors = new Map();
+    const directories = new Map();
+    for (const commit of commits) {
+      const key = commit.authorEmail.toLowerCase();
+      if (!people.has(key)) people.set(key, { name: commit.author, email: commit.authorEmail });
+      if (!authors.has(key)) {
+        authors.set(key, { commits: 0, additions: 0, deletions: 0, files: new Set(), first: commit.timestamp, last: commit.timestamp });
+      }
+      const stats = authors.get(key);
+      stats.commits++;
+      stats.first = Math.min(stats.first, commit.timestamp);
+      stats.last = Math.max(stats.last, commit.timestamp);
+      for (const file of commit.files) {
+        stats.additions += file.additions;
+        stats.deletions += file.deletions;
+        stats.files.add(file.path);
+        tally(directories, directoryOf(file.path, depth), 'churn', key, file.additions + file.deletions);
+      }
+    }
+
+    const ownership = { blamedFiles: 0, skippedFiles: 0, totalFiles: 0 };
+    if (args.include_ownership !== false) {
+      const root = await runGitCommand(['rev-parse', '--show-toplevel'], cwd);
+      // --eol reports i/-text for binary files and i/none for empty ones; neither has lines to own
+      const listing = await runGitCommand(['ls-files', '--eol', '-z', '--full-name', '--', pathspec], cwd, { allowTruncation: false });
+      const files = listing.split('\x00').filter(Boolean)
+        .filter(entry => /^i\/(lf|crlf|mixed)\s/.test(entry))
+        .map(entry => entry.slice(entry.indexOf('\t') + 1));
+      ownership.totalFiles = files.length;
+
+      for (const file of files.slice(0, maxFiles)) {
+        try {
+          // Blame reads .mailmap too, so its authors line up with the history above
+          const hunks = parseBlamePorcelain(await runGitCommand(['blame', '--porcelain', 'HEAD', '--', file], root, { allowTruncation: false }));
+          for (const hunk of hunks) {
+            const key = hunk.authorEmail.toLowerCase();
+            if (!people.has(key)) people.set(key, { name: hunk.author, email: hunk.authorEmail });
+            tally(directories, directoryOf(file, depth), 'lines', key, hunk.endLine - hunk.startLine + 1);
+          }
+          ownership.blamedFiles++;
+        } catch {
+          // Staged but never committed, or too large to blame
+          ownership.skippedFiles++;
+        }
+      }
+    }
+
+    const contributors = [...authors.entries()]
+      .map(([key, stats]) => ({
+        ...people.get(key),
+        commits: stats.commits,
+        additions: stats.additions,
+        deletions: stats.deletions,
+        files: stats.files.size,
+        firstCommit: formatGitDate(stats.first),
+        lastCommit: formatGitDate(stats.last)
+      }))
+      .sort((a, b) => b.commits - a.commits || (b.additions + b.deletions) - (a.additions + a.deletions));
+
+    const map = [...directories.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([directory, counts]) => {
+        const byLines = rankAuthors(counts.lines, people);
+        const byChurn = rankAuthors(counts.churn, people);
+        return {
+          directory,
+          lines: byLines.reduce((sum, author) => sum + author.count, 0),
+          churn: byChurn.reduce((sum, author) => sum + author.count, 0),
+          busFactor: busFactor(byLines),
+          topByLines: byLines.slice(0, top),
+          topByChurn: byChurn.slice(0, top)
+        };
+      });
+    const singleOwner = map.filter(entry => entry.busFactor === 1).map(entry => entry.directory);
+
+    if (args.format === 'json') {
+      const report = {
+        repository: repo && repo.nested ? repo.label : null,
+        path: args.path || '.',
+        since: args.since || null,
+        until: args.until || null,
+        totals: {
+          commits: commits.length,
+          additions: contributors.reduce((sum, author) => sum + author.additions, 0),
+          deletions: contributors.reduce((sum, author) => sum + author.deletions, 0)
+        },
+        contributors,
+        ownership: args.include_ownership === false ? null : { ...ownership, depth, directories: map, busFactorOne: singleOwner }
+      };
+      return {
+        content: [{ type: "text", text: JSON.stringify(report, null, 2) }]
+      };
+    }
+
+    const range = [args.since && `since ${args.since}`, args.until && `until ${args.until}`].filter(Boolean).join(', ');
+    const scope = `${args.path || 'the workspace'}${range ? ` (${range})` : ''}`;
+    let text = formatRepositoryNote(repo);
+    if (contributors.length === 0) {
+      text += `No commits touch ${scope}\n`;
+    } else {
+      text += `👥 ${contributors.length} contributor${contributors.length === 1 ? '' : 's'} to ${scope}, ${commits.length} commit${commits.length === 1 ? '' : 's'}\n\n`;
+      const width = Math.max(...contributors.map(author => `${author.name} <${author.email}>`.length));
+      for (const author of contributors) {
+        text += `${`${author.name} <${author.email}>`.padEnd(width)}  ${String(author.commits).padStart(4)} commit${author.commits === 1 ? ' ' : 's'}  +${author.additions} -${author.deletions}  ${author.files} file${author.files === 1 ? '' : 's'}  ${author.firstCommit} → ${author.lastCommit}\n`;
+      }
+    }
+
+    if (args.include_ownership !== false && map.length > 0) {
+      const describe = ranked => ranked.map(author => `${author.name} ${author.share}%`).join(', ') || '-';
+      text += `\n🗺️ Ownership by directory (lines: surviving lines at HEAD per blame; churn: lines added + removed${range ? ` ${range}` : ''})\n`;
+      for (const entry of map) {
+        text += `\n${entry.directory}  ${entry.lines} line${entry.lines === 1 ? '' : 's'}, churn ${entry.churn}${entry.busFactor === 1 ? '  ⚠️ bus factor 1' : ''}\n`;
+        text += `    Lines: ${describe(entry.topByLines)}\n`;
+        text += `    Churn: ${describe(entry.topByChurn)}\n`;
+      }
+      if (singleOwner.length > 0) {
+        text += `\n⚠️ ${singleOwner.length} director${singleOwner.length === 1 ? 'y relies' : 'ies rely'} on one author for most of the surviving code: ${singleOwner.join(', ')}\n`;
+      }
+      if (ownership.totalFiles > maxFiles) {
+        text += `\nℹ️ Blamed ${maxFiles} of ${ownership.totalFiles} files - raise max_files or narrow path for a complete map\n`;
+      }
+      if (ownership.skippedFiles > 0) {
+        text += `ℹ️ ${ownership.skippedFiles} file${ownership.skippedFiles === 1 ? ' was' : 's were'} skipped (not committed yet or too large to blame)\n`;
+      }
+    }
+
+    return {
+      content: [{ type: "text", text: text.trimEnd() }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
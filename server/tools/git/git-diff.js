@@ -1,6 +1,6 @@
 // tools/git/git-diff.js
 
-import { runGitCommand } from '../../utils/index.js';
+import { runGitCommand, validatePath, resolveGitRepository, formatRepositoryNote } from '../../utils/index.js';
 import { config } from '../../config.js';
 
 /**
@@ -9,18 +9,23 @@ import { config } from '../../config.js';
  * 
  * @param {Object} args - Tool arguments
  * @param {boolean} [args.staged] - Show staged changes only
- * @param {string} [args.file_path] - Specific file to diff
+ * @param {string} [args.file_path] - Specific file to diff, in whichever repository (workspace or submodule) holds it
  * @returns {Object} - Response with git diff output
  */
 export async function gitDiff(args) {
   try {
     const gitArgs = ['diff'];
     if (args.staged) gitArgs.push('--cached');
-    if (args.file_path) gitArgs.push(args.file_path);
+    let repo = null;
+    if (args.file_path) {
+      const validPath = await validatePath(args.file_path, config.WORKSPACE_PATH);
+      repo = await resolveGitRepository(validPath, config.WORKSPACE_PATH);
+      gitArgs.push('--', repo.path);
+    }
     
-    const output = await runGitCommand(gitArgs, config.WORKSPACE_PATH);
+    const output = await runGitCommand(gitArgs, repo ? repo.cwd : config.WORKSPACE_PATH);
     return {
-      content: [{ type: "text", text: output || "No changes" }]
+      content: [{ type: "text", text: formatRepositoryNote(repo) + (output || "No changes") }]
     };
   } catch (error) {
     return {
@@ -0,0 +1,140 @@
+// tools/git/git-file-history.js
+
+import {
+  runGitCommand,
+  validatePath,
+  verifyGitRef,
+  parseGitLimit,
+  GIT_LOG_FORMAT,
+  parseGitLog,
+  describeStatusLetter,
+  resolveGitRepository,
+  formatRepositoryNote
+} from '../../utils/index.js';
+import { config } from '../../config.js';
+
+/**
+ * Read the file's path and change status from a --name-status body
+ * @param {string} body - Name-status lines for one commit
+ * @returns {Object} - { path, previousPath, status, similarity }
+ */
+function parseNameStatus(body) {
+  const line = body.split('\n').find(row => /^[A-Z]\d*\t/.test(row));
+  if (!line) return { path: null, previousPath: null, status: null, similarity: null };
+
+  const [code, ...paths] = line.split('\t');
+  return {
+    path: paths[paths.length - 1],
+    previousPath: paths.length > 1 ? paths[0] : null,
+    status: describeStatusLetter(code[0]),
+    similarity: code.length > 1 ? parseInt(code.slice(1)) : null
+  };
+}
+
+/**
+ * Read the file's path from the headers of a line-range (-L) patch
+ * @param {string} patch - Patch for one commit
+ * @returns {string|null} - Post-image path
+ */
+function pathFromPatch(patch) {
+  const newPath = patch.match(/^\+\+\+ b\/(.*?)\t?$/m);
+  if (newPath) return newPath[1];
+  const oldPath = patch.match(/^--- a\/(.*?)\t?$/m);
+  return oldPath ? oldPath[1] : null;
+}
+
+/**
+ * Describe where the file was at a commit
+ * @param {Object} change - Result of parseNameStatus
+ * @returns {string} - e.g. 'src/a.js (modified)' or 'a.js → src/a.js (renamed, 98% similar)'
+ */
+function formatChange(change) {
+  if (!change.path) return '';
+  if (change.previousPath) {
+    return `${change.previousPath} → ${change.path} (${change.status}, ${change.similarity}% similar)`;
+  }
+  return `${change.path} (${change.status})`;
+}
+
+/**
+ * Implementation of the git_file_history tool
+ * Shows the commits that touched one file, following renames
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} args.file_path - File to trace
+ * @param {number} [args.limit=20] - Number of commits to show
+ * @param {string} [args.revision="HEAD"] - Start the history from this commit or reference
+ * @param {boolean} [args.show_patch] - Include each commit's patch, limited to this file (default: true in line-range mode)
+ * @param {number} [args.line_start] - Trace only this line range (first line)
+ * @param {number} [args.line_end] - Trace only this line range (last line)
+ * @returns {Object} - Response with the file's history
+ */
+export async function gitFileHistory(args) {
+  try {
+    const validPath = await validatePath(args.file_path, config.WORKSPACE_PATH);
+    // History of a file inside a submodule comes from the submodule's repository
+    const repo = await resolveGitRepository(validPath, config.WORKSPACE_PATH);
+    const relativePath = repo.path;
+    const limit = parseGitLimit(args.limit, 20);
+    const revision = await verifyGitRef(args.revision || 'HEAD', repo.cwd);
+    const lineMode = Boolean(args.line_start || args.line_end);
+
+    let commits;
+    if (lineMode) {
+      // -L follows the range through renames on its own and always produces a patch
+      const start = args.line_start || 1;
+      const end = args.line_end || start;
+      if (end < start) {
+        throw new Error(`line_end (${end}) must not be before line_start (${start})`);
+      }
+
+      const gitArgs = ['log', GIT_LOG_FORMAT, `-n${limit}`, `-L${start},${end}:${relativePath}`];
+      if (args.show_patch === false) gitArgs.push('--no-patch');
+      gitArgs.push('--end-of-options', revision);
+
+      commits = parseGitLog(await runGitCommand(gitArgs, repo.cwd, { allowTruncation: false })).map(commit => ({
+        ...commit,
+        change: { path: args.show_patch === false ? null : pathFromPatch(commit.extra) },
+        patch: commit.extra
+      }));
+    } else {
+      // --name-status and -p cannot be combined, so the patch comes from a second pass
+      const baseArgs = ['log', GIT_LOG_FORMAT, `-n${limit}`, '--follow'];
+      const statusOutput = await runGitCommand([...baseArgs, '--name-status', '--end-of-options', revision, '--', relativePath], repo.cwd, { allowTruncation: false });
+      commits = parseGitLog(statusOutput).map(commit => ({ ...commit, change: parseNameStatus(commit.extra), patch: '' }));
+
+      if (args.show_patch) {
+        const patchOutput = await runGitCommand([...baseArgs, '-p', '--end-of-options', revision, '--', relativePath], repo.cwd);
+        const patches = new Map(parseGitLog(patchOutput).map(commit => [commit.hash, commit.extra]));
+        for (const commit of commits) {
+          commit.patch = patches.get(commit.hash) || '';
+        }
+      }
+    }
+
+    const scope = lineMode ? ` lines ${args.line_start || 1}-${args.line_end || args.line_start}` : '';
+    if (commits.length === 0) {
+      return {
+        content: [{ type: "text", text: `No commits found for ${relativePath}${scope} in ${revision}` }]
+      };
+    }
+
+    let text = `${formatRepositoryNote(repo)}🕓 History of ${relativePath}${scope} (${commits.length} commit${commits.length === 1 ? '' : 's'}${commits.length === limit ? `, limit ${limit}` : ''}, following renames)\n`;
+
+    for (const commit of commits) {
+      text += `\n${commit.shortHash}  ${commit.authorDate.slice(0, 10)}  ${commit.author} <${commit.authorEmail}>  ${commit.subject}\n`;
+      const where = lineMode ? (commit.change.path || '') : formatChange(commit.change);
+      if (where) text += `    📄 ${where}\n`;
+      if (commit.patch) text += `\n${commit.patch}\n`;
+    }
+
+    return {
+      content: [{ type: "text", text: text.trimEnd() }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
@@ -0,0 +1,211 @@
+// tools/git/git-hotspots.js
+
+import path from 'path';
+import {
+  runGitCommand,
+  parseGitLimit,
+  validatePath,
+  readTextFile,
+  resolveHistoryScope,
+  readChangeHistory,
+  measureComplexity,
+  formatRepositoryNote
+} from '../../utils/index.js';
+import { config } from '../../config.js';
+
+// History window analysed when since is not given
+const DEFAULT_WINDOW = '1 year ago';
+
+/**
+ * Count revisions and churn per file, following renames
+ * Commits arrive newest first, so when a commit renames old → new, every older
+ * mention of old is credited to the file's current name
+ * @param {Array<Object>} commits - Result of readChangeHistory
+ * @returns {Object} - { files: Map<path, { revisions, additions, deletions, authors: Set }>, changesets: Array<Array<path>> }
+ */
+function collectChangeFrequency(commits) {
+  const files = new Map();
+  const changesets = [];
+  const currentName = new Map();
+
+  for (const commit of commits) {
+    const changed = new Set();
+    for (const file of commit.files) {
+      const name = currentName.get(file.path) || file.path;
+      if (file.oldPath) currentName.set(file.oldPath, name);
+      if (!files.has(name)) files.set(name, { revisions: 0, additions: 0, deletions: 0, authors: new Set() });
+      const stats = files.get(name);
+      stats.revisions++;
+      stats.additions += file.additions;
+      stats.deletions += file.deletions;
+      stats.authors.add(commit.authorEmail.toLowerCase());
+      changed.add(name);
+    }
+    changesets.push([...changed]);
+  }
+  return { files, changesets };
+}
+
+/**
+ * Find pairs of files that are often committed together
+ * Degree of coupling = shared commits / average revisions of the two files
+ * @param {Array<Array<string>>} changesets - Files changed per commit
+ * @param {Map<string, Object>} files - Per-file revision counts
+ * @param {Object} thresholds - { minShared, minCoupling, maxChangesetSize }
+ * @returns {Array<Object>} - { files: [a, b], sharedCommits, coupling } sorted by coupling, then shared commits
+ */
+function findTemporalCoupling(changesets, files, { minShared, minCoupling, maxChangesetSize }) {
+  const shared = new Map();
+  for (const changeset of changesets) {
+    // Sweeping commits (reformatting, renames, dependency bumps) couple everything to everything
+    if (changeset.length < 2 || changeset.length > maxChangesetSize) continue;
+    const sorted = [...changeset].sort();
+    for (let i = 0; i < sorted.length; i++) {
+      for (let j = i + 1; j < sorted.length; j++) {
+        const key = `${sorted[i]}\x00${sorted[j]}`;
+        shared.set(key, (shared.get(key) || 0) + 1);
+      }
+    }
+  }
+
+  const pairs = [];
+  for (const [key, count] of shared) {
+    if (count < minShared) continue;
+    const [a, b] = key.split('\x00');
+    if (!files.has(a) || !files.has(b)) continue;
+    const average = (files.get(a).revisions + files.get(b).revisions) / 2;
+    const coupling = Math.round((count / average) * 100);
+    if (coupling >= minCoupling) pairs.push({ files: [a, b], sharedCommits: count, coupling });
+  }
+  return pairs.sort((x, y) => y.coupling - x.coupling || y.sharedCommits - x.sharedCommits);
+}
+
+/**
+ * Implementation of the git_hotspots tool
+ * Ranks files by change frequency × complexity over a history window and reports
+ * files that tend to change together
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} [args.path] - File, directory or glob such as 'src/**\/*.js' (default: the whole workspace)
+ * @param {string} [args.since="1 year ago"] - Start of the history window
+ * @param {string} [args.until] - End of the history window
+ * @param {number} [args.limit=20] - Hotspots to list
+ * @param {number} [args.min_revisions=2] - Ignore files changed fewer times than this in the window
+ * @param {boolean} [args.include_coupling=true] - Report temporal coupling between files
+ * @param {number} [args.min_shared_commits=3] - Fewest shared commits for a coupled pair
+ * @param {number} [args.min_coupling=30] - Lowest degree of coupling (percent) for a coupled pair
+ * @param {number} [args.max_changeset_size=30] - Commits touching more files than this are ignored for coupling
+ * @param {string} [args.format="text"] - 'text' for a readable report, 'json' for structured results
+ * @returns {Object} - Response with the ranked hotspots and coupled files
+ */
+export async function gitHotspots(args) {
+  try {
+    const limit = parseGitLimit(args.limit, 20);
+    const minRevisions = parseGitLimit(args.min_revisions, 2, 'min_revisions');
+    const thresholds = {
+      minShared: parseGitLimit(args.min_shared_commits, 3, 'min_shared_commits'),
+      minCoupling: parseGitLimit(args.min_coupling, 30, 'min_coupling', 0),
+      maxChangesetSize: parseGitLimit(args.max_changeset_size, 30, 'max_changeset_size', 2)
+    };
+    const since = args.since || DEFAULT_WINDOW;
+    const { repo, cwd, pathspec } = await resolveHistoryScope(args.path, config.WORKSPACE_PATH);
+
+    const commits = await readChangeHistory({ since, until: args.until, pathspec }, cwd);
+    const { files, changesets } = collectChangeFrequency(commits);
+
+    // Only files that still exist as text can be measured; deleted and binary files drop out here
+    const root = await runGitCommand(['rev-parse', '--show-toplevel'], cwd);
+    const listing = await runGitCommand(['ls-files', '--eol', '-z', '--full-name', '--', pathspec], cwd, { allowTruncation: false });
+    const tracked = new Set(listing.split('\x00').filter(entry => /^i\/(lf|crlf|mixed)\s/.test(entry))
+      .map(entry => entry.slice(entry.indexOf('\t') + 1)));
+
+    const measured = [];
+    for (const [filePath, stats] of files) {
+      if (!tracked.has(filePath) || stats.revisions < minRevisions) continue;
+      try {
+        const validPath = await validatePath(path.join(root, filePath), config.WORKSPACE_PATH);
+        const { content } = await readTextFile(validPath);
+        measured.push({ path: filePath, ...stats, ...measureComplexity(content) });
+      } catch {
+        // Unreadable or binary despite its attributes - leave it out of the ranking
+      }
+    }
+
+    // Score relative to the busiest and most complex file so 100 is the worst possible hotspot
+    const maxRevisions = Math.max(1, ...measured.map(file => file.revisions));
+    const maxComplexity = Math.max(1, ...measured.map(file => file.complexity));
+    const hotspots = measured
+      .map(file => ({
+        path: file.path,
+        score: Math.round((file.revisions / maxRevisions) * (file.complexity / maxComplexity) * 100),
+        revisions: file.revisions,
+        additions: file.additions,
+        deletions: file.deletions,
+        authors: file.authors.size,
+        complexity: file.complexity,
+        codeLines: file.codeLines,
+        meanIndent: file.meanIndent,
+        maxIndent: file.maxIndent
+      }))
+      .sort((a, b) => b.score - a.score || b.revisions - a.revisions || a.path.localeCompare(b.path))
+      .slice(0, limit);
+
+    const coupling = args.include_coupling === false
+      ? null
+      : findTemporalCoupling(changesets, files, thresholds).filter(pair => pair.files.every(file => tracked.has(file)));
+
+    if (args.format === 'json') {
+      const report = {
+        repository: repo && repo.nested ? repo.label : null,
+        path: args.path || '.',
+        since,
+        until: args.until || null,
+        commits: commits.length,
+        filesChanged: files.size,
+        hotspots,
+        coupling
+      };
+      return {
+        content: [{ type: "text", text: JSON.stringify(report, null, 2) }]
+      };
+    }
+
+    const window = `since ${since}${args.until ? ` until ${args.until}` : ''}`;
+    let text = formatRepositoryNote(repo);
+    if (hotspots.length === 0) {
+      text += `No files under ${args.path || 'the workspace'} changed at least ${minRevisions} time${minRevisions === 1 ? '' : 's'} ${window} (${commits.length} commit${commits.length === 1 ? '' : 's'} scanned)\n`;
+    } else {
+      text += `🔥 Top ${hotspots.length} hotspot${hotspots.length === 1 ? '' : 's'} in ${args.path || 'the workspace'} ${window} (${commits.length} commits, ${files.size} files changed)\n`;
+      text += `Ranked by revisions × complexity; score 100 = most changed and most complex\n\n`;
+      text += `Score  Revs  Authors  Churn            Complexity  LOC    File\n`;
+      for (const spot of hotspots) {
+        const churn = `+${spot.additions} -${spot.deletions}`;
+        text += `${String(spot.score).padStart(5)}  ${String(spot.revisions).padStart(4)}  ${String(spot.authors).padStart(7)}  ${churn.padEnd(15)}  ${String(spot.complexity).padStart(10)}  ${String(spot.codeLines).padEnd(5)}  ${spot.path}\n`;
+      }
+    }
+
+    if (coupling) {
+      const criteria = `at least ${thresholds.minShared} shared commits, ${thresholds.minCoupling}%+ coupling`;
+      if (coupling.length === 0) {
+        text += `\n🔗 No temporal coupling found (${criteria})\n`;
+      } else {
+        text += `\n🔗 Files that change together (${criteria})\n`;
+        for (const pair of coupling.slice(0, limit)) {
+          text += `  ${String(pair.coupling).padStart(3)}%  ${String(pair.sharedCommits).padStart(3)} shared  ${pair.files[0]} ↔ ${pair.files[1]}\n`;
+        }
+        if (coupling.length > limit) text += `  ... ${coupling.length - limit} more pairs (raise limit or use format: 'json')\n`;
+      }
+    }
+
+    text += `\nℹ️ Complexity is the total indentation depth of code lines - a language-agnostic proxy for nesting`;
+
+    return {
+      content: [{ type: "text", text }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
@@ -1,6 +1,6 @@
 // tools/git/git-list-branches.js
 
-import { runGitCommand } from '../../utils/index.js';
+import { runGitCommand, GIT_BRANCH_FORMAT, parseBranchList } from '../../utils/index.js';
 import { config } from '../../config.js';
 
 /**
@@ -9,10 +9,20 @@ import { config } from '../../config.js';
  * 
  * @param {Object} args - Tool arguments
  * @param {boolean} [args.include_remote=true] - Whether to include remote branches
+ * @param {string} [args.format="text"] - 'text' for git's own output, 'json' for branches with upstream tracking
  * @returns {Object} - Response with branch listing
  */
 export async function gitListBranches(args) {
   try {
+    if (args.format === 'json') {
+      const gitArgs = ['branch', GIT_BRANCH_FORMAT];
+      if (args.include_remote) gitArgs.push('--all');
+      const branches = parseBranchList(await runGitCommand(gitArgs, config.WORKSPACE_PATH, { allowTruncation: false }));
+      return {
+        content: [{ type: "text", text: JSON.stringify(branches, null, 2) }]
+      };
+    }
+
     const localOutput = await runGitCommand(['branch'], config.WORKSPACE_PATH);
     let result = "Local branches:\n" + localOutput;
     
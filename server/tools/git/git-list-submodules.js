@@ -0,0 +1,51 @@
+// tools/git/git-list-submodules.js
+
+import { runGitCommand, listSubmodules } from '../../utils/index.js';
+import { config } from '../../config.js';
+
+/**
+ * Implementation of the git_list_submodules tool
+ * Lists submodules with the commit the superproject records and the commit checked out
+ * 
+ * @param {Object} args - Tool arguments
+ * @param {string} [args.format="text"] - 'text' for a readable list, 'json' for structured entries
+ * @returns {Object} - Response with the submodules
+ */
+export async function gitListSubmodules(args) {
+  try {
+    const repoRoot = await runGitCommand(['rev-parse', '--show-toplevel'], config.WORKSPACE_PATH);
+    const submodules = await listSubmodules(repoRoot);
+
+    if (args.format === 'json') {
+      return {
+        content: [{ type: "text", text: JSON.stringify(submodules, null, 2) }]
+      };
+    }
+
+    if (submodules.length === 0) {
+      return {
+        content: [{ type: "text", text: 'No submodules declared in .gitmodules' }]
+      };
+    }
+
+    let text = `📦 ${submodules.length} submodule${submodules.length === 1 ? '' : 's'}\n`;
+    for (const submodule of submodules) {
+      text += `\n${submodule.path}  [${submodule.state}]\n`;
+      if (submodule.url) text += `    URL:         ${submodule.url}${submodule.branch ? ` (tracks ${submodule.branch})` : ''}\n`;
+      text += `    Recorded:    ${submodule.recordedCommit ? submodule.recordedCommit.slice(0, 8) : '-'}\n`;
+      if (submodule.initialized) {
+        text += `    Checked out: ${submodule.checkedOutCommit ? submodule.checkedOutCommit.slice(0, 8) : '-'}${submodule.checkedOutBranch ? ` on ${submodule.checkedOutBranch}` : ' (detached)'}\n`;
+      }
+    }
+    text += `\n💡 Pass a file_path inside a submodule to the git tools to run them in that submodule`;
+
+    return {
+      content: [{ type: "text", text }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
@@ -0,0 +1,91 @@
+// tools/git/git-list-tags.js
+
+import { minimatch } from 'minimatch';
+import { runGitCommand, parseGitLimit, resolveGitDateRange, isWithinDateRange } from '../../utils/index.js';
+import { config } from '../../config.js';
+
+// %(*...) fields dereference annotated tags to the tagged commit; they are empty for lightweight tags
+const TAG_FORMAT = '--format=%1e%(refname:strip=2)%00%(objecttype)%00%(objectname)%00%(*objectname)%00%(creatordate:unix)%00%(taggername)%00%(taggeremail:trim)%00%(contents:subject)%00%(contents:body)%00%(*subject)';
+
+/**
+ * Parse for-each-ref output produced with TAG_FORMAT
+ * @param {string} output - for-each-ref output
+ * @returns {Array<Object>} - Tags: { name, annotated, commit, tagObject, timestamp, date, tagger, taggerEmail, message, commitSubject }
+ */
+function parseTags(output) {
+  return output.split('\x1e').filter(record => record.trim()).map(record => {
+    const [name, type, object, peeled, timestamp, tagger, taggerEmail, subject, body, peeledSubject] = record.replace(/\n$/, '').split('\x00');
+    const annotated = type === 'tag';
+    return {
+      name,
+      annotated,
+      // For a lightweight tag the ref's own subject is the commit subject
+      commit: annotated ? peeled : object,
+      tagObject: annotated ? object : null,
+      timestamp: parseInt(timestamp),
+      date: new Date(parseInt(timestamp) * 1000).toISOString(),
+      tagger: annotated ? tagger : null,
+      taggerEmail: annotated ? taggerEmail : null,
+      message: annotated ? [subject, body.trim()].filter(Boolean).join('\n\n') : null,
+      commitSubject: annotated ? peeledSubject : subject
+    };
+  });
+}
+
+/**
+ * Implementation of the git_list_tags tool
+ * Lists tags, newest first, with the commit each points at and the annotation message
+ * 
+ * @param {Object} args - Tool arguments
+ * @param {string} [args.pattern] - Only tags whose name matches this glob, e.g. 'v2.*'
+ * @param {string} [args.since] - Only tags created on or after this date
+ * @param {string} [args.until] - Only tags created on or before this date
+ * @param {number} [args.limit=50] - Number of tags to show
+ * @param {string} [args.format="text"] - 'text' for a readable list, 'json' for structured entries
+ * @returns {Object} - Response with the tags
+ */
+export async function gitListTags(args) {
+  try {
+    const limit = parseGitLimit(args.limit, 50);
+    const bounds = await resolveGitDateRange(args.since, args.until, config.WORKSPACE_PATH);
+
+    // Annotated tags sort by tagger date, lightweight tags by their commit's date
+    const output = await runGitCommand(['for-each-ref', '--sort=-creatordate', TAG_FORMAT, 'refs/tags'], config.WORKSPACE_PATH, { allowTruncation: false });
+    const matching = parseTags(output)
+      .filter(tag => !args.pattern || minimatch(tag.name, args.pattern))
+      .filter(tag => isWithinDateRange(tag.timestamp, bounds));
+    const tags = matching.slice(0, limit).map(({ timestamp, ...tag }) => tag);
+
+    if (args.format === 'json') {
+      return {
+        content: [{ type: "text", text: JSON.stringify({ total: matching.length, tags }, null, 2) }]
+      };
+    }
+
+    if (tags.length === 0) {
+      return {
+        content: [{ type: "text", text: args.pattern || args.since || args.until ? 'No tags match the filters' : 'No tags' }]
+      };
+    }
+
+    let text = `🏷️ ${tags.length}${matching.length > tags.length ? ` of ${matching.length}` : ''} tag${tags.length === 1 ? '' : 's'}\n`;
+    for (const tag of tags) {
+      text += `\n${tag.name}  ${tag.commit.slice(0, 8)}  ${tag.date.slice(0, 10)}  ${tag.commitSubject}\n`;
+      if (tag.annotated) {
+        text += `    Tagged by ${tag.tagger} <${tag.taggerEmail}>\n`;
+        text += tag.message.split('\n').map(line => `    │ ${line}`.trimEnd() + '\n').join('');
+      } else {
+        text += `    (lightweight)\n`;
+      }
+    }
+
+    return {
+      content: [{ type: "text", text }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
@@ -0,0 +1,46 @@
+// tools/git/git-list-worktrees.js
+
+import { listWorktrees } from '../../utils/index.js';
+import { config } from '../../config.js';
+
+/**
+ * Implementation of the git_list_worktrees tool
+ * Lists the main worktree and linked worktrees with their checked-out branch and state
+ * 
+ * @param {Object} args - Tool arguments
+ * @param {string} [args.format="text"] - 'text' for a readable list, 'json' for structured entries
+ * @returns {Object} - Response with the worktrees
+ */
+export async function gitListWorktrees(args) {
+  try {
+    const worktrees = await listWorktrees(config.WORKSPACE_PATH);
+
+    if (args.format === 'json') {
+      return {
+        content: [{ type: "text", text: JSON.stringify(worktrees, null, 2) }]
+      };
+    }
+
+    let text = `🌳 ${worktrees.length} worktree${worktrees.length === 1 ? '' : 's'}\n\n`;
+    for (const worktree of worktrees) {
+      const checkout = worktree.bare ? '(bare)'
+        : worktree.branch ? worktree.branch : `(detached at ${worktree.head ? worktree.head.slice(0, 8) : 'unknown'})`;
+      const flags = [];
+      if (worktree.current) flags.push('current');
+      if (worktree.main) flags.push('main');
+      if (worktree.locked) flags.push(worktree.lockReason ? `locked: ${worktree.lockReason}` : 'locked');
+      if (worktree.prunable) flags.push('missing - prunable');
+      if (worktree.dirty) flags.push('uncommitted changes');
+      text += `${worktree.path}\n    ${checkout}${worktree.head && worktree.branch ? ` @ ${worktree.head.slice(0, 8)}` : ''}${flags.length > 0 ? `  [${flags.join(', ')}]` : ''}\n`;
+    }
+
+    return {
+      content: [{ type: "text", text: text.trimEnd() }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
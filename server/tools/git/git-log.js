@@ -1,6 +1,6 @@
 // tools/git/git-log.js
 
-import { runGitCommand } from '../../utils/index.js';
+import { runGitCommand, parseGitLimit, GIT_LOG_FORMAT, parseGitLog } from '../../utils/index.js';
 import { config } from '../../config.js';
 
 /**
@@ -10,13 +10,26 @@ import { config } from '../../config.js';
  * @param {Object} args - Tool arguments
  * @param {boolean} [args.oneline] - Show one line per commit
  * @param {number} [args.limit] - Number of commits to show
+ * @param {string} [args.format="text"] - 'text' for git's own output, 'json' for parsed commits
  * @returns {Object} - Response with git log output
  */
 export async function gitLog(args) {
   try {
+    const limit = parseGitLimit(args.limit, null);
+    
+    if (args.format === 'json') {
+      const gitArgs = ['log', GIT_LOG_FORMAT];
+      if (limit) gitArgs.push(`--max-count=${limit}`);
+      const output = await runGitCommand(gitArgs, config.WORKSPACE_PATH, { allowTruncation: false });
+      const commits = parseGitLog(output).map(({ extra, ...commit }) => commit);
+      return {
+        content: [{ type: "text", text: JSON.stringify(commits, null, 2) }]
+      };
+    }
+
     const gitArgs = ['log'];
     if (args.oneline) gitArgs.push('--oneline');
-    if (args.limit) gitArgs.push(`-${args.limit}`);
+    if (limit) gitArgs.push(`--max-count=${limit}`);
     
     const output = await runGitCommand(gitArgs, config.WORKSPACE_PATH);
     return {
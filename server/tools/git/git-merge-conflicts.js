@@ -0,0 +1,139 @@
+// tools/git/git-merge-conflicts.js
+
+import path from 'path';
+import {
+  runGitCommand,
+  validatePath,
+  readTextFile,
+  parseStatusPorcelainV2,
+  parseConflictMarkers,
+  detectGitOperation,
+  resolveGitRepository,
+  formatRepositoryNote
+} from '../../utils/index.js';
+import { config } from '../../config.js';
+
+/**
+ * Describe the operation that stopped on conflicts
+ * @param {Object|null} state - Result of detectGitOperation
+ * @returns {string} - One-line summary
+ */
+function describeOperation(state) {
+  if (!state) return 'No merge, rebase, cherry-pick or revert in progress';
+  if (state.operation === 'rebase' || state.operation === 'am') {
+    const step = state.step && state.totalSteps ? ` - step ${state.step}/${state.totalSteps}` : '';
+    const onto = state.onto ? ` onto ${state.onto.slice(0, 8)}` : '';
+    const stopped = state.stoppedAt ? `, stopped at ${state.stoppedAt.slice(0, 8)}` : '';
+    return `${state.operation === 'am' ? 'git am' : 'Rebase'} in progress${state.branch ? ` on ${state.branch}` : ''}${onto}${step}${stopped}`;
+  }
+  const names = { merge: 'Merge', 'cherry-pick': 'Cherry-pick', revert: 'Revert' };
+  return `${names[state.operation]} in progress: ${state.head.slice(0, 8)}${state.message ? ` (${state.message})` : ''}`;
+}
+
+/**
+ * Format one side of a conflict hunk
+ * @param {string} name - 'ours', 'base' or 'theirs'
+ * @param {Object} side - Side from parseConflictMarkers
+ * @returns {string} - Side header and indented lines
+ */
+function formatSide(name, side) {
+  const range = side.lines.length === 0
+    ? 'empty'
+    : side.lines.length === 1 ? `line ${side.startLine}` : `lines ${side.startLine}-${side.startLine + side.lines.length - 1}`;
+  const label = side.label ? ` (${side.label})` : '';
+  return `    ${name}${label} - ${range}\n` + side.lines.map(line => `      │ ${line}\n`).join('');
+}
+
+/**
+ * Implementation of the git_merge_conflicts tool
+ * Shows the in-progress merge/rebase/cherry-pick/revert and the conflict hunks of each unmerged file
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} [args.file_path] - Only inspect this file; a file in a submodule inspects the submodule's merge
+ * @param {string} [args.format="text"] - 'text' for a readable summary, 'json' for parsed hunks
+ * @returns {Object} - Response with conflict details
+ */
+export async function gitMergeConflicts(args) {
+  try {
+    let filterPath = null;
+    let repo = null;
+    if (args.file_path) {
+      filterPath = await validatePath(args.file_path, config.WORKSPACE_PATH);
+      repo = await resolveGitRepository(filterPath, config.WORKSPACE_PATH);
+    }
+    const cwd = repo ? repo.cwd : config.WORKSPACE_PATH;
+
+    const state = await detectGitOperation(cwd);
+    const repoRoot = await runGitCommand(['rev-parse', '--show-toplevel'], cwd);
+    const status = parseStatusPorcelainV2(await runGitCommand(['status', '--porcelain=v2', '-z'], cwd, { allowTruncation: false }));
+
+    const files = [];
+    for (const entry of status.conflicted) {
+      // Porcelain paths are relative to the repository root, not the workspace
+      const absolutePath = path.join(repoRoot, entry.path);
+      if (filterPath && absolutePath !== filterPath) continue;
+
+      const file = {
+        path: path.relative(config.WORKSPACE_PATH, absolutePath).split(path.sep).join('/'),
+        state: entry.state,
+        hunks: [],
+        error: null
+      };
+      try {
+        const validPath = await validatePath(absolutePath, config.WORKSPACE_PATH);
+        const { content } = await readTextFile(validPath);
+        file.hunks = parseConflictMarkers(content);
+      } catch (error) {
+        file.error = error.code === 'ENOENT' ? 'File is missing from the working tree' : error.message;
+      }
+      files.push(file);
+    }
+
+    if (args.format === 'json') {
+      return {
+        content: [{ type: "text", text: JSON.stringify({ repository: repo && repo.nested ? repo.label : null, operation: state, files }, null, 2) }]
+      };
+    }
+
+    let text = `${formatRepositoryNote(repo)}🔀 ${describeOperation(state)}\n`;
+    if (files.length === 0) {
+      text += filterPath ? `\n✅ ${args.file_path} has no unresolved conflicts` : '\n✅ No unmerged paths';
+      return {
+        content: [{ type: "text", text }]
+      };
+    }
+
+    text += `⚠️ ${files.length} conflicted file${files.length === 1 ? '' : 's'}\n`;
+    for (const file of files) {
+      text += `\n📄 ${file.path} (${file.state})`;
+      if (file.error) {
+        text += ` - ${file.error}\n`;
+        continue;
+      }
+      if (file.hunks.length === 0) {
+        // Only a delete/modify conflict leaves the choice of keeping the file; otherwise it just needs staging
+        text += file.state.includes('deleted')
+          ? ' - no conflict markers; keep or delete the file to resolve it\n'
+          : ` - no conflict markers left; stage it with 'git add ${file.path}' to mark it resolved\n`;
+        continue;
+      }
+      text += ` - ${file.hunks.length} hunk${file.hunks.length === 1 ? '' : 's'}\n`;
+      for (const hunk of file.hunks) {
+        text += `\n  Hunk ${hunk.index} (lines ${hunk.startLine}-${hunk.endLine})\n`;
+        text += formatSide('ours', hunk.ours);
+        if (hunk.base) text += formatSide('base', hunk.base);
+        text += formatSide('theirs', hunk.theirs);
+      }
+    }
+    text += `\n💡 Use 'git_resolve_conflict' to resolve a hunk with ours, theirs, base, both or custom text`;
+
+    return {
+      content: [{ type: "text", text }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
@@ -0,0 +1,188 @@
+// tools/git/git-predict-conflicts.js
+
+import {
+  runGitCommand,
+  verifyGitRef,
+  parseDiffSummary,
+  parseConflictMarkers
+} from '../../utils/index.js';
+import { config } from '../../config.js';
+
+/**
+ * Parse `git merge-tree --write-tree -z` output
+ * Layout: tree OID, then "<mode> <object> <stage>\t<path>" entries for unmerged paths, an empty field,
+ * then messages as "<path count>, <paths...>, <type>, <message>"
+ * @param {string} output - merge-tree output
+ * @returns {Object} - { tree, conflicts: Map<path, string[] conflict types>, autoMerged: Set<path> }
+ */
+function parseMergeTree(output) {
+  const fields = output.split('\x00');
+  const tree = fields[0];
+  const conflicts = new Map();
+  const autoMerged = new Set();
+
+  let i = 1;
+  for (; i < fields.length && fields[i] !== ''; i++) {
+    const filePath = fields[i].slice(fields[i].indexOf('\t') + 1);
+    if (!conflicts.has(filePath)) conflicts.set(filePath, []);
+  }
+
+  for (i++; i < fields.length; ) {
+    const count = parseInt(fields[i]);
+    if (!Number.isInteger(count)) break;
+    const paths = fields.slice(i + 1, i + 1 + count);
+    const type = fields[i + 1 + count];
+    i += count + 3;
+    for (const filePath of paths) {
+      if (type === 'Auto-merging') {
+        autoMerged.add(filePath);
+      } else if (type.startsWith('CONFLICT')) {
+        if (!conflicts.has(filePath)) conflicts.set(filePath, []);
+        conflicts.get(filePath).push(type.replace(/^CONFLICT \((.*)\)$/, '$1'));
+      }
+    }
+  }
+  return { tree, conflicts, autoMerged };
+}
+
+/**
+ * Parse the diff-like output of the old `git merge-tree <base> <ours> <theirs>` mode (before git 2.38)
+ * Content conflicts show up as markers in the merged text; modify/delete as a removal of a changed file
+ * @param {string} output - merge-tree output
+ * @returns {Map<string, string[]>} - Conflicting paths and their conflict types
+ */
+function parseTrivialMergeTree(output) {
+  const conflicts = new Map();
+  let section = null;
+
+  const finish = () => {
+    if (!section) return;
+    const { kind, versions, hasMarkers } = section;
+    const filePath = (versions.their || versions.our || versions.base).path;
+    if (hasMarkers) {
+      conflicts.set(filePath, ['contents']);
+    } else if (kind === 'removed in remote' && versions.our && versions.base && versions.our.object !== versions.base.object) {
+      conflicts.set(filePath, ['modify/delete']);
+    } else if (kind === 'removed in local' && versions.their && versions.base && versions.their.object !== versions.base.object) {
+      conflicts.set(filePath, ['modify/delete']);
+    }
+  };
+
+  for (const line of output.split('\n')) {
+    const version = line.match(/^ {2}(base|our|their) +\d+ ([0-9a-f]+) (.*)$/);
+    if (/^(changed in both|added in both|added in local|added in remote|removed in both|removed in local|removed in remote)$/.test(line)) {
+      finish();
+      section = { kind: line, versions: {}, hasMarkers: false };
+    } else if (section && version) {
+      section.versions[version[1]] = { object: version[2], path: version[3] };
+    } else if (section && /^\+<{7}( |$)/.test(line)) {
+      section.hasMarkers = true;
+    }
+  }
+  finish();
+  return conflicts;
+}
+
+/**
+ * Implementation of the git_predict_conflicts tool
+ * Merges two refs in memory to predict conflicts; the working tree, index and refs are never touched
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} args.source - Branch or commit that would be merged in, e.g. 'feature-x'
+ * @param {string} [args.target="HEAD"] - Branch or commit that would receive the merge, e.g. 'main'
+ * @param {boolean} [args.include_hunks=true] - Show the conflict hunks of each conflicting file
+ * @param {string} [args.format="text"] - 'text' for a readable report, 'json' for structured results
+ * @returns {Object} - Response with the merge base, conflicting files and cleanly merging files
+ */
+export async function gitPredictConflicts(args) {
+  try {
+    const source = await verifyGitRef(args.source, config.WORKSPACE_PATH, 'Source');
+    const target = await verifyGitRef(args.target || 'HEAD', config.WORKSPACE_PATH, 'Target');
+    const includeHunks = args.include_hunks !== false;
+    const strict = { allowTruncation: false };
+
+    const mergeBase = await runGitCommand(['merge-base', '--end-of-options', target, source], config.WORKSPACE_PATH)
+      .catch(() => null);
+    if (!mergeBase) {
+      throw new Error(`❌ ${target} and ${source} have no common ancestor - git refuses to merge unrelated histories by default`);
+    }
+
+    let result;
+    let mode = 'write-tree';
+    try {
+      // Exit code 1 means the merge has conflicts; the output is still complete
+      const output = await runGitCommand(['merge-tree', '--write-tree', '-z', '--end-of-options', target, source], config.WORKSPACE_PATH, { ...strict, acceptExitCodes: [0, 1] });
+      result = parseMergeTree(output);
+    } catch (error) {
+      if (!/usage: git merge-tree|unknown option/.test(error.message)) throw error;
+      // git before 2.38: the trivial-merge mode only reports content and modify/delete conflicts
+      mode = 'trivial';
+      const output = await runGitCommand(['merge-tree', mergeBase, target, source], config.WORKSPACE_PATH, strict);
+      result = { tree: null, conflicts: parseTrivialMergeTree(output), autoMerged: new Set() };
+    }
+
+    // Files the merge would change on the target: against the merged tree, or the source's changes since the base
+    const range = result.tree ? [target, result.tree] : [mergeBase, source];
+    const nameStatus = await runGitCommand(['diff', '--name-status', '-z', '--end-of-options', ...range], config.WORKSPACE_PATH, strict);
+    const numstat = await runGitCommand(['diff', '--numstat', '-z', '--end-of-options', ...range], config.WORKSPACE_PATH, strict);
+    const clean = parseDiffSummary(nameStatus, numstat).files
+      .filter(file => !result.conflicts.has(file.path))
+      .map(file => ({ ...file, autoMerged: result.autoMerged.has(file.path) }));
+
+    const conflicts = [];
+    for (const [filePath, types] of result.conflicts) {
+      const conflict = { path: filePath, types, hunks: null };
+      if (includeHunks && result.tree && types.includes('contents')) {
+        try {
+          const content = await runGitCommand(['show', `${result.tree}:${filePath}`], config.WORKSPACE_PATH, strict);
+          conflict.hunks = content.includes('\x00') ? null : parseConflictMarkers(content);
+        } catch {
+          // Binary or unreadable blob - list the file without hunks
+        }
+      }
+      conflicts.push(conflict);
+    }
+
+    const report = { source, target, mergeBase, mode, clean: conflicts.length === 0, conflicts, cleanFiles: clean };
+    if (args.format === 'json') {
+      return {
+        content: [{ type: "text", text: JSON.stringify(report, null, 2) }]
+      };
+    }
+
+    let text = conflicts.length === 0
+      ? `✅ Merging ${source} into ${target} would succeed without conflicts\n`
+      : `⚠️ Merging ${source} into ${target} would conflict in ${conflicts.length} file${conflicts.length === 1 ? '' : 's'}\n`;
+    text += `🔗 Merge base: ${mergeBase.slice(0, 8)}\n`;
+    if (mode === 'trivial') {
+      text += `ℹ️ git older than 2.38: using the trivial merge, which does not detect renames\n`;
+    }
+
+    for (const conflict of conflicts) {
+      text += `\n📄 ${conflict.path} (${conflict.types.join(', ') || 'conflict'})\n`;
+      for (const hunk of conflict.hunks || []) {
+        text += `  Hunk ${hunk.index} (lines ${hunk.startLine}-${hunk.endLine})\n`;
+        text += `    ${target}:\n` + hunk.ours.lines.map(line => `      │ ${line}\n`).join('');
+        text += `    ${source}:\n` + hunk.theirs.lines.map(line => `      │ ${line}\n`).join('');
+      }
+    }
+
+    if (clean.length > 0) {
+      text += `\n✅ ${clean.length} file${clean.length === 1 ? '' : 's'} would merge cleanly:\n`;
+      for (const file of clean) {
+        const counts = file.binary ? 'binary' : `+${file.additions} -${file.deletions}`;
+        text += `    ${file.status.padEnd(9)} ${file.oldPath ? `${file.oldPath} → ` : ''}${file.path}  (${counts})${file.autoMerged ? '  auto-merged' : ''}\n`;
+      }
+    }
+    text += `\n🔒 Nothing was changed - the merge ran in memory`;
+
+    return {
+      content: [{ type: "text", text }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
@@ -0,0 +1,58 @@
+// tools/git/git-reflog.js
+
+import { verifyGitRef, parseGitLimit, readReflog, resolveGitDateRange, isWithinDateRange } from '../../utils/index.js';
+import { config } from '../../config.js';
+
+/**
+ * Implementation of the git_reflog tool
+ * Shows where HEAD or a branch pointed over time - including commits no longer on any branch
+ * 
+ * @param {Object} args - Tool arguments
+ * @param {string} [args.ref="HEAD"] - HEAD or a branch name
+ * @param {number} [args.limit=30] - Number of entries to show
+ * @param {string} [args.since] - Only entries recorded on or after this date
+ * @param {string} [args.until] - Only entries recorded on or before this date
+ * @param {string} [args.pattern] - Only entries whose reflog message contains this text (case-insensitive), e.g. 'reset' or 'checkout'
+ * @param {string} [args.format="text"] - 'text' for a readable list, 'json' for structured entries
+ * @returns {Object} - Response with the reflog entries
+ */
+export async function gitReflog(args) {
+  try {
+    const ref = await verifyGitRef(args.ref || 'HEAD', config.WORKSPACE_PATH, 'Ref');
+    const limit = parseGitLimit(args.limit, 30);
+    const bounds = await resolveGitDateRange(args.since, args.until, config.WORKSPACE_PATH);
+    const pattern = args.pattern ? args.pattern.toLowerCase() : null;
+
+    const matching = (await readReflog(ref, config.WORKSPACE_PATH))
+      .filter(entry => isWithinDateRange(entry.timestamp, bounds))
+      .filter(entry => !pattern || entry.message.toLowerCase().includes(pattern));
+    const entries = matching.slice(0, limit).map(({ timestamp, ...entry }) => entry);
+
+    if (args.format === 'json') {
+      return {
+        content: [{ type: "text", text: JSON.stringify({ ref, total: matching.length, entries }, null, 2) }]
+      };
+    }
+
+    if (entries.length === 0) {
+      return {
+        content: [{ type: "text", text: `No reflog entries for ${ref}${args.since || args.until || args.pattern ? ' match the filters' : ''}` }]
+      };
+    }
+
+    let text = `🕓 Reflog of ${ref} (${entries.length}${matching.length > entries.length ? ` of ${matching.length}` : ''} entr${entries.length === 1 ? 'y' : 'ies'})\n\n`;
+    for (const entry of entries) {
+      text += `${entry.selector.padEnd(ref.length + 6)} ${entry.shortHash}  ${entry.date.slice(0, 16).replace('T', ' ')}  ${entry.message}\n`;
+    }
+    text += `\n💡 Use 'git_show_commit' with a hash or selector such as ${ref}@{1} to inspect an earlier state`;
+
+    return {
+      content: [{ type: "text", text }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
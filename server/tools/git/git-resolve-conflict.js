@@ -0,0 +1,55 @@
+// tools/git/git-resolve-conflict.js
+
+import {
+  validatePath,
+  readTextFile,
+  assertFileVersion,
+  resolveConflictHunk,
+  createUnifiedDiff,
+  formatDiff,
+  writeFileAtomically
+} from '../../utils/index.js';
+import { snapshotPath, recordChange, formatChangeNote } from '../../journal/index.js';
+import { config } from '../../config.js';
+
+/**
+ * Implementation of the git_resolve_conflict tool
+ * Replaces one conflict hunk in a file with the chosen side or custom text
+ * Only the working tree file is written - staging the result is left to the user
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} args.file_path - Conflicted file
+ * @param {number} args.hunk - Hunk number as listed by git_merge_conflicts
+ * @param {string} args.resolution - 'ours', 'theirs', 'base', 'both' or 'custom'
+ * @param {string} [args.content] - Replacement text for the 'custom' resolution
+ * @param {string} [args.expected_hash] - Refuse if the file no longer has this hash
+ * @returns {Object} - Response with the diff and the number of hunks left
+ */
+export async function gitResolveConflict(args) {
+  try {
+    const validPath = await validatePath(args.file_path, config.WORKSPACE_PATH);
+
+    await assertFileVersion(validPath, args.file_path, args.expected_hash,
+      base => resolveConflictHunk(base, args.hunk, args.resolution, args.content).content);
+    const { content: originalContent, encoding } = await readTextFile(validPath);
+    const resolved = resolveConflictHunk(originalContent, args.hunk, args.resolution, args.content);
+
+    const before = await snapshotPath(validPath);
+    await writeFileAtomically(validPath, resolved.content, encoding);
+    const change = await recordChange('git_resolve_conflict', validPath, before);
+
+    const diff = formatDiff(createUnifiedDiff(originalContent, resolved.content, validPath));
+    const summary = resolved.remaining > 0
+      ? `🔀 Resolved hunk ${args.hunk} with ${args.resolution} - ${resolved.remaining} hunk${resolved.remaining === 1 ? '' : 's'} left (numbers of later hunks shift down by one)`
+      : `✅ Resolved hunk ${args.hunk} with ${args.resolution} - no conflict markers left. Stage the file with 'git add ${args.file_path}' to mark it resolved`;
+
+    return {
+      content: [{ type: "text", text: diff + summary + formatChangeNote(change) }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
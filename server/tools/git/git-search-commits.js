@@ -0,0 +1,152 @@
+// tools/git/git-search-commits.js
+
+import {
+  runGitCommand,
+  validatePath,
+  verifyGitRef,
+  parseGitLimit,
+  GIT_LOG_FORMAT,
+  parseGitLog,
+  describeStatusLetter,
+  resolveGitRepository,
+  formatRepositoryNote
+} from '../../utils/index.js';
+import { config } from '../../config.js';
+
+/**
+ * Read the files listed in a commit's --name-status body
+ * With -S/-G git lists only the files whose diff matched
+ * @param {string} body - Name-status lines for one commit
+ * @returns {Array<Object>} - Files: { path, oldPath, status, similarity }
+ */
+function parseChangedFiles(body) {
+  return body.split('\n').filter(row => /^[A-Z]\d*\t/.test(row)).map(row => {
+    const [code, ...paths] = row.split('\t');
+    return {
+      path: paths[paths.length - 1],
+      oldPath: paths.length > 1 ? paths[0] : null,
+      status: describeStatusLetter(code[0]),
+      similarity: code.length > 1 ? parseInt(code.slice(1)) : null
+    };
+  });
+}
+
+/**
+ * Describe the active filters for the result header
+ * @param {Object} args - Tool arguments
+ * @returns {string} - e.g. "content 'API_KEY', author 'alice'"
+ */
+function describeFilters(args) {
+  const filters = [];
+  if (args.content) filters.push(`content '${args.content}'`);
+  if (args.diff_regex) filters.push(`diff lines /${args.diff_regex}/`);
+  if (args.message) filters.push(`message /${args.message}/`);
+  if (args.author) filters.push(`author /${args.author}/`);
+  if (args.committer) filters.push(`committer /${args.committer}/`);
+  if (args.since) filters.push(`since ${args.since}`);
+  if (args.until) filters.push(`until ${args.until}`);
+  if (args.paths && args.paths.length > 0) filters.push(`paths ${args.paths.join(', ')}`);
+  return filters.join(', ');
+}
+
+/**
+ * Implementation of the git_search_commits tool
+ * Finds commits by content change (pickaxe), message, author, committer, date and path
+ * 
+ * @param {Object} args - Tool arguments
+ * @param {string} [args.content] - Commits that add or remove this exact string (git log -S)
+ * @param {string} [args.diff_regex] - Commits whose added or removed lines match this regex (git log -G)
+ * @param {string} [args.message] - Commits whose message matches this regex (git log --grep)
+ * @param {string} [args.author] - Commits whose author name or email matches this regex
+ * @param {string} [args.committer] - Commits whose committer name or email matches this regex
+ * @param {string} [args.since] - Only commits on or after this date
+ * @param {string} [args.until] - Only commits on or before this date
+ * @param {Array<string>} [args.paths] - Only commits touching these files or directories (all in the same repository or submodule)
+ * @param {boolean} [args.ignore_case=false] - Case-insensitive content, message, author and committer matching
+ * @param {string} [args.revision="HEAD"] - Search the history of this commit or reference
+ * @param {boolean} [args.all_branches=false] - Search every local and remote branch and tag instead of one revision
+ * @param {number} [args.limit=20] - Number of commits to show
+ * @param {string} [args.format="text"] - 'text' for a readable list, 'json' for structured commits
+ * @returns {Object} - Response with matching commits and the files that matched in each
+ */
+export async function gitSearchCommits(args) {
+  try {
+    const paths = args.paths || [];
+    if (!args.content && !args.diff_regex && !args.message && !args.author && !args.committer
+      && !args.since && !args.until && paths.length === 0) {
+      throw new Error(`At least one filter is required: content, diff_regex, message, author, committer, since, until or paths\n\n🔧 TROUBLESHOOTING:\n1. Use 'git_log' to list recent commits without filtering`);
+    }
+    if (args.content && args.diff_regex) {
+      throw new Error('Use either content (-S) or diff_regex (-G), not both');
+    }
+
+    const limit = parseGitLimit(args.limit, 20);
+    const gitArgs = ['log', GIT_LOG_FORMAT, '--name-status', '--extended-regexp', `--max-count=${limit}`];
+    if (args.content) gitArgs.push(`-S${args.content}`);
+    if (args.diff_regex) gitArgs.push(`-G${args.diff_regex}`);
+    if (args.message) gitArgs.push(`--grep=${args.message}`);
+    if (args.author) gitArgs.push(`--author=${args.author}`);
+    if (args.committer) gitArgs.push(`--committer=${args.committer}`);
+    if (args.since) gitArgs.push(`--since=${args.since}`);
+    if (args.until) gitArgs.push(`--until=${args.until}`);
+    if (args.ignore_case) gitArgs.push('--regexp-ignore-case');
+
+    // Paths inside a submodule are searched in the submodule's own history
+    let repo = null;
+    const pathspecs = [];
+    for (const requested of paths) {
+      const validPath = await validatePath(requested, config.WORKSPACE_PATH);
+      const pathRepo = await resolveGitRepository(validPath, config.WORKSPACE_PATH);
+      if (repo && pathRepo.root !== repo.root) {
+        throw new Error(`'${requested}' is in a different repository than '${paths[0]}' - search one repository or submodule at a time`);
+      }
+      repo = pathRepo;
+      pathspecs.push(pathRepo.path);
+    }
+    const cwd = repo ? repo.cwd : config.WORKSPACE_PATH;
+
+    let revision = null;
+    if (args.all_branches) {
+      // Not --all: that would also search stashes and other internal refs
+      gitArgs.push('--branches', '--tags', '--remotes');
+    } else {
+      revision = await verifyGitRef(args.revision || 'HEAD', cwd);
+      gitArgs.push('--end-of-options', revision);
+    }
+    if (pathspecs.length > 0) gitArgs.push('--', ...pathspecs);
+
+    const commits = parseGitLog(await runGitCommand(gitArgs, cwd, { allowTruncation: false }))
+      .map(({ extra, ...commit }) => ({ ...commit, files: parseChangedFiles(extra) }));
+
+    if (args.format === 'json') {
+      return {
+        content: [{ type: "text", text: JSON.stringify({ repository: repo && repo.nested ? repo.label : null, revision: revision || 'all branches', limit, commits }, null, 2) }]
+      };
+    }
+
+    const scope = revision ? `in ${revision}` : 'on all branches';
+    if (commits.length === 0) {
+      return {
+        content: [{ type: "text", text: `${formatRepositoryNote(repo)}No commits ${scope} match ${describeFilters(args)}` }]
+      };
+    }
+
+    let text = `${formatRepositoryNote(repo)}🔎 ${commits.length} commit${commits.length === 1 ? '' : 's'} ${scope} matching ${describeFilters(args)}${commits.length === limit ? ` (limit ${limit})` : ''}\n`;
+    for (const commit of commits) {
+      text += `\n${commit.shortHash}  ${commit.authorDate.slice(0, 10)}  ${commit.author} <${commit.authorEmail}>  ${commit.subject}\n`;
+      for (const file of commit.files) {
+        text += `    ${file.status.padEnd(9)} ${file.oldPath ? `${file.oldPath} → ` : ''}${file.path}\n`;
+      }
+    }
+    text += `\n💡 Use 'git_show_commit' with show_diff to see a commit's full changes`;
+
+    return {
+      content: [{ type: "text", text }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
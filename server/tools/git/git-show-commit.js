@@ -1,6 +1,6 @@
 // tools/git/git-show-commit.js
 
-import { runGitCommand } from '../../utils/index.js';
+import { runGitCommand, verifyGitRef } from '../../utils/index.js';
 import { config } from '../../config.js';
 
 /**
@@ -14,9 +14,10 @@ import { config } from '../../config.js';
  */
 export async function gitShowCommit(args) {
   try {
+    const commit = await verifyGitRef(args.commit_hash, config.WORKSPACE_PATH, 'Commit');
     const gitArgs = ['show'];
     if (!args.show_diff) gitArgs.push('--no-patch');
-    gitArgs.push(args.commit_hash);
+    gitArgs.push('--end-of-options', commit);
     
     const output = await runGitCommand(gitArgs, config.WORKSPACE_PATH);
     return {
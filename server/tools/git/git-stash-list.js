@@ -0,0 +1,115 @@
+// tools/git/git-stash-list.js
+
+import {
+  runGitCommand,
+  readReflog,
+  resolveGitDateRange,
+  isWithinDateRange,
+  parseDiffSummary
+} from '../../utils/index.js';
+import { config } from '../../config.js';
+
+/**
+ * Read the changes saved in one stash entry
+ * A stash commit's first parent is the commit it was made on; a third parent holds untracked files
+ * @param {Object} entry - Stash reflog entry from readReflog
+ * @param {boolean} includeDiff - Also return the patch
+ * @returns {Promise<Object>} - { files, totals, untracked, patch }
+ */
+async function readStashChanges(entry, includeDiff) {
+  const range = [`${entry.hash}^1`, entry.hash];
+  const options = { allowTruncation: false };
+  const nameStatus = await runGitCommand(['diff', '--name-status', '-z', '--end-of-options', ...range], config.WORKSPACE_PATH, options);
+  const numstat = await runGitCommand(['diff', '--numstat', '-z', '--end-of-options', ...range], config.WORKSPACE_PATH, options);
+  const summary = parseDiffSummary(nameStatus, numstat);
+
+  let untracked = [];
+  if (entry.parents.length > 2) {
+    const output = await runGitCommand(['show', '--format=', '--name-only', '-z', '--end-of-options', entry.parents[2]], config.WORKSPACE_PATH, options);
+    untracked = output.split('\x00').filter(Boolean);
+  }
+
+  const patch = includeDiff
+    ? await runGitCommand(['diff', '--end-of-options', ...range], config.WORKSPACE_PATH)
+    : '';
+  return { ...summary, untracked, patch };
+}
+
+/**
+ * Implementation of the git_stash_list tool
+ * Lists stash entries with the branch they were made on and the files they change
+ * 
+ * @param {Object} args - Tool arguments
+ * @param {boolean} [args.include_diff=false] - Include each stash's patch
+ * @param {string} [args.since] - Only stashes made on or after this date
+ * @param {string} [args.until] - Only stashes made on or before this date
+ * @param {string} [args.pattern] - Only stashes whose message contains this text (case-insensitive)
+ * @param {string} [args.format="text"] - 'text' for a readable list, 'json' for structured entries
+ * @returns {Object} - Response with the stash entries
+ */
+export async function gitStashList(args) {
+  try {
+    const bounds = await resolveGitDateRange(args.since, args.until, config.WORKSPACE_PATH);
+    const pattern = args.pattern ? args.pattern.toLowerCase() : null;
+
+    const entries = (await readReflog('refs/stash', config.WORKSPACE_PATH))
+      .filter(entry => isWithinDateRange(entry.timestamp, bounds))
+      .filter(entry => !pattern || entry.message.toLowerCase().includes(pattern));
+
+    const stashes = [];
+    for (const entry of entries) {
+      // Messages look like "WIP on main: abc1234 subject" or "On main: custom message"
+      const match = entry.message.match(/^(?:WIP on|On) (.+?): (.*)$/s);
+      const changes = await readStashChanges(entry, args.include_diff);
+      stashes.push({
+        index: entry.index,
+        ref: entry.selector,
+        date: entry.date,
+        branch: match ? match[1] : null,
+        message: match ? match[2] : entry.message,
+        commit: entry.hash,
+        baseCommit: entry.parents[0],
+        files: changes.files,
+        totals: changes.totals,
+        untracked: changes.untracked,
+        ...(args.include_diff ? { patch: changes.patch } : {})
+      });
+    }
+
+    if (args.format === 'json') {
+      return {
+        content: [{ type: "text", text: JSON.stringify(stashes, null, 2) }]
+      };
+    }
+
+    if (stashes.length === 0) {
+      const filtered = args.since || args.until || args.pattern;
+      return {
+        content: [{ type: "text", text: filtered ? 'No stash entries match the filters' : 'No stash entries' }]
+      };
+    }
+
+    let text = `📦 ${stashes.length} stash entr${stashes.length === 1 ? 'y' : 'ies'}\n`;
+    for (const stash of stashes) {
+      text += `\n${stash.ref}  ${stash.date.slice(0, 16).replace('T', ' ')}  ${stash.branch ? `on ${stash.branch}  ` : ''}${stash.message}\n`;
+      for (const file of stash.files) {
+        const counts = file.binary ? 'binary' : `+${file.additions} -${file.deletions}`;
+        text += `    ${file.status.padEnd(9)} ${file.oldPath ? `${file.oldPath} → ` : ''}${file.path}  (${counts})\n`;
+      }
+      for (const untracked of stash.untracked) {
+        text += `    untracked ${untracked}\n`;
+      }
+      if (stash.patch) text += `\n${stash.patch}\n`;
+    }
+    text += `\n💡 Use 'git_stash' with action 'pop' and the entry index to re-apply one (write mode)`;
+
+    return {
+      content: [{ type: "text", text }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
@@ -1,20 +1,66 @@
 // tools/git/git-status.js
 
-import { runGitCommand } from '../../utils/index.js';
+import {
+  runGitCommand,
+  validatePath,
+  parseStatusPorcelainV2,
+  resolveGitRepository,
+  formatRepositoryNote,
+  listSubmodules
+} from '../../utils/index.js';
 import { config } from '../../config.js';
 
+/**
+ * Format the submodule section appended to the text status
+ * @param {Array<Object>} submodules - Result of listSubmodules
+ * @returns {string} - Section text, or '' without submodules
+ */
+function formatSubmodules(submodules) {
+  if (submodules.length === 0) return '';
+  let text = '\n\nSubmodules:\n';
+  for (const submodule of submodules) {
+    const recorded = submodule.recordedCommit ? submodule.recordedCommit.slice(0, 8) : '-';
+    const checkedOut = submodule.checkedOutCommit ? submodule.checkedOutCommit.slice(0, 8) : '-';
+    text += `  ${submodule.path}  recorded ${recorded}, checked out ${checkedOut}  [${submodule.state}]\n`;
+  }
+  return text.trimEnd();
+}
+
 /**
  * Implementation of the git_status tool
- * Shows the git status of the workspace
+ * Shows the git status of the workspace, or of the submodule or nested repository containing file_path
  * 
- * @param {Object} args - Tool arguments (none expected)
+ * @param {Object} args - Tool arguments
+ * @param {string} [args.file_path] - A file or directory inside the repository to report on (default: the workspace)
+ * @param {string} [args.format="text"] - 'text' for git's porcelain output, 'json' for parsed sections
  * @returns {Object} - Response with git status output
  */
 export async function gitStatus(args) {
   try {
-    const output = await runGitCommand(['status', '--porcelain'], config.WORKSPACE_PATH);
+    let repo = null;
+    if (args.file_path) {
+      const validPath = await validatePath(args.file_path, config.WORKSPACE_PATH);
+      repo = await resolveGitRepository(validPath, config.WORKSPACE_PATH);
+    }
+    const cwd = repo ? repo.cwd : config.WORKSPACE_PATH;
+    const repoRoot = await runGitCommand(['rev-parse', '--show-toplevel'], cwd);
+    const submodules = await listSubmodules(repoRoot);
+
+    if (args.format === 'json') {
+      const output = await runGitCommand(['status', '--porcelain=v2', '-z', '--branch'], cwd, { allowTruncation: false });
+      const status = {
+        repository: repo && repo.nested ? repo.label : null,
+        ...parseStatusPorcelainV2(output),
+        submodules
+      };
+      return {
+        content: [{ type: "text", text: JSON.stringify(status, null, 2) }]
+      };
+    }
+
+    const output = await runGitCommand(['status', '--porcelain'], cwd);
     return {
-      content: [{ type: "text", text: output || "Working tree clean" }]
+      content: [{ type: "text", text: `${formatRepositoryNote(repo)}${output || "Working tree clean"}${formatSubmodules(submodules)}` }]
     };
   } catch (error) {
     return {
@@ -5,11 +5,26 @@ export { gitStatus } from './git-status.js';
 export { gitDiff } from './git-diff.js';
 export { gitLog } from './git-log.js';
 export { gitListBranches } from './git-list-branches.js';
+export { gitBranchReport } from './git-branch-report.js';
 export { gitCompareBranches } from './git-compare-branches.js';
 export { gitCompareCommits } from './git-compare-commits.js';
 export { gitShowCommit } from './git-show-commit.js';
 export { gitCurrentBranch } from './git-current-branch.js';
 export { gitBranchHistory } from './git-branch-history.js';
+export { gitBlame } from './git-blame.js';
+export { gitFileHistory } from './git-file-history.js';
+export { gitSearchCommits } from './git-search-commits.js';
+export { gitChangelog } from './git-changelog.js';
+export { gitContributors } from './git-contributors.js';
+export { gitHotspots } from './git-hotspots.js';
+export { gitPredictConflicts } from './git-predict-conflicts.js';
+export { gitMergeConflicts } from './git-merge-conflicts.js';
+export { gitResolveConflict } from './git-resolve-conflict.js';
+export { gitStashList } from './git-stash-list.js';
+export { gitReflog } from './git-reflog.js';
+export { gitListTags } from './git-list-tags.js';
+export { gitListWorktrees } from './git-list-worktrees.js';
+export { gitListSubmodules } from './git-list-submodules.js';
 
 // Re-exports all git tool definitions
 export {
@@ -17,10 +32,25 @@ export {
   gitDiffDefinition,
   gitLogDefinition,
   gitListBranchesDefinition,
+  gitBranchReportDefinition,
   gitCompareBranchesDefinition,
   gitCompareCommitsDefinition,
   gitShowCommitDefinition,
   gitCurrentBranchDefinition,
   gitBranchHistoryDefinition,
+  gitBlameDefinition,
+  gitFileHistoryDefinition,
+  gitSearchCommitsDefinition,
+  gitChangelogDefinition,
+  gitContributorsDefinition,
+  gitHotspotsDefinition,
+  gitPredictConflictsDefinition,
+  gitMergeConflictsDefinition,
+  gitResolveConflictDefinition,
+  gitStashListDefinition,
+  gitReflogDefinition,
+  gitListTagsDefinition,
+  gitListWorktreesDefinition,
+  gitListSubmodulesDefinition,
   gitToolDefinitions
 } from './definitions.js';
@@ -9,9 +9,14 @@ import {
   previewEdit,
   appendToFile,
   replaceInFile,
+  searchAndReplace,
   editFileAdvanced,
+  applyChangeset,
+  applyPatch,
   listFiles,
   createDirectory,
+  moveFile,
+  copyFile,
   deleteFile
 } from './filesystem/index.js';
 
@@ -20,13 +25,36 @@ import {
   gitDiff,
   gitLog,
   gitListBranches,
+  gitBranchReport,
   gitCompareBranches,
   gitCompareCommits,
   gitShowCommit,
   gitCurrentBranch,
-  gitBranchHistory
+  gitBranchHistory,
+  gitBlame,
+  gitFileHistory,
+  gitSearchCommits,
+  gitChangelog,
+  gitContributors,
+  gitHotspots,
+  gitPredictConflicts,
+  gitMergeConflicts,
+  gitResolveConflict,
+  gitStashList,
+  gitReflog,
+  gitListTags,
+  gitListWorktrees,
+  gitListSubmodules
 } from './git/index.js';
 
+import {
+  gitStage,
+  gitUnstage,
+  gitCommit,
+  gitCreateBranch,
+  gitStash
+} from './git-write/index.js';
+
 import {
   fastFindFile,
   findFiles,
@@ -44,6 +72,20 @@ import {
   fileIndexStats
 } from './index-management/index.js';
 
+import {
+  listChanges,
+  showChange,
+  undoLastChange,
+  createCheckpoint,
+  revertToCheckpoint
+} from './journal/index.js';
+
+import {
+  listTrash,
+  restoreFromTrash,
+  purgeTrash
+} from './trash/index.js';
+
 // Create a registry that maps tool names to their implementations
 export const toolImplementations = {
   // Filesystem tools
@@ -53,9 +95,14 @@ export const toolImplementations = {
   'preview_edit': previewEdit,
   'append_to_file': appendToFile,
   'replace_in_file': replaceInFile,
+  'search_and_replace': searchAndReplace,
   'edit_file_advanced': editFileAdvanced,
+  'apply_changeset': applyChangeset,
+  'apply_patch': applyPatch,
   'list_files': listFiles,
   'create_directory': createDirectory,
+  'move_file': moveFile,
+  'copy_file': copyFile,
   'delete_file': deleteFile,
   
   // Git tools
@@ -63,11 +110,33 @@ export const toolImplementations = {
   'git_diff': gitDiff,
   'git_log': gitLog,
   'git_list_branches': gitListBranches,
+  'git_branch_report': gitBranchReport,
   'git_compare_branches': gitCompareBranches,
   'git_compare_commits': gitCompareCommits,
   'git_show_commit': gitShowCommit,
   'git_current_branch': gitCurrentBranch,
   'git_branch_history': gitBranchHistory,
+  'git_blame': gitBlame,
+  'git_file_history': gitFileHistory,
+  'git_search_commits': gitSearchCommits,
+  'git_changelog': gitChangelog,
+  'git_contributors': gitContributors,
+  'git_hotspots': gitHotspots,
+  'git_predict_conflicts': gitPredictConflicts,
+  'git_merge_conflicts': gitMergeConflicts,
+  'git_resolve_conflict': gitResolveConflict,
+  'git_stash_list': gitStashList,
+  'git_reflog': gitReflog,
+  'git_list_tags': gitListTags,
+  'git_list_worktrees': gitListWorktrees,
+  'git_list_submodules': gitListSubmodules,
+  
+  // Git write tools (refuse unless ENABLE_GIT_WRITE is set)
+  'git_stage': gitStage,
+  'git_unstage': gitUnstage,
+  'git_commit': gitCommit,
+  'git_create_branch': gitCreateBranch,
+  'git_stash': gitStash,
   
   // Search tools
   'fast_find_file': fastFindFile,
@@ -81,7 +150,19 @@ export const toolImplementations = {
   
   // Index management tools
   'refresh_file_index': refreshFileIndex,
-  'file_index_stats': fileIndexStats
+  'file_index_stats': fileIndexStats,
+  
+  // Journal tools
+  'list_changes': listChanges,
+  'show_change': showChange,
+  'undo_last_change': undoLastChange,
+  'create_checkpoint': createCheckpoint,
+  'revert_to_checkpoint': revertToCheckpoint,
+  
+  // Trash tools
+  'list_trash': listTrash,
+  'restore_from_trash': restoreFromTrash,
+  'purge_trash': purgeTrash
 };
 
 // Export individual implementations for direct access if needed
@@ -93,9 +174,14 @@ export {
   previewEdit,
   appendToFile,
   replaceInFile,
+  searchAndReplace,
   editFileAdvanced,
+  applyChangeset,
+  applyPatch,
   listFiles,
   createDirectory,
+  moveFile,
+  copyFile,
   deleteFile,
   
   // Git tools
@@ -103,11 +189,33 @@ export {
   gitDiff,
   gitLog,
   gitListBranches,
+  gitBranchReport,
   gitCompareBranches,
   gitCompareCommits,
   gitShowCommit,
   gitCurrentBranch,
   gitBranchHistory,
+  gitBlame,
+  gitFileHistory,
+  gitSearchCommits,
+  gitChangelog,
+  gitContributors,
+  gitHotspots,
+  gitPredictConflicts,
+  gitMergeConflicts,
+  gitResolveConflict,
+  gitStashList,
+  gitReflog,
+  gitListTags,
+  gitListWorktrees,
+  gitListSubmodules,
+  
+  // Git write tools
+  gitStage,
+  gitUnstage,
+  gitCommit,
+  gitCreateBranch,
+  gitStash,
   
   // Search tools
   fastFindFile,
@@ -121,5 +229,17 @@ export {
   
   // Index management tools
   refreshFileIndex,
-  fileIndexStats
+  fileIndexStats,
+  
+  // Journal tools
+  listChanges,
+  showChange,
+  undoLastChange,
+  createCheckpoint,
+  revertToCheckpoint,
+  
+  // Trash tools
+  listTrash,
+  restoreFromTrash,
+  purgeTrash
 };
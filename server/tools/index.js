@@ -3,24 +3,33 @@
 
 import { filesystemToolDefinitions } from './filesystem/index.js';
 import { gitToolDefinitions } from './git/index.js';
+import { gitWriteToolDefinitions } from './git-write/index.js';
 import { searchToolDefinitions } from './search/index.js';
 import { analysisToolDefinitions } from './analysis/index.js';
 import { indexManagementToolDefinitions } from './index-management/index.js';
+import { journalToolDefinitions } from './journal/index.js';
+import { trashToolDefinitions } from './trash/index.js';
 
 // Export individual category arrays
 export { filesystemToolDefinitions } from './filesystem/index.js';
 export { gitToolDefinitions } from './git/index.js';
+export { gitWriteToolDefinitions } from './git-write/index.js';
 export { searchToolDefinitions } from './search/index.js';
 export { analysisToolDefinitions } from './analysis/index.js';
 export { indexManagementToolDefinitions } from './index-management/index.js';
+export { journalToolDefinitions } from './journal/index.js';
+export { trashToolDefinitions } from './trash/index.js';
 
 // Export all tool definitions combined
 export const allToolDefinitions = [
   ...filesystemToolDefinitions,
   ...gitToolDefinitions,
+  ...gitWriteToolDefinitions,
   ...searchToolDefinitions,
   ...analysisToolDefinitions,
-  ...indexManagementToolDefinitions
+  ...indexManagementToolDefinitions,
+  ...journalToolDefinitions,
+  ...trashToolDefinitions
 ];
 
 // Export individual tool definitions for direct access
@@ -32,9 +41,14 @@ export {
   previewEditDefinition,
   appendToFileDefinition,
   replaceInFileDefinition,
+  searchAndReplaceDefinition,
   editFileAdvancedDefinition,
+  applyChangesetDefinition,
+  applyPatchDefinition,
   listFilesDefinition,
   createDirectoryDefinition,
+  moveFileDefinition,
+  copyFileDefinition,
   deleteFileDefinition
 } from './filesystem/index.js';
 
@@ -44,13 +58,37 @@ export {
   gitDiffDefinition,
   gitLogDefinition,
   gitListBranchesDefinition,
+  gitBranchReportDefinition,
   gitCompareBranchesDefinition,
   gitCompareCommitsDefinition,
   gitShowCommitDefinition,
   gitCurrentBranchDefinition,
-  gitBranchHistoryDefinition
+  gitBranchHistoryDefinition,
+  gitBlameDefinition,
+  gitFileHistoryDefinition,
+  gitSearchCommitsDefinition,
+  gitChangelogDefinition,
+  gitContributorsDefinition,
+  gitHotspotsDefinition,
+  gitPredictConflictsDefinition,
+  gitMergeConflictsDefinition,
+  gitResolveConflictDefinition,
+  gitStashListDefinition,
+  gitReflogDefinition,
+  gitListTagsDefinition,
+  gitListWorktreesDefinition,
+  gitListSubmodulesDefinition
 } from './git/index.js';
 
+export {
+  // Git write tools
+  gitStageDefinition,
+  gitUnstageDefinition,
+  gitCommitDefinition,
+  gitCreateBranchDefinition,
+  gitStashDefinition
+} from './git-write/index.js';
+
 export {
   // Search tools
   fastFindFileDefinition,
@@ -70,3 +108,19 @@ export {
   refreshFileIndexDefinition,
   fileIndexStatsDefinition
 } from './index-management/index.js';
+
+export {
+  // Journal tools
+  listChangesDefinition,
+  showChangeDefinition,
+  undoLastChangeDefinition,
+  createCheckpointDefinition,
+  revertToCheckpointDefinition
+} from './journal/index.js';
+
+export {
+  // Trash tools
+  listTrashDefinition,
+  restoreFromTrashDefinition,
+  purgeTrashDefinition
+} from './trash/index.js';
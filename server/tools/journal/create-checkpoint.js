@@ -0,0 +1,25 @@
+// tools/journal/create-checkpoint.js
+
+import { addCheckpoint } from '../../journal/index.js';
+
+/**
+ * Implementation of the create_checkpoint tool
+ * Adds a checkpoint marker to the change journal
+ * 
+ * @param {Object} args - Tool arguments
+ * @param {string} [args.label] - Checkpoint label
+ * @returns {Object} - Response with the checkpoint id
+ */
+export async function createCheckpoint(args) {
+  try {
+    const checkpoint = addCheckpoint(args.label);
+    return {
+      content: [{ type: "text", text: `📍 Created checkpoint #${checkpoint.id} "${checkpoint.label}"\nUse 'revert_to_checkpoint' with checkpoint_id ${checkpoint.id} to undo everything after this point` }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
@@ -0,0 +1,117 @@
+// tools/journal/definitions.js
+// Change journal tool definitions
+
+export const listChangesDefinition = {
+  name: "list_changes",
+  description:
+    "↩️ List every file change made by the write tools in this session\n" +
+    "Shows change ids, tools, paths and checkpoints (newest first)\n\n" +
+    "💡 RECOVERY WORKFLOW:\n" +
+    "1. Call 'list_changes' (this tool) to find the bad change\n" +
+    "2. Call 'show_change' to see its diff\n" +
+    "3. Call 'undo_last_change' (optionally with change_id) or 'revert_to_checkpoint'",
+  inputSchema: {
+    type: "object",
+    properties: {
+      path: {
+        type: "string",
+        description: "Only show changes to this relative path (optional)"
+      },
+      include_reverted: {
+        type: "boolean",
+        description: "Include changes that have already been reverted",
+        default: true
+      },
+      limit: {
+        type: "integer",
+        description: "Maximum number of entries to show",
+        default: 50
+      }
+    }
+  }
+};
+
+export const showChangeDefinition = {
+  name: "show_change",
+  description: "Show the unified diff of a single change journal entry (available while the changed files still hold the content it wrote)",
+  inputSchema: {
+    type: "object",
+    properties: {
+      change_id: {
+        type: "integer",
+        description: "Change id from 'list_changes'"
+      }
+    },
+    required: ["change_id"]
+  }
+};
+
+export const undoLastChangeDefinition = {
+  name: "undo_last_change",
+  description:
+    "↩️ Revert a change made by a write tool, restoring the previous content\n" +
+    "Without change_id, reverts the most recent change that has not been reverted yet\n\n" +
+    "🛡️ SAFETY: Refuses if the file changed after the change was made - undo later changes first\n" +
+    "EXAMPLE: \"Use undo_last_change to revert the bad edit to auth.js\"",
+  inputSchema: {
+    type: "object",
+    properties: {
+      change_id: {
+        type: "integer",
+        description: "Specific change id to revert (default: most recent change)"
+      },
+      force: {
+        type: "boolean",
+        description: "Revert even if the file was modified after the change",
+        default: false
+      }
+    }
+  }
+};
+
+export const createCheckpointDefinition = {
+  name: "create_checkpoint",
+  description:
+    "📍 Mark a point in the change journal before a risky multi-step edit\n" +
+    "Use 'revert_to_checkpoint' later to undo everything changed after it",
+  inputSchema: {
+    type: "object",
+    properties: {
+      label: {
+        type: "string",
+        description: "Short label for the checkpoint (e.g., 'before auth refactor')"
+      }
+    }
+  }
+};
+
+export const revertToCheckpointDefinition = {
+  name: "revert_to_checkpoint",
+  description:
+    "↩️ Revert every change made after a checkpoint, newest first\n" +
+    "Stops at the first change that cannot be reverted safely",
+  inputSchema: {
+    type: "object",
+    properties: {
+      checkpoint_id: {
+        type: "integer",
+        description: "Checkpoint id from 'create_checkpoint' or 'list_changes'"
+      },
+      force: {
+        type: "boolean",
+        description: "Revert even if files were modified outside the journal",
+        default: false
+      }
+    },
+    required: ["checkpoint_id"]
+  }
+};
+
+// Export all journal tool definitions
+export const journalToolDefinitions = [
+  listChangesDefinition,
+  showChangeDefinition,
+  undoLastChangeDefinition,
+  createCheckpointDefinition,
+  revertToCheckpointDefinition
+];
@@ -0,0 +1,18 @@
+// tools/journal/index.js
+
+// Re-exports all journal tool implementations for convenient importing
+export { listChanges } from './list-changes.js';
+export { showChange } from './show-change.js';
+export { undoLastChange } from './undo-last-change.js';
+export { createCheckpoint } from './create-checkpoint.js';
+export { revertToCheckpoint } from './revert-to-checkpoint.js';
+
+// Re-exports all journal tool definitions
+export {
+  listChangesDefinition,
+  showChangeDefinition,
+  undoLastChangeDefinition,
+  createCheckpointDefinition,
+  revertToCheckpointDefinition,
+  journalToolDefinitions
+} from './definitions.js';
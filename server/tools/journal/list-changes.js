@@ -0,0 +1,82 @@
+// tools/journal/list-changes.js
+
+import path from 'path';
+import { getJournal } from '../../journal/index.js';
+import { config } from '../../config.js';
+
+/**
+ * Describe a snapshot transition in a few words
+ *
+ * @param {Object} entry - Change entry
+ * @returns {string} - e.g. "created", "modified", "deleted directory", "changed 3 files:"
+ */
+function describeChange(entry) {
+  if (entry.move) return entry.files.length > 0 ? `moved (${entry.files.length} file(s) rewritten)` : 'moved';
+  if (entry.files.length > 1) return `changed ${entry.files.length} files:`;
+  const { before, after } = entry.files[0];
+  if (before.kind === 'missing') return after.kind === 'directory' ? 'created directory' : 'created';
+  if (after.kind === 'missing') return before.kind === 'directory' ? 'deleted directory' : 'deleted';
+  return 'modified';
+}
+
+/**
+ * Relative paths a change entry touched, including both ends of a move
+ *
+ * @param {Object} entry - Change entry
+ * @returns {Array<string>} - Relative paths
+ */
+function touchedPaths(entry) {
+  const paths = entry.files.map(file => file.path);
+  if (entry.move) {
+    paths.push(path.relative(config.WORKSPACE_PATH, entry.move.sourcePath), path.relative(config.WORKSPACE_PATH, entry.move.destinationPath));
+  }
+  return paths;
+}
+
+/**
+ * Implementation of the list_changes tool
+ * Lists change journal entries, newest first
+ * 
+ * @param {Object} args - Tool arguments
+ * @param {string} [args.path] - Only show changes to this path
+ * @param {boolean} [args.include_reverted=true] - Include reverted changes
+ * @param {number} [args.limit=50] - Maximum number of entries to show
+ * @returns {Object} - Response with journal listing
+ */
+export async function listChanges(args) {
+  try {
+    const filterPath = args.path ? path.normalize(args.path) : null;
+    const entries = [...getJournal()]
+      .reverse()
+      .filter(entry => {
+        if (entry.type === 'checkpoint') return !filterPath;
+        if (filterPath && !touchedPaths(entry).includes(filterPath)) return false;
+        return args.include_reverted !== false || !entry.reverted;
+      })
+      .slice(0, args.limit || 50);
+    
+    if (entries.length === 0) {
+      return {
+        content: [{ type: "text", text: "No changes recorded in this session" }]
+      };
+    }
+    
+    const lines = entries.map(entry => {
+      const time = entry.timestamp.toISOString();
+      if (entry.type === 'checkpoint') {
+        return `📍 #${entry.id} ${time} checkpoint "${entry.label}"`;
+      }
+      const status = entry.reverted ? ' (reverted)' : '';
+      return `• #${entry.id} ${time} ${entry.tool} ${describeChange(entry)} ${entry.path}${status}`;
+    });
+    
+    return {
+      content: [{ type: "text", text: `Change journal (newest first):\n${lines.join('\n')}` }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
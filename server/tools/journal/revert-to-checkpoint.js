@@ -0,0 +1,43 @@
+// tools/journal/revert-to-checkpoint.js
+
+import { getChangesSince, revertChange } from '../../journal/index.js';
+
+/**
+ * Implementation of the revert_to_checkpoint tool
+ * Reverts every change recorded after a checkpoint, newest first
+ * 
+ * @param {Object} args - Tool arguments
+ * @param {number} args.checkpoint_id - Checkpoint id
+ * @param {boolean} [args.force=false] - Revert even if files changed outside the journal
+ * @returns {Object} - Response with revert summary
+ */
+export async function revertToCheckpoint(args) {
+  try {
+    const changes = getChangesSince(args.checkpoint_id);
+    if (changes.length === 0) {
+      return {
+        content: [{ type: "text", text: `No changes to revert since checkpoint #${args.checkpoint_id}` }]
+      };
+    }
+    
+    const reverted = [];
+    for (const entry of changes) {
+      try {
+        await revertChange(entry, { force: args.force || false });
+        reverted.push(`• #${entry.id} ${entry.tool} on ${entry.path}${entry.trashedAs ? ` (moved back to trash as ${entry.trashedAs})` : ''}`);
+      } catch (error) {
+        const done = reverted.length > 0 ? `Reverted before stopping:\n${reverted.join('\n')}\n\n` : '';
+        throw new Error(`${done}Stopped at change #${entry.id}: ${error.message}`);
+      }
+    }
+    
+    return {
+      content: [{ type: "text", text: `✅ Reverted ${reverted.length} change(s) since checkpoint #${args.checkpoint_id}:\n${reverted.join('\n')}` }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
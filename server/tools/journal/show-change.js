@@ -0,0 +1,73 @@
+// tools/journal/show-change.js
+
+import { getJournalEntry, snapshotPath, matchesFingerprint } from '../../journal/index.js';
+import { createUnifiedDiff, formatDiff, detectEncoding, decodeText } from '../../utils/index.js';
+
+/**
+ * Render a snapshot as text for diffing
+ *
+ * @param {Object} snapshot - File snapshot
+ * @returns {string} - Text content ('' for missing files)
+ */
+function snapshotText(snapshot) {
+  if (snapshot.kind !== 'file' || !snapshot.restorable) return '';
+  const encoding = detectEncoding(snapshot.content);
+  return encoding.name === 'binary' ? '(binary content)\n' : decodeText(snapshot.content, encoding).content;
+}
+
+/**
+ * Render the recorded transition of one path in a change entry
+ * Only a fingerprint of the "after" state is journaled, so the diff is taken against
+ * the path's current content while that still matches it
+ *
+ * @param {Object} file - Entry file with a before snapshot and an after fingerprint
+ * @returns {Promise<string>} - Directory listing or diff
+ */
+async function renderFileChange(file) {
+  if (file.before.kind === 'directory' || file.after.kind === 'directory') {
+    const snapshot = file.before.kind === 'directory' ? file.before : file.after;
+    const files = snapshot.restorable
+      ? snapshot.files.map(f => `• ${f.path}`).join('\n')
+      : `(directory too large to snapshot: ${snapshot.size} bytes)`;
+    return `Directory contents of ${file.path}:\n${files}`;
+  }
+  
+  if (file.before.restorable === false || file.after.restorable === false) {
+    return `${file.path}: file too large to snapshot - no diff available`;
+  }
+  
+  const current = await snapshotPath(file.absolutePath);
+  if (!matchesFingerprint(current, file.after)) {
+    return `${file.path}: changed since (or reverted) - the new content is no longer on disk, so no diff is available`;
+  }
+  return formatDiff(createUnifiedDiff(snapshotText(file.before), snapshotText(current), file.path));
+}
+
+/**
+ * Implementation of the show_change tool
+ * Shows the diff recorded for a change journal entry
+ * 
+ * @param {Object} args - Tool arguments
+ * @param {number} args.change_id - Change id
+ * @returns {Object} - Response with the change diff
+ */
+export async function showChange(args) {
+  try {
+    const entry = getJournalEntry(args.change_id);
+    if (!entry || entry.type !== 'change') {
+      throw new Error(`Change #${args.change_id} not found in the change journal`);
+    }
+    
+    const header = `Change #${entry.id}: ${entry.tool} on ${entry.path} at ${entry.timestamp.toISOString()}` +
+                   (entry.reverted ? ' (reverted)' : '');
+    
+    return {
+      content: [{ type: "text", text: [header, ...(entry.move ? [`Moved ${entry.path}`] : []), ...(entry.trash ? [`Moved to trash as ${entry.trash.id}`] : await Promise.all(entry.files.map(renderFileChange)))].join('\n\n') }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
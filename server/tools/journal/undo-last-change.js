@@ -0,0 +1,34 @@
+// tools/journal/undo-last-change.js
+
+import { getJournalEntry, getLastChange, revertChange } from '../../journal/index.js';
+
+/**
+ * Implementation of the undo_last_change tool
+ * Reverts the most recent (or a specific) change journal entry
+ * 
+ * @param {Object} args - Tool arguments
+ * @param {number} [args.change_id] - Specific change to revert
+ * @param {boolean} [args.force=false] - Revert even if the file changed since
+ * @returns {Object} - Response with revert status
+ */
+export async function undoLastChange(args) {
+  try {
+    const entry = args.change_id ? getJournalEntry(args.change_id) : getLastChange();
+    if (!entry) {
+      throw new Error(args.change_id
+        ? `Change #${args.change_id} not found in the change journal`
+        : 'No changes left to undo in this session');
+    }
+    
+    await revertChange(entry, { force: args.force || false });
+    const trashNote = entry.trashedAs ? `\n🗑️ Moved back to trash as ${entry.trashedAs} - use 'restore_from_trash' to recover it` : '';
+    return {
+      content: [{ type: "text", text: `✅ Reverted change #${entry.id} (${entry.tool} on ${entry.path})${trashNote}\n\n🔍 Use ${entry.files.length === 1 && !entry.move ? `'read_file ${entry.path}' or ` : ''}'git_diff' to verify the result` }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
@@ -50,23 +50,66 @@ export const findFilesDefinition = {
 
 export const searchContentDefinition = {
   name: "search_content",
-  description: "Search for text content within files",
+  description: "Search file contents for text or a regular expression; results are 'path:line:column: text' with optional context lines ('path-line- text')",
   inputSchema: {
     type: "object",
     properties: {
       query: {
         type: "string",
-        description: "Text to search for"
+        description: "Text (or regular expression with regex: true) to search for"
       },
       file_pattern: {
         type: "string",
-        description: "File pattern to search in (e.g., '*.py')",
+        description: "Files to search: a glob matched against the full relative path (e.g., 'src/**/*.ts'), or a name pattern without '/' matched in any directory (e.g., '*.py')",
         default: "*"
       },
+      include: {
+        type: "array",
+        items: { type: "string" },
+        description: "Only search files whose relative path matches at least one of these globs (optional)"
+      },
+      exclude: {
+        type: "array",
+        items: { type: "string" },
+        description: "Skip files whose relative path matches any of these globs (e.g., ['**/*.min.js', 'dist/**'])"
+      },
       case_sensitive: {
         type: "boolean",
         description: "Case sensitive search",
         default: false
+      },
+      regex: {
+        type: "boolean",
+        description: "Treat query as a JavaScript regular expression",
+        default: false
+      },
+      whole_word: {
+        type: "boolean",
+        description: "Only match whole identifiers, so 'user' does not match 'userId'",
+        default: false
+      },
+      multiline: {
+        type: "boolean",
+        description: "Match against the whole file so the query can span lines (use \\n in the pattern); ^ and $ still match at every line",
+        default: false
+      },
+      dot_all: {
+        type: "boolean",
+        description: "Multiline regex mode: . also matches newlines",
+        default: false
+      },
+      context_lines: {
+        type: "integer",
+        description: "Lines of context to show before and after each match",
+        default: 0
+      },
+      before_context: {
+        type: "integer",
+        description: "Lines of context before each match (overrides context_lines)"
+      },
+      after_context: {
+        type: "integer",
+        description: "Lines of context after each match (overrides context_lines)"
       }
     },
     required: ["query"]
@@ -1,63 +1,205 @@
 // tools/search/search-content.js
 
-import fs from 'fs/promises';
 import path from 'path';
-import { minimatch } from 'minimatch';
 import { getFileIndex } from '../../file-index/index.js';
 import { PERFORMANCE_LIMITS } from '../../constants.js';
-import { debugLog } from '../../utils/index.js';
+import { debugLog, isPathInScope, readTextFile, buildSearchPattern, normalizeLineEndings } from '../../utils/index.js';
 import { config } from '../../config.js';
 
+// Longest line shown in results; minified files would otherwise flood the output
+const MAX_LINE_LENGTH = 300;
+
+/**
+ * Validate a context line count
+ * @param {*} value - Requested count
+ * @param {number} fallback - Count used when missing
+ * @param {string} name - Argument name for the error message
+ * @returns {number} - Non-negative integer
+ * @throws {Error} If the value is not a non-negative integer
+ */
+function parseContextCount(value, fallback, name) {
+  if (value === undefined || value === null) return fallback;
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${name} must be a non-negative integer, got '${value}'`);
+  }
+  return value;
+}
+
+/**
+ * Find matches line by line; a line counts once however often it matches
+ * @param {Array<string>} lines - File lines
+ * @param {RegExp} pattern - Global pattern from buildSearchPattern
+ * @param {number} limit - Stop after this many matching lines
+ * @returns {Array<Object>} - Hits: { line, column, endLine } (1-based)
+ */
+function findLineMatches(lines, pattern, limit) {
+  const hits = [];
+  for (let i = 0; i < lines.length && hits.length < limit; i++) {
+    pattern.lastIndex = 0;
+    const match = pattern.exec(lines[i]);
+    if (match) hits.push({ line: i + 1, column: match.index + 1, endLine: i + 1 });
+  }
+  return hits;
+}
+
+/**
+ * Find matches in the whole content so a pattern can span lines
+ * @param {string} content - File content with \n line endings
+ * @param {RegExp} pattern - Global pattern from buildSearchPattern
+ * @param {number} limit - Stop after this many matches
+ * @returns {Array<Object>} - Hits: { line, column, endLine } (1-based)
+ */
+function findMultilineMatches(content, pattern, limit) {
+  const lineStarts = [0];
+  // No line starts after a final newline, matching the lines searchContent splits off
+  for (let i = 0; i < content.length - 1; i++) {
+    if (content[i] === '\n') lineStarts.push(i + 1);
+  }
+  // Index of the last line starting at or before offset
+  const lineAt = offset => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (lineStarts[middle] <= offset) low = middle;
+      else high = middle - 1;
+    }
+    return low;
+  };
+
+  const hits = [];
+  for (const match of content.matchAll(pattern)) {
+    if (hits.length >= limit) break;
+    const start = lineAt(match.index);
+    // A match ending with its newline belongs to the line it ends, not the next one
+    const end = lineAt(Math.max(match.index, match.index + match[0].length - 1));
+    hits.push({ line: start + 1, column: match.index - lineStarts[start] + 1, endLine: end + 1 });
+  }
+  return hits;
+}
+
+/**
+ * Format one file's hits with their context, grep style:
+ * 'path:line:column: text' where a match starts, 'path:line: text' for the rest of a
+ * multiline match and 'path-line- text' for context, with '--' between separate blocks
+ * @param {string} relativePath - Path shown in the output
+ * @param {Array<string>} lines - File lines
+ * @param {Array<Object>} hits - Hits from findLineMatches or findMultilineMatches
+ * @param {number} before - Context lines before each match
+ * @param {number} after - Context lines after each match
+ * @returns {Array<string>} - Output lines
+ */
+function formatFileMatches(relativePath, lines, hits, before, after) {
+  const starts = new Map();
+  const covered = new Set();
+  const blocks = [];
+  for (const hit of hits) {
+    if (!starts.has(hit.line)) starts.set(hit.line, hit.column);
+    for (let line = hit.line; line <= hit.endLine; line++) covered.add(line);
+
+    const from = Math.max(1, hit.line - before);
+    const to = Math.min(lines.length, hit.endLine + after);
+    const last = blocks[blocks.length - 1];
+    if (last && from <= last.to + 1) last.to = Math.max(last.to, to);
+    else blocks.push({ from, to });
+  }
+
+  const output = [];
+  for (const block of blocks) {
+    if (output.length > 0 && (before > 0 || after > 0)) output.push('--');
+    for (let line = block.from; line <= block.to; line++) {
+      const raw = lines[line - 1].trimEnd();
+      const text = raw.length > MAX_LINE_LENGTH ? `${raw.slice(0, MAX_LINE_LENGTH)}…` : raw;
+      const prefix = starts.has(line) ? `${relativePath}:${line}:${starts.get(line)}:`
+        : covered.has(line) ? `${relativePath}:${line}:`
+        : `${relativePath}-${line}-`;
+      output.push(text ? `${prefix} ${text}` : prefix);
+    }
+  }
+  return output;
+}
+
 /**
  * Implementation of the search_content tool
- * Searches for text content within files
- * 
+ * Searches file contents for text or a regular expression, with optional context lines
+ *
  * @param {Object} args - Tool arguments
- * @param {string} args.query - Text to search for
- * @param {string} [args.file_pattern="*"] - File pattern to search in
+ * @param {string} args.query - Text (or regular expression with regex: true) to search for
+ * @param {string} [args.file_pattern="*"] - Glob for the files to search; without a slash it matches file names
+ * @param {Array<string>} [args.include] - Only files whose relative path matches one of these globs
+ * @param {Array<string>} [args.exclude] - Skip files whose relative path matches any of these globs
  * @param {boolean} [args.case_sensitive=false] - Case sensitive search
+ * @param {boolean} [args.regex=false] - Treat query as a JavaScript regular expression
+ * @param {boolean} [args.whole_word=false] - Only match whole identifiers
+ * @param {boolean} [args.multiline=false] - Match against the whole file so a pattern can span lines
+ * @param {boolean} [args.dot_all=false] - Multiline regex mode: . also matches newlines
+ * @param {number} [args.context_lines=0] - Lines of context before and after each match
+ * @param {number} [args.before_context] - Lines before each match (overrides context_lines)
+ * @param {number} [args.after_context] - Lines after each match (overrides context_lines)
  * @returns {Object} - Response with search results
  */
 export async function searchContent(args) {
   try {
+    const context = parseContextCount(args.context_lines, 0, 'context_lines');
+    const before = parseContextCount(args.before_context, context, 'before_context');
+    const after = parseContextCount(args.after_context, context, 'after_context');
+    // Built once up front so an invalid regex fails before any file is read
+    const pattern = buildSearchPattern(args.query, {
+      regex: args.regex,
+      wholeWord: args.whole_word,
+      ignoreCase: !args.case_sensitive,
+      multiline: args.multiline,
+      dotAll: args.multiline && args.dot_all
+    });
+
     const fileIndex = getFileIndex();
     const searchResults = [];
     let filesSearched = 0;
+    let filesCapped = 0;
+    let stoppedEarly = false;
     const maxFiles = PERFORMANCE_LIMITS.MAX_SEARCH_FILES;
     const maxMatchesPerFile = PERFORMANCE_LIMITS.MAX_MATCHES_PER_FILE;
-    
-    for (const [relativePath, info] of fileIndex) {
-      if (filesSearched >= maxFiles) break;
-      
-      // Skip if doesn't match file pattern
-      if (args.file_pattern && args.file_pattern !== '*') {
-        if (!minimatch(info.name, args.file_pattern)) continue;
+
+    for (const relativePath of [...fileIndex.keys()].sort()) {
+      // A file_pattern without a slash (e.g. '*.py') matches the file name in any directory
+      if (!isPathInScope(relativePath, { glob: args.file_pattern, matchBase: true, include: args.include, exclude: args.exclude })) continue;
+      if (filesSearched >= maxFiles) {
+        stoppedEarly = true;
+        break;
       }
-      
+
       try {
         const fullPath = path.resolve(config.WORKSPACE_PATH, relativePath);
-        const content = await fs.readFile(fullPath, 'utf-8');
+        // Binary files are rejected here and skipped
+        const { content: raw } = await readTextFile(fullPath);
+        const content = normalizeLineEndings(raw);
         const lines = content.split('\n');
-        
-        const query = args.case_sensitive ? args.query : args.query.toLowerCase();
-        let matches = 0;
-        
-        for (let i = 0; i < lines.length && matches < maxMatchesPerFile; i++) {
-          const line = args.case_sensitive ? lines[i] : lines[i].toLowerCase();
-          if (line.includes(query)) {
-            searchResults.push(`${relativePath}:${i + 1}: ${lines[i].trim()}`);
-            matches++;
-          }
-        }
-        
+        // A final newline ends the last line rather than starting an empty one
+        if (content.endsWith('\n')) lines.pop();
         filesSearched++;
+
+        // One extra hit tells a file with exactly the limit apart from one with more
+        const hits = args.multiline
+          ? findMultilineMatches(content, pattern, maxMatchesPerFile + 1)
+          : findLineMatches(lines, pattern, maxMatchesPerFile + 1);
+        if (hits.length > maxMatchesPerFile) filesCapped++;
+        searchResults.push(...formatFileMatches(relativePath.split(path.sep).join('/'), lines, hits.slice(0, maxMatchesPerFile), before, after));
       } catch (error) {
         debugLog(`Error searching ${relativePath}:`, error.message);
       }
     }
-    
+
+    const notes = [];
+    if (filesCapped > 0) {
+      notes.push(`ℹ️ ${filesCapped} file${filesCapped === 1 ? ' has' : 's have'} more than ${maxMatchesPerFile} matches - only the first ${maxMatchesPerFile} per file are shown`);
+    }
+    if (stoppedEarly) {
+      notes.push(`ℹ️ Stopped after searching ${maxFiles} files - narrow the search with file_pattern, include or exclude`);
+    }
+
+    const text = searchResults.length > 0 ? searchResults.join('\n') : `No matches found in ${filesSearched} file${filesSearched === 1 ? '' : 's'}`;
     return {
-      content: [{ type: "text", text: searchResults.join('\n') || "No matches found" }]
+      content: [{ type: "text", text: notes.length > 0 ? `${text}\n\n${notes.join('\n')}` : text }]
     };
   } catch (error) {
     return {
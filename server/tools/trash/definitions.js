@@ -0,0 +1,77 @@
+// tools/trash/definitions.js
+// Trash tool definitions
+
+export const listTrashDefinition = {
+  name: "list_trash",
+  description:
+    "🗑️ List files and directories removed by 'delete_file'\n" +
+    "Deleted paths are kept in a trash area outside the repository until purged\n" +
+    "Shows entry ids, original paths, deletion times and sizes (newest first)",
+  inputSchema: {
+    type: "object",
+    properties: {
+      path: {
+        type: "string",
+        description: "Only show entries whose original path starts with this relative path (optional)"
+      },
+      limit: {
+        type: "integer",
+        description: "Maximum number of entries to show",
+        default: 50
+      }
+    }
+  }
+};
+
+export const restoreFromTrashDefinition = {
+  name: "restore_from_trash",
+  description:
+    "♻️ Restore a deleted file or directory from the trash\n" +
+    "Restores to the original path unless a destination is given; missing parent directories are recreated\n\n" +
+    "🛡️ SAFETY: Never overwrites - fails if the destination already exists",
+  inputSchema: {
+    type: "object",
+    properties: {
+      entry_id: {
+        type: "string",
+        description: "Trash entry id from 'list_trash' or the 'delete_file' response"
+      },
+      destination: {
+        type: "string",
+        description: "Relative path to restore to instead of the original path (optional)"
+      }
+    },
+    required: ["entry_id"]
+  }
+};
+
+export const purgeTrashDefinition = {
+  name: "purge_trash",
+  description:
+    "⚠️ Permanently delete trash entries - they can no longer be restored\n" +
+    "Specify exactly one of entry_id, older_than_days or all",
+  inputSchema: {
+    type: "object",
+    properties: {
+      entry_id: {
+        type: "string",
+        description: "Purge a single entry"
+      },
+      older_than_days: {
+        type: "number",
+        description: "Purge entries deleted more than this many days ago"
+      },
+      all: {
+        type: "boolean",
+        description: "Purge every entry for this workspace"
+      }
+    }
+  }
+};
+
+// Export all trash tool definitions as an array
+export const trashToolDefinitions = [
+  listTrashDefinition,
+  restoreFromTrashDefinition,
+  purgeTrashDefinition
+];
@@ -0,0 +1,14 @@
+// tools/trash/index.js
+
+// Re-exports all trash tool implementations for convenient importing
+export { listTrash } from './list-trash.js';
+export { restoreFromTrash } from './restore-from-trash.js';
+export { purgeTrash } from './purge-trash.js';
+
+// Re-exports all trash tool definitions
+export {
+  listTrashDefinition,
+  restoreFromTrashDefinition,
+  purgeTrashDefinition,
+  trashToolDefinitions
+} from './definitions.js';
@@ -0,0 +1,42 @@
+// tools/trash/list-trash.js
+
+import path from 'path';
+import { listTrash as listTrashEntries, getTrashPath } from '../../trash/index.js';
+
+/**
+ * Implementation of the list_trash tool
+ * Lists trash entries for the workspace, newest first
+ * 
+ * @param {Object} args - Tool arguments
+ * @param {string} [args.path] - Only show entries under this original path
+ * @param {number} [args.limit=50] - Maximum number of entries to show
+ * @returns {Object} - Response with trash listing
+ */
+export async function listTrash(args) {
+  try {
+    const filterPath = args.path ? path.normalize(args.path) : null;
+    const entries = (await listTrashEntries())
+      .filter(entry => !filterPath || entry.originalPath === filterPath || entry.originalPath.startsWith(filterPath + path.sep))
+      .slice(0, args.limit || 50);
+    
+    if (entries.length === 0) {
+      return {
+        content: [{ type: "text", text: "Trash is empty" }]
+      };
+    }
+    
+    const lines = entries.map(entry => {
+      const contents = entry.kind === 'directory' ? `directory, ${entry.fileCount} files` : 'file';
+      return `• ${entry.id} ${entry.deletedAt} ${entry.originalPath} (${contents}, ${entry.size} bytes) by ${entry.deletedBy.tool}`;
+    });
+    
+    return {
+      content: [{ type: "text", text: `Trash at ${getTrashPath()} (newest first):\n${lines.join('\n')}\n\nUse 'restore_from_trash' with an entry id to recover it` }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
@@ -0,0 +1,47 @@
+// tools/trash/purge-trash.js
+
+import { purgeTrash as purgeEntries } from '../../trash/index.js';
+
+/**
+ * Implementation of the purge_trash tool
+ * Permanently removes trash entries
+ * 
+ * @param {Object} args - Tool arguments
+ * @param {string} [args.entry_id] - Purge a single entry
+ * @param {number} [args.older_than_days] - Purge entries older than this
+ * @param {boolean} [args.all] - Purge everything
+ * @returns {Object} - Response listing purged entries
+ */
+export async function purgeTrash(args) {
+  try {
+    const filters = [args.entry_id !== undefined, args.older_than_days !== undefined, args.all === true];
+    if (filters.filter(Boolean).length !== 1) {
+      throw new Error('Specify exactly one of entry_id, older_than_days or all: true');
+    }
+    if (args.older_than_days !== undefined && !(args.older_than_days >= 0)) {
+      throw new Error('older_than_days must be a non-negative number');
+    }
+    
+    const purged = await purgeEntries({
+      id: args.entry_id,
+      olderThanDays: args.older_than_days,
+      all: args.all
+    });
+    
+    if (purged.length === 0) {
+      return {
+        content: [{ type: "text", text: "No trash entries matched - nothing purged" }]
+      };
+    }
+    
+    const lines = purged.map(entry => `• ${entry.id} ${entry.originalPath}`);
+    return {
+      content: [{ type: "text", text: `Permanently deleted ${purged.length} trash entr${purged.length === 1 ? 'y' : 'ies'}:\n${lines.join('\n')}` }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
@@ -0,0 +1,37 @@
+// tools/trash/restore-from-trash.js
+
+import path from 'path';
+import { restoreFromTrash as restoreEntry } from '../../trash/index.js';
+import { recordTrashRestore, formatChangeNote } from '../../journal/index.js';
+import { indexFile } from '../../file-index/index.js';
+import { collectFilesFiltered } from '../../file-index/collect.js';
+import { config } from '../../config.js';
+
+/**
+ * Implementation of the restore_from_trash tool
+ * Moves a trash entry back into the workspace
+ * 
+ * @param {Object} args - Tool arguments
+ * @param {string} args.entry_id - Trash entry id
+ * @param {string} [args.destination] - Restore here instead of the original path
+ * @returns {Object} - Response with the restored path
+ */
+export async function restoreFromTrash(args) {
+  try {
+    const { metadata, restoredPath } = await restoreEntry(args.entry_id, args.destination);
+    const relativePath = path.relative(config.WORKSPACE_PATH, restoredPath);
+    const change = await recordTrashRestore('restore_from_trash', restoredPath, metadata);
+    
+    const files = metadata.kind === 'directory' ? await collectFilesFiltered(restoredPath) : [restoredPath];
+    await Promise.all(files.map(file => indexFile(file)));
+    
+    return {
+      content: [{ type: "text", text: `♻️ Restored ${metadata.kind} ${metadata.originalPath} to ${relativePath}` + formatChangeNote(change) }]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+}
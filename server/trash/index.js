@@ -0,0 +1,230 @@
+// server/trash/index.js
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash, randomBytes } from 'crypto';
+import { config } from '../config.js';
+import { debugLog, validatePath } from '../utils/index.js';
+
+const METADATA_FILE = 'meta.json';
+const PAYLOAD_NAME = 'payload';
+
+/**
+ * Get the trash directory for the current workspace
+ * Each workspace gets its own subdirectory so entries from different repos never mix
+ *
+ * @returns {string} - Absolute trash directory path
+ * @throws {Error} If the trash would live inside the workspace
+ */
+export function getTrashPath() {
+  const workspace = path.resolve(config.WORKSPACE_PATH);
+  const trashRoot = path.resolve(config.TRASH_PATH);
+  const relative = path.relative(workspace, trashRoot);
+  if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+    throw new Error(`TRASH_PATH must be outside the workspace: ${trashRoot} is inside ${workspace}`);
+  }
+
+  const workspaceId = createHash('sha256').update(workspace).digest('hex').slice(0, 12);
+  return path.join(trashRoot, `${path.basename(workspace)}-${workspaceId}`);
+}
+
+/**
+ * Count files and bytes under a path
+ *
+ * @param {string} targetPath - File or directory
+ * @param {number} [stopAfter=Infinity] - Stop walking once more than this many files are found
+ * @returns {Promise<Object>} - { fileCount, size, truncated }
+ */
+export async function measurePath(targetPath, stopAfter = Infinity) {
+  const stats = await fs.stat(targetPath);
+  if (!stats.isDirectory()) return { fileCount: 1, size: stats.size, truncated: false };
+
+  let fileCount = 0;
+  let size = 0;
+
+  async function walk(dirPath) {
+    const entries = await fs.readdir(dirPath, { withFileTypes: true });
+    for (const entry of entries) {
+      if (fileCount > stopAfter) return;
+      const fullPath = path.join(dirPath, entry.name);
+      if (entry.isDirectory()) {
+        await walk(fullPath);
+      } else {
+        fileCount++;
+        size += (await fs.lstat(fullPath)).size;
+      }
+    }
+  }
+
+  await walk(targetPath);
+  return { fileCount, size, truncated: fileCount > stopAfter };
+}
+
+/**
+ * Move a path, falling back to copy + delete across filesystems
+ *
+ * @param {string} from - Source path
+ * @param {string} to - Destination path
+ */
+async function movePath(from, to) {
+  try {
+    await fs.rename(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await fs.cp(from, to, { recursive: true, preserveTimestamps: true, errorOnExist: true, force: false });
+    await fs.rm(from, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Move a file or directory into the trash and record its metadata
+ *
+ * @param {string} absolutePath - Validated absolute path to delete
+ * @param {Object} deletedBy - The tool call responsible
+ * @param {string} deletedBy.tool - Tool name
+ * @param {Object} [deletedBy.args] - Tool arguments
+ * @returns {Promise<Object>} - Trash entry metadata
+ */
+export async function moveToTrash(absolutePath, deletedBy) {
+  const stats = await fs.stat(absolutePath);
+  const { fileCount, size } = await measurePath(absolutePath);
+
+  const id = `${Date.now()}-${randomBytes(4).toString('hex')}`;
+  const entryPath = path.join(getTrashPath(), id);
+  await fs.mkdir(entryPath, { recursive: true });
+
+  const metadata = {
+    id,
+    originalPath: path.relative(config.WORKSPACE_PATH, absolutePath),
+    kind: stats.isDirectory() ? 'directory' : 'file',
+    deletedAt: new Date().toISOString(),
+    size,
+    fileCount,
+    deletedBy: { tool: deletedBy.tool, args: deletedBy.args || {} }
+  };
+
+  try {
+    await movePath(absolutePath, path.join(entryPath, PAYLOAD_NAME));
+    await fs.writeFile(path.join(entryPath, METADATA_FILE), JSON.stringify(metadata, null, 2), 'utf-8');
+  } catch (error) {
+    await fs.rm(entryPath, { recursive: true, force: true }).catch(() => {});
+    throw new Error(`Failed to move ${metadata.originalPath} to trash: ${error.message}`);
+  }
+
+  debugLog(`Trash: moved ${metadata.originalPath} to ${entryPath}`);
+  return metadata;
+}
+
+/**
+ * List trash entries, newest first
+ *
+ * @returns {Promise<Array<Object>>} - Entry metadata
+ */
+export async function listTrash() {
+  const trashPath = getTrashPath();
+  let ids;
+  try {
+    ids = await fs.readdir(trashPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const entries = [];
+  for (const id of ids) {
+    try {
+      const raw = await fs.readFile(path.join(trashPath, id, METADATA_FILE), 'utf-8');
+      entries.push(JSON.parse(raw));
+    } catch (error) {
+      debugLog(`Trash: skipping unreadable entry ${id}:`, error.message);
+    }
+  }
+
+  return entries.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+/**
+ * Read one trash entry's metadata
+ *
+ * @param {string} id - Entry id
+ * @returns {Promise<Object>} - Entry metadata
+ * @throws {Error} If the entry does not exist
+ */
+async function getTrashEntry(id) {
+  if (!/^[\w-]+$/.test(id)) {
+    throw new Error(`Invalid trash entry id: ${id}`);
+  }
+  try {
+    const raw = await fs.readFile(path.join(getTrashPath(), id, METADATA_FILE), 'utf-8');
+    return JSON.parse(raw);
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new Error(`Trash entry not found: ${id}`);
+    throw error;
+  }
+}
+
+/**
+ * Restore a trash entry to its original path (or a new one)
+ *
+ * @param {string} id - Entry id
+ * @param {string} [destination] - Relative path to restore to (default: original path)
+ * @returns {Promise<Object>} - { metadata, restoredPath }
+ * @throws {Error} If the destination already exists or is outside the workspace
+ */
+export async function restoreFromTrash(id, destination) {
+  const metadata = await getTrashEntry(id);
+  const relativeTarget = destination || metadata.originalPath;
+
+  // Recreate missing parent directories, but only inside the workspace
+  const workspace = path.resolve(config.WORKSPACE_PATH);
+  const absoluteTarget = path.resolve(workspace, relativeTarget);
+  const relative = path.relative(workspace, absoluteTarget);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw new Error(`Access denied - path outside workspace: ${absoluteTarget} not in ${workspace}`);
+  }
+  await fs.mkdir(path.dirname(absoluteTarget), { recursive: true });
+  const validPath = await validatePath(relativeTarget, config.WORKSPACE_PATH);
+
+  try {
+    await fs.lstat(validPath);
+    throw new Error(`Cannot restore - ${relativeTarget} already exists. Pass a different destination`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const entryPath = path.join(getTrashPath(), id);
+  await movePath(path.join(entryPath, PAYLOAD_NAME), validPath);
+  await fs.rm(entryPath, { recursive: true, force: true });
+
+  debugLog(`Trash: restored ${id} to ${relativeTarget}`);
+  return { metadata, restoredPath: validPath };
+}
+
+/**
+ * Permanently delete trash entries
+ *
+ * @param {Object} filter - Which entries to purge
+ * @param {string} [filter.id] - A single entry
+ * @param {number} [filter.olderThanDays] - Entries deleted more than N days ago
+ * @param {boolean} [filter.all] - Every entry for this workspace
+ * @returns {Promise<Array<Object>>} - Metadata of purged entries
+ * @throws {Error} If no filter is given
+ */
+export async function purgeTrash(filter) {
+  let entries;
+  if (filter.id) {
+    entries = [await getTrashEntry(filter.id)];
+  } else if (filter.olderThanDays !== undefined) {
+    const cutoff = Date.now() - filter.olderThanDays * 24 * 60 * 60 * 1000;
+    entries = (await listTrash()).filter(entry => new Date(entry.deletedAt).getTime() < cutoff);
+  } else if (filter.all) {
+    entries = await listTrash();
+  } else {
+    throw new Error('Specify entry_id, older_than_days or all: true');
+  }
+
+  for (const entry of entries) {
+    await fs.rm(path.join(getTrashPath(), entry.id), { recursive: true, force: true });
+  }
+  return entries;
+}
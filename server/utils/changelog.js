@@ -0,0 +1,116 @@
+/**
+ * Changelog utilities
+ * Parses Conventional Commit messages, finds PR/issue references and builds
+ * links to the hosting service from a remote URL
+ */
+
+// type(scope)!: description
+const CONVENTIONAL_HEADER = /^(\w+)(?:\(([^)]*)\))?(!)?: (.+)$/;
+const BREAKING_FOOTER = /^BREAKING[ -]CHANGE: ([\s\S]+?)(?:\n\n|$)/m;
+
+/**
+ * Changelog sections in output order; types not listed here go under 'other'
+ */
+export const CHANGELOG_SECTIONS = [
+  { key: 'breaking', title: '⚠ BREAKING CHANGES' },
+  { key: 'feat', title: 'Features' },
+  { key: 'fix', title: 'Bug Fixes' },
+  { key: 'perf', title: 'Performance' },
+  { key: 'revert', title: 'Reverts' },
+  { key: 'other', title: 'Other Changes' }
+];
+
+/**
+ * Parse a commit message as a Conventional Commit
+ * @param {string} subject - First line of the message
+ * @param {string} [body] - Rest of the message
+ * @returns {Object} - { type, scope, breaking, breakingNote, description }; type is null for non-conventional messages
+ */
+export function parseConventionalCommit(subject, body = '') {
+  const footer = body.match(BREAKING_FOOTER);
+  const match = subject.match(CONVENTIONAL_HEADER);
+  if (!match) {
+    return { type: null, scope: null, breaking: Boolean(footer), breakingNote: footer ? footer[1].trim() : null, description: subject };
+  }
+  return {
+    type: match[1].toLowerCase(),
+    scope: match[2] || null,
+    breaking: Boolean(match[3] || footer),
+    breakingNote: footer ? footer[1].trim() : null,
+    description: match[4]
+  };
+}
+
+/**
+ * Find pull request and issue numbers in a commit message
+ * Recognises '#123', 'GH-123', 'Merge pull request #123' and GitLab's '!123'
+ * @param {string} message - Full commit message
+ * @returns {Array<Object>} - References: { kind: 'pull'|'issue'|'merge_request', number }, in order of appearance
+ */
+export function findCommitReferences(message) {
+  const references = [];
+  const seen = new Set();
+  const add = (kind, number) => {
+    const key = `${kind}:${number}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    references.push({ kind, number: parseInt(number) });
+  };
+
+  const merged = message.match(/^Merge pull request #(\d+)/);
+  if (merged) add('pull', merged[1]);
+  // Squash merges end the subject with "(#123)"
+  const squashed = message.split('\n')[0].match(/\(#(\d+)\)\s*$/);
+  if (squashed) add('pull', squashed[1]);
+
+  for (const match of message.matchAll(/(^|[\s(,;:])(?:#|GH-)(\d+)\b/g)) {
+    if (!seen.has(`pull:${match[2]}`)) add('issue', match[2]);
+  }
+  for (const match of message.matchAll(/(^|[\s(,;:])!(\d+)\b/g)) {
+    add('merge_request', match[2]);
+  }
+  return references;
+}
+
+/**
+ * Turn a git remote URL into the repository's web URL
+ * Handles https, ssh:// and scp-style (git@host:owner/repo.git) remotes
+ * @param {string} remoteUrl - Remote URL from git config
+ * @returns {string|null} - e.g. 'https://github.com/owner/repo', or null for local paths
+ */
+export function getRepositoryWebUrl(remoteUrl) {
+  if (!remoteUrl) return null;
+  let url = remoteUrl.trim();
+
+  const scp = url.match(/^[\w.-]+@([^:/]+):(.+)$/);
+  if (scp) {
+    url = `https://${scp[1]}/${scp[2]}`;
+  } else {
+    const parsed = url.match(/^(?:https?|ssh|git):\/\/(?:[^@/]+@)?([^/:]+)(?::\d+)?\/(.+)$/);
+    if (!parsed) return null;
+    url = `https://${parsed[1]}/${parsed[2]}`;
+  }
+  return url.replace(/\.git$/, '').replace(/\/+$/, '');
+}
+
+/**
+ * Build the web link for a commit or reference
+ * GitHub redirects /issues/N to the pull request when N is one; GitLab needs the exact path
+ * @param {string|null} webUrl - Result of getRepositoryWebUrl
+ * @param {Object} target - { commit } or a reference from findCommitReferences
+ * @returns {string|null} - URL, or null without a web URL or for a '!N' reference outside GitLab
+ */
+export function buildRepositoryLink(webUrl, target) {
+  if (!webUrl) return null;
+  const gitlab = /gitlab/i.test(webUrl);
+  const prefix = gitlab ? `${webUrl}/-` : webUrl;
+  if (target.commit) return `${prefix}/commit/${target.commit}`;
+  switch (target.kind) {
+    case 'pull':
+      return gitlab ? `${prefix}/merge_requests/${target.number}` : `${prefix}/pull/${target.number}`;
+    case 'merge_request':
+      return gitlab ? `${prefix}/merge_requests/${target.number}` : null;
+    default:
+      return `${prefix}/issues/${target.number}`;
+  }
+}
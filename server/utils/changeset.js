@@ -0,0 +1,277 @@
+/**
+ * Multi-file changeset utilities
+ * Plans a list of per-file operations in memory, then commits them all or none
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { validatePath } from './path.js';
+import { createUnifiedDiff, formatDiff } from './diff.js';
+import { writeFileAtomically, preserveFileAttributes, applyEditsToContent } from './file.js';
+import { replaceLines } from './edit.js';
+import { checkExpectedHash } from './version.js';
+import { DEFAULT_ENCODING, detectEncoding, decodeText, encodeText } from './encoding.js';
+
+/**
+ * Operation types accepted in a changeset
+ */
+export const CHANGESET_OPERATIONS = ['write', 'create', 'edit_lines', 'edit', 'delete', 'rename'];
+
+/**
+ * Plan a changeset without touching the disk
+ * Operations are applied in order against a virtual view of the workspace,
+ * so later operations see the results of earlier ones (line numbers included)
+ * @param {Array<Object>} operations - Per-file operations
+ * @param {string} workspacePath - Base workspace path
+ * @returns {Promise<Object>} - Plan with per-file original/final content and a combined diff
+ * @throws {Error} If any operation is invalid - nothing has been written at that point
+ */
+export async function planChangeset(operations, workspacePath) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw new Error('Changeset must contain at least one operation');
+  }
+
+  // absolute path -> { relativePath, raw: Buffer|null, stats, encoding, original: string|null, current: string|null }
+  const files = new Map();
+
+  async function load(requestedPath) {
+    // New files may go into directories that do not exist yet; commitChangeset creates them
+    const absolutePath = await validatePath(requestedPath, workspacePath, { allowMissingParents: true });
+    if (!files.has(absolutePath)) {
+      let raw = null;
+      let stats = null;
+      try {
+        stats = await fs.stat(absolutePath);
+        if (stats.isDirectory()) {
+          throw new Error(`${requestedPath} is a directory - changesets only operate on files`);
+        }
+        raw = await fs.readFile(absolutePath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      const encoding = raw === null ? { ...DEFAULT_ENCODING } : detectEncoding(raw);
+      if (encoding.name === 'binary') {
+        throw new Error(`${requestedPath} appears to be a binary file - changesets only operate on text files`);
+      }
+      const original = raw === null ? null : decodeText(raw, encoding).content;
+      files.set(absolutePath, {
+        relativePath: path.relative(workspacePath, absolutePath),
+        raw,
+        stats,
+        encoding,
+        original,
+        current: original
+      });
+    }
+    return files.get(absolutePath);
+  }
+
+  for (const [index, operation] of operations.entries()) {
+    const label = `Operation ${index + 1} (${operation.op} ${operation.path})`;
+    if (!CHANGESET_OPERATIONS.includes(operation.op)) {
+      throw new Error(`${label}: unknown op - expected one of ${CHANGESET_OPERATIONS.join(', ')}`);
+    }
+    if (!operation.path) {
+      throw new Error(`${label}: path is required`);
+    }
+
+    try {
+      const file = await load(operation.path);
+      // expected_hash always refers to the file on disk, before this changeset
+      checkExpectedHash(file.relativePath, file.raw, operation.expected_hash);
+
+      switch (operation.op) {
+        case 'write':
+          file.current = requireString(operation.content, 'content');
+          break;
+
+        case 'create':
+          if (file.current !== null) throw new Error('file already exists');
+          file.current = requireString(operation.content, 'content');
+          break;
+
+        case 'edit_lines':
+          requireExisting(file);
+          file.current = replaceLines(
+            file.current,
+            operation.line_start,
+            operation.line_end,
+            requireString(operation.new_content, 'new_content'),
+            file.relativePath
+          ).content;
+          break;
+
+        case 'edit':
+          requireExisting(file);
+          if (!Array.isArray(operation.edits) || operation.edits.length === 0) {
+            throw new Error('edits must be a non-empty array of {oldText, newText}');
+          }
+          file.current = applyEditsToContent(file.current, operation.edits);
+          break;
+
+        case 'delete':
+          requireExisting(file);
+          file.current = null;
+          break;
+
+        case 'rename': {
+          requireExisting(file);
+          const target = await load(requireString(operation.new_path, 'new_path'));
+          if (target === file) throw new Error('new_path is the same as path');
+          if (target.current !== null) throw new Error(`target ${operation.new_path} already exists`);
+          target.current = file.current;
+          target.encoding = file.encoding;
+          target.stats = file.stats;
+          file.current = null;
+          break;
+        }
+      }
+    } catch (error) {
+      throw new Error(`${label}: ${error.message}`);
+    }
+  }
+
+  // Build one combined diff in a stable order
+  const changed = [...files.entries()]
+    .filter(([, file]) => file.original !== file.current)
+    .sort(([, a], [, b]) => a.relativePath.localeCompare(b.relativePath));
+
+  const diff = changed
+    .map(([, file]) => createUnifiedDiff(file.original ?? '', file.current ?? '', file.relativePath))
+    .join('');
+
+  return {
+    files: new Map(changed),
+    diff: changed.length > 0 ? formatDiff(diff) : '',
+    summary: changed.map(([, file]) => {
+      if (file.original === null) return `• created ${file.relativePath}`;
+      if (file.current === null) return `• deleted ${file.relativePath}`;
+      return `• modified ${file.relativePath}`;
+    })
+  };
+}
+
+/**
+ * Create the missing parent directories of a file, outermost first
+ * @param {string} filePath - File about to be written
+ * @param {Array<string>} created - Receives every directory created
+ */
+async function createMissingParents(filePath, created) {
+  const missing = [];
+  for (let directory = path.dirname(filePath); directory !== path.dirname(directory); directory = path.dirname(directory)) {
+    try {
+      await fs.stat(directory);
+      break;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      missing.unshift(directory);
+    }
+  }
+  for (const directory of missing) {
+    await fs.mkdir(directory);
+    created.push(directory);
+  }
+}
+
+/**
+ * Remove directories created for a changeset, innermost first
+ * Directories that are no longer empty are left alone
+ * @param {Array<string>} directories - Directories in creation order
+ */
+export async function removeCreatedDirectories(directories) {
+  for (const directory of [...directories].reverse()) {
+    await fs.rmdir(directory).catch(() => {});
+  }
+}
+
+/**
+ * Commit a planned changeset: stage every new file to a temp file first,
+ * then swap them into place. Any failure rolls every file back to its original content.
+ * Missing parent directories are created, and removed again on rollback.
+ * A file's new content may also be a Buffer, which is written unchanged (used to restore snapshots).
+ * @param {Object} plan - Plan returned by planChangeset
+ * @returns {Promise<Object>} - { createdDirectories } in creation order
+ * @throws {Error} If the commit fails (after rolling back)
+ */
+export async function commitChangeset(plan) {
+  const staged = [];
+  const committed = [];
+  const createdDirectories = [];
+
+  try {
+    // Stage: write every new version next to its target
+    for (const [absolutePath, file] of plan.files) {
+      if (file.current === null) continue;
+      await createMissingParents(absolutePath, createdDirectories);
+      const tempPath = `${absolutePath}.${randomBytes(16).toString('hex')}.tmp`;
+      const data = Buffer.isBuffer(file.current) ? file.current : encodeText(file.current, file.encoding);
+      await fs.writeFile(tempPath, data);
+      staged.push({ absolutePath, tempPath });
+      // Keep permissions and owner (renamed files keep the source's)
+      if (file.stats) await preserveFileAttributes(tempPath, file.stats);
+    }
+  } catch (error) {
+    await Promise.all(staged.map(({ tempPath }) => fs.unlink(tempPath).catch(() => {})));
+    await removeCreatedDirectories(createdDirectories);
+    throw new Error(`Failed to stage changeset - no files were modified: ${error.message}`);
+  }
+
+  const tempPaths = new Map(staged.map(({ absolutePath, tempPath }) => [absolutePath, tempPath]));
+
+  try {
+    // Commit: atomic renames for writes, unlinks for deletes
+    for (const [absolutePath, file] of plan.files) {
+      if (file.current === null) {
+        await fs.unlink(absolutePath);
+      } else {
+        await fs.rename(tempPaths.get(absolutePath), absolutePath);
+        tempPaths.delete(absolutePath);
+      }
+      committed.push(absolutePath);
+    }
+  } catch (error) {
+    // Roll back everything already committed, then drop leftover temp files
+    const rollbackErrors = [];
+    for (const absolutePath of committed.reverse()) {
+      const file = plan.files.get(absolutePath);
+      try {
+        if (file.original === null) {
+          await fs.unlink(absolutePath);
+        } else {
+          await writeFileAtomically(absolutePath, file.raw);
+        }
+      } catch (rollbackError) {
+        rollbackErrors.push(`${file.relativePath}: ${rollbackError.message}`);
+      }
+    }
+    await Promise.all([...tempPaths.values()].map(tempPath => fs.unlink(tempPath).catch(() => {})));
+    await removeCreatedDirectories(createdDirectories);
+
+    if (rollbackErrors.length > 0) {
+      throw new Error(`❌ CRITICAL: Changeset commit failed AND rollback failed for:\n${rollbackErrors.join('\n')}\nManual recovery needed: ${error.message}`);
+    }
+    throw new Error(`Changeset commit failed - all files rolled back: ${error.message}`);
+  }
+
+  return { createdDirectories };
+}
+
+/**
+ * Ensure an operation field is a string
+ * @param {*} value - Field value
+ * @param {string} name - Field name for the error message
+ * @returns {string} - The value
+ */
+function requireString(value, name) {
+  if (typeof value !== 'string') throw new Error(`${name} is required`);
+  return value;
+}
+
+/**
+ * Ensure a planned file exists at this point in the changeset
+ * @param {Object} file - Planned file state
+ */
+function requireExisting(file) {
+  if (file.current === null) throw new Error('file does not exist');
+}
@@ -0,0 +1,61 @@
+/**
+ * Complexity utilities
+ * Language-agnostic complexity estimate based on indentation: deeply nested code
+ * (branches inside loops inside callbacks) is indented further, so the total
+ * indentation of a file's code lines tracks its structural complexity
+ */
+
+// Lines that only hold a comment (or the body of a block comment) are not code
+const COMMENT_LINE = /^(\/\/|#|\/\*|\*|<!--|--|;|%)/;
+
+// Indentation widths accepted as one logical level
+const MIN_INDENT_UNIT = 2;
+const MAX_INDENT_UNIT = 8;
+const DEFAULT_INDENT_UNIT = 4;
+
+/**
+ * Guess how many spaces make up one indentation level
+ * The smallest space indent used is taken as the unit, clamped to 2-8 so that
+ * one-space continuation lines (JSDoc ' * ') do not count as a level of their own
+ * @param {Array<string>} lines - Code lines
+ * @returns {number} - Spaces per level
+ */
+function detectIndentUnit(lines) {
+  let unit = Infinity;
+  for (const line of lines) {
+    const spaces = line.match(/^ */)[0].length;
+    if (spaces > 0 && spaces < unit) unit = spaces;
+  }
+  if (unit === Infinity) return DEFAULT_INDENT_UNIT;
+  return Math.min(Math.max(unit, MIN_INDENT_UNIT), MAX_INDENT_UNIT);
+}
+
+/**
+ * Measure the indentation complexity of a file
+ * @param {string} content - File content
+ * @returns {Object} - { lines, codeLines, complexity, meanIndent, maxIndent }: complexity is the sum of the
+ *   logical indentation levels of all code lines; a tab counts as one level
+ */
+export function measureComplexity(content) {
+  const lines = content.split(/\r?\n/);
+  const code = lines.filter(line => line.trim() !== '' && !COMMENT_LINE.test(line.trim()));
+  const unit = detectIndentUnit(code);
+
+  let complexity = 0;
+  let maxIndent = 0;
+  for (const line of code) {
+    const indent = line.match(/^[\t ]*/)[0];
+    const tabs = indent.split('\t').length - 1;
+    const level = tabs + Math.floor((indent.length - tabs) / unit);
+    complexity += level;
+    maxIndent = Math.max(maxIndent, level);
+  }
+
+  return {
+    lines: lines.length,
+    codeLines: code.length,
+    complexity,
+    meanIndent: code.length === 0 ? 0 : Math.round((complexity / code.length) * 100) / 100,
+    maxIndent
+  };
+}
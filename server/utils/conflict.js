@@ -0,0 +1,122 @@
+/**
+ * Merge conflict marker utilities
+ * Parses <<<<<<< / ||||||| / ======= / >>>>>>> blocks (merge, diff3 and zdiff3 styles)
+ * and rebuilds file content with one block resolved
+ */
+
+import { normalizeLineEndings, restoreLineEndings } from './line-ending.js';
+
+// Git's default conflict-marker-size is 7
+const OURS_MARKER = /^<{7}(?!<)(?: (.*))?$/;
+const BASE_MARKER = /^\|{7}(?!\|)(?: (.*))?$/;
+const SEPARATOR_MARKER = /^={7}$/;
+const THEIRS_MARKER = /^>{7}(?!>)(?: (.*))?$/;
+
+/**
+ * Parse conflict markers in file content
+ * @param {string} content - File content
+ * @returns {Array<Object>} - Hunks: { index, startLine, endLine, ours, base, theirs },
+ *   each side { label, startLine, lines } with 1-based line numbers; base is null without diff3
+ * @throws {Error} If markers are nested or unterminated
+ */
+export function parseConflictMarkers(content) {
+  const lines = normalizeLineEndings(content).split('\n');
+  const hunks = [];
+  let hunk = null;
+  let section = null;
+
+  lines.forEach((line, i) => {
+    const lineNumber = i + 1;
+    let match;
+
+    if ((match = line.match(OURS_MARKER))) {
+      if (hunk) {
+        throw new Error(`Nested conflict marker at line ${lineNumber} inside the conflict starting at line ${hunk.startLine}`);
+      }
+      hunk = {
+        index: hunks.length + 1,
+        startLine: lineNumber,
+        endLine: null,
+        ours: { label: match[1] || '', startLine: lineNumber + 1, lines: [] },
+        base: null,
+        theirs: null
+      };
+      section = hunk.ours;
+    } else if (hunk && section === hunk.ours && (match = line.match(BASE_MARKER))) {
+      hunk.base = { label: match[1] || '', startLine: lineNumber + 1, lines: [] };
+      section = hunk.base;
+    } else if (hunk && section !== hunk.theirs && SEPARATOR_MARKER.test(line)) {
+      hunk.theirs = { label: '', startLine: lineNumber + 1, lines: [] };
+      section = hunk.theirs;
+    } else if (hunk && section === hunk.theirs && (match = line.match(THEIRS_MARKER))) {
+      hunk.theirs.label = match[1] || '';
+      hunk.endLine = lineNumber;
+      hunks.push(hunk);
+      hunk = null;
+      section = null;
+    } else if (section) {
+      section.lines.push(line);
+    }
+  });
+
+  if (hunk) {
+    throw new Error(`Conflict starting at line ${hunk.startLine} is not terminated - expected ${hunk.theirs ? "'>>>>>>>'" : "'======='"} marker`);
+  }
+  return hunks;
+}
+
+/**
+ * Replace one conflict hunk with resolved text
+ * @param {string} content - File content containing conflict markers
+ * @param {number} hunkIndex - 1-based hunk number from parseConflictMarkers
+ * @param {string} resolution - 'ours', 'theirs', 'base', 'both' (ours then theirs) or 'custom'
+ * @param {string} [customText] - Replacement text for the 'custom' resolution
+ * @returns {Object} - { content, hunk, remaining } with the original line endings kept
+ * @throws {Error} If the hunk does not exist or the resolution cannot be applied
+ */
+export function resolveConflictHunk(content, hunkIndex, resolution, customText) {
+  const hunks = parseConflictMarkers(content);
+  if (hunks.length === 0) {
+    throw new Error('No conflict markers found');
+  }
+  const hunk = hunks.find(h => h.index === hunkIndex);
+  if (!hunk) {
+    throw new Error(`Conflict hunk ${hunkIndex} not found - the file has ${hunks.length} hunk${hunks.length === 1 ? '' : 's'}`);
+  }
+
+  let replacement;
+  switch (resolution) {
+    case 'ours':
+      replacement = hunk.ours.lines;
+      break;
+    case 'theirs':
+      replacement = hunk.theirs.lines;
+      break;
+    case 'both':
+      replacement = [...hunk.ours.lines, ...hunk.theirs.lines];
+      break;
+    case 'base':
+      if (!hunk.base) {
+        throw new Error(`Hunk ${hunkIndex} has no base section - it needs merge.conflictStyle diff3 or zdiff3`);
+      }
+      replacement = hunk.base.lines;
+      break;
+    case 'custom':
+      if (typeof customText !== 'string') {
+        throw new Error("The 'custom' resolution needs content");
+      }
+      // An empty string removes the hunk; a trailing newline does not add a blank line
+      replacement = customText === '' ? [] : normalizeLineEndings(customText).replace(/\n$/, '').split('\n');
+      break;
+    default:
+      throw new Error(`Unknown resolution '${resolution}' - use ours, theirs, base, both or custom`);
+  }
+
+  const lines = normalizeLineEndings(content).split('\n');
+  lines.splice(hunk.startLine - 1, hunk.endLine - hunk.startLine + 1, ...replacement);
+  return {
+    content: restoreLineEndings(content, lines.join('\n')),
+    hunk,
+    remaining: hunks.length - 1
+  };
+}
@@ -17,7 +17,7 @@ export function createUnifiedDiff(originalContent, newContent, filepath = 'file'
   const normalizedOriginal = normalizeLineEndings(originalContent);
   const normalizedNew = normalizeLineEndings(newContent);
 
-  return createTwoFilesPatch(
+  const patch = createTwoFilesPatch(
     filepath,
     filepath,
     normalizedOriginal,
@@ -25,6 +25,12 @@ export function createUnifiedDiff(originalContent, newContent, filepath = 'file'
     'original',
     'modified'
   );
+
+  // jsdiff flags the last removed line of an emptied file as lacking a newline even when it has one
+  if (normalizedNew === '' && normalizedOriginal.endsWith('\n')) {
+    return patch.replace(/\n\\ No newline at end of file\n$/, '\n');
+  }
+  return patch;
 }
 
 /**
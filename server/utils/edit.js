@@ -3,25 +3,44 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { randomBytes } from 'crypto';
-import { detectLineEnding, createUnifiedDiff, formatDiff, writeFileAtomically } from './index.js';
+import {
+  detectLineEnding,
+  describeLineEnding,
+  formatLineEndingNote,
+  normalizeLineEndings,
+  restoreLineEndings,
+  createUnifiedDiff,
+  formatDiff,
+  writeFileAtomically,
+  preserveFileAttributes,
+  readTextFile,
+  encodeText,
+  describeEncoding
+} from './index.js';
 
 /**
- * Enhanced file editing with line-by-line matching and better error handling
+ * Replace a range of lines in content, preserving its line ending style
+ * Pure helper shared by editFileSafely, preview_edit and multi-file changesets
+ * A trailing newline ends the last line rather than starting an empty one,
+ * so it is kept whatever lines are replaced
  * 
- * @param {string} filePath - Path to the file to edit
+ * @param {string} originalContent - Current file content
  * @param {number} lineStart - Starting line number (1-based)
  * @param {number} [lineEnd] - Ending line number (defaults to lineStart)
  * @param {string} newContent - New content to replace the specified lines
- * @returns {Object} - Object with diff and summary
+ * @param {string} filePath - File path used in error messages
+ * @returns {Object} - Edited content plus line statistics
+ * @throws {Error} If the line range is invalid
  */
-export async function editFileSafely(filePath, lineStart, lineEnd, newContent) {
-  // Read original content and preserve line endings
-  const originalContent = await fs.readFile(filePath, 'utf-8');
+export function replaceLines(originalContent, lineStart, lineEnd, newContent, filePath) {
   const lineEnding = detectLineEnding(originalContent);
   
   // Parse lines
-  const lines = originalContent.split(/\r?\n/);
-  const newLines = newContent.split('\n');
+  const normalized = normalizeLineEndings(originalContent);
+  const endsWithNewline = normalized.endsWith('\n');
+  const lines = normalized.split('\n');
+  if (endsWithNewline) lines.pop();
+  const newLines = normalizeLineEndings(newContent).split('\n');
   
   // Enhanced validation with detailed error messages
   if (lineStart < 1 || lineStart > lines.length) {
@@ -36,7 +55,34 @@ export async function editFileSafely(filePath, lineStart, lineEnd, newContent) {
   // Apply edit with preserved line endings
   const editedLines = [...lines];
   editedLines.splice(lineStart - 1, actualLineEnd - lineStart + 1, ...newLines);
-  const newFileContent = editedLines.join(lineEnding);
+  
+  const edited = editedLines.join('\n') + (endsWithNewline ? '\n' : '');
+  
+  return {
+    content: restoreLineEndings(originalContent, edited),
+    lineEnding,
+    originalLineCount: lines.length,
+    finalLineCount: editedLines.length,
+    actualLineEnd,
+    newLineCount: newLines.length
+  };
+}
+
+/**
+ * Enhanced file editing with line-by-line matching and better error handling
+ * 
+ * @param {string} filePath - Path to the file to edit
+ * @param {number} lineStart - Starting line number (1-based)
+ * @param {number} [lineEnd] - Ending line number (defaults to lineStart)
+ * @param {string} newContent - New content to replace the specified lines
+ * @returns {Object} - Object with diff and summary
+ */
+export async function editFileSafely(filePath, lineStart, lineEnd, newContent) {
+  // Read original content and preserve line endings and encoding
+  const { content: originalContent, encoding } = await readTextFile(filePath);
+  const edit = replaceLines(originalContent, lineStart, lineEnd, newContent, filePath);
+  const { lineEnding, actualLineEnd } = edit;
+  const newFileContent = edit.content;
   
   // Create diff for response
   const diff = createUnifiedDiff(originalContent, newFileContent, filePath);
@@ -45,8 +91,10 @@ export async function editFileSafely(filePath, lineStart, lineEnd, newContent) {
   const tempPath = `${filePath}.${randomBytes(16).toString('hex')}.tmp`;
   
   try {
-    // Write to temp file
-    await fs.writeFile(tempPath, newFileContent, 'utf-8');
+    // Write to temp file with the original permissions and owner
+    const stats = await fs.stat(filePath);
+    await fs.writeFile(tempPath, encodeText(newFileContent, encoding));
+    await preserveFileAttributes(tempPath, stats);
     
     // Atomic rename
     await fs.rename(tempPath, filePath);
@@ -60,16 +108,16 @@ export async function editFileSafely(filePath, lineStart, lineEnd, newContent) {
   
   // Enhanced verification - check for corruption
   try {
-    const verificationContent = await fs.readFile(filePath, 'utf-8');
+    const verificationContent = await fs.readFile(filePath);
     if (verificationContent.length === 0 && newFileContent.length > 0) {
       // Corruption detected! Restore from backup
-      await writeFileAtomically(filePath, originalContent);
+      await writeFileAtomically(filePath, originalContent, encoding);
       throw new Error("❌ File corruption detected - restored from backup");
     }
   } catch (verifyError) {
     // Restore backup if verification fails
     try {
-      await writeFileAtomically(filePath, originalContent);
+      await writeFileAtomically(filePath, originalContent, encoding);
       throw new Error(`❌ File verification failed - restored from backup: ${verifyError.message}`);
     } catch (restoreError) {
       throw new Error(`❌ CRITICAL: File write failed AND backup restoration failed! Manual recovery needed: ${verifyError.message}`);
@@ -78,11 +126,12 @@ export async function editFileSafely(filePath, lineStart, lineEnd, newContent) {
   
   // Calculate statistics
   const linesReplaced = actualLineEnd - lineStart + 1;
-  const linesAdded = newLines.length;
-  const finalLineCount = editedLines.length;
+  const linesAdded = edit.newLineCount;
+  const finalLineCount = edit.finalLineCount;
+  const lineEndingNote = formatLineEndingNote(originalContent);
   
   return {
     diff: formatDiff(diff),
-    summary: `✅ Successfully edited ${path.basename(filePath)}:\n• Replaced ${linesReplaced} lines (lines ${lineStart}-${actualLineEnd})\n• Added ${linesAdded} new lines\n• File now has ${finalLineCount} lines (was ${lines.length})\n• Line ending style: ${lineEnding === '\r\n' ? 'CRLF' : lineEnding === '\r' ? 'CR' : 'LF'}\n\n🔍 VERIFICATION RECOMMENDED:\nUse 'read_file ${path.basename(filePath)}' to confirm edit looks correct\nUse 'git_diff' to see changes in context`
+    summary: `✅ Successfully edited ${path.basename(filePath)}:\n• Replaced ${linesReplaced} lines (lines ${lineStart}-${actualLineEnd})\n• Added ${linesAdded} new lines\n• File now has ${finalLineCount} lines (was ${edit.originalLineCount})\n• Line ending style: ${describeLineEnding(lineEnding)}\n• Encoding: ${describeEncoding(encoding)}\n${lineEndingNote ? lineEndingNote + '\n' : ''}\n🔍 VERIFICATION RECOMMENDED:\nUse 'read_file ${path.basename(filePath)}' to confirm edit looks correct\nUse 'git_diff' to see changes in context`
   };
 }
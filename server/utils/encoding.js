@@ -0,0 +1,202 @@
+/**
+ * Text encoding detection utilities
+ * Detects byte order marks, UTF-16, binary content and legacy 8-bit text so
+ * files round-trip in their original encoding the same way line endings do
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Bytes inspected when sniffing for binary content (same window git uses)
+ */
+export const SNIFF_BYTES = 8000;
+
+/**
+ * Encoding used for new files and for content with no other signal
+ */
+export const DEFAULT_ENCODING = Object.freeze({ name: 'utf-8', bom: false });
+
+const BOMS = {
+  'utf-8': Buffer.from([0xEF, 0xBB, 0xBF]),
+  'utf-16le': Buffer.from([0xFF, 0xFE]),
+  'utf-16be': Buffer.from([0xFE, 0xFF])
+};
+
+/**
+ * Guess whether NUL-containing bytes are BOM-less UTF-16 text
+ * ASCII-heavy UTF-16 has a zero in nearly every other byte and almost none in between
+ * @param {Buffer} sample - Bytes to inspect
+ * @returns {string|null} - 'utf-16le', 'utf-16be' or null
+ */
+function guessUtf16(sample) {
+  const pairs = Math.floor(sample.length / 2);
+  if (pairs < 2) return null;
+
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < pairs * 2; i += 2) {
+    if (sample[i] === 0) evenZeros++;
+    if (sample[i + 1] === 0) oddZeros++;
+  }
+
+  if (oddZeros > pairs * 0.4 && evenZeros < pairs * 0.05) return 'utf-16le';
+  if (evenZeros > pairs * 0.4 && oddZeros < pairs * 0.05) return 'utf-16be';
+  return null;
+}
+
+/**
+ * Check whether bytes are valid UTF-8
+ * @param {Buffer} buffer - Bytes to check
+ * @param {boolean} partial - Allow a truncated multi-byte sequence at the end
+ * @returns {boolean} - True if the bytes decode without errors
+ */
+function isValidUtf8(buffer, partial) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: partial });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Detect the encoding of file content
+ * Order: BOM, then NUL bytes (UTF-16 without BOM, else binary), then UTF-8 validity,
+ * falling back to Latin-1, which maps every byte and therefore round-trips exactly
+ * @param {Buffer} buffer - File content (or its first bytes)
+ * @param {Object} [options] - Detection options
+ * @param {boolean} [options.partial=false] - Buffer is only the start of the file
+ * @returns {Object} - { name: 'utf-8'|'utf-16le'|'utf-16be'|'latin1'|'binary', bom }
+ */
+export function detectEncoding(buffer, options = {}) {
+  for (const [name, bom] of Object.entries(BOMS)) {
+    if (buffer.length >= bom.length && buffer.subarray(0, bom.length).equals(bom)) {
+      return { name, bom: true };
+    }
+  }
+
+  const sample = buffer.subarray(0, SNIFF_BYTES);
+  if (sample.includes(0)) {
+    const utf16 = guessUtf16(sample);
+    return utf16 ? { name: utf16, bom: false } : { name: 'binary', bom: false };
+  }
+
+  if (isValidUtf8(buffer, options.partial === true)) return { ...DEFAULT_ENCODING };
+  return { name: 'latin1', bom: false };
+}
+
+/**
+ * Human-readable encoding name
+ * @param {Object} encoding - Encoding from detectEncoding
+ * @returns {string} - e.g. 'UTF-8', 'UTF-16 LE with BOM', 'Latin-1'
+ */
+export function describeEncoding(encoding) {
+  const names = { 'utf-8': 'UTF-8', 'utf-16le': 'UTF-16 LE', 'utf-16be': 'UTF-16 BE', 'latin1': 'Latin-1', 'binary': 'binary' };
+  return (names[encoding.name] || encoding.name) + (encoding.bom ? ' with BOM' : '');
+}
+
+/**
+ * Check whether an encoding is plain UTF-8 without a BOM
+ * @param {Object} encoding - Encoding from detectEncoding
+ * @returns {boolean} - True for the default encoding
+ */
+export function isDefaultEncoding(encoding) {
+  return encoding.name === DEFAULT_ENCODING.name && !encoding.bom;
+}
+
+/**
+ * Decode file content, stripping any BOM
+ * @param {Buffer} buffer - Raw file content
+ * @param {Object} [encoding] - Known encoding (detected when omitted)
+ * @returns {Object} - { content, encoding }
+ * @throws {Error} If the content is binary
+ */
+export function decodeText(buffer, encoding = detectEncoding(buffer)) {
+  if (encoding.name === 'binary') {
+    throw new Error('Content appears to be binary - text tools cannot read or edit it safely');
+  }
+
+  const body = encoding.bom ? buffer.subarray(BOMS[encoding.name].length) : buffer;
+  let content;
+  switch (encoding.name) {
+    case 'utf-16le':
+      content = body.toString('utf16le');
+      break;
+    case 'utf-16be': {
+      const swapped = Buffer.from(body.subarray(0, body.length - (body.length % 2)));
+      content = swapped.swap16().toString('utf16le');
+      break;
+    }
+    case 'latin1':
+      content = body.toString('latin1');
+      break;
+    default:
+      content = body.toString('utf-8');
+  }
+  return { content, encoding };
+}
+
+/**
+ * Encode text in a file's original encoding, restoring its BOM
+ * @param {string} content - Text content
+ * @param {Object} [encoding=DEFAULT_ENCODING] - Target encoding
+ * @returns {Buffer} - Encoded bytes
+ * @throws {Error} If the text cannot be represented in the encoding
+ */
+export function encodeText(content, encoding = DEFAULT_ENCODING) {
+  let body;
+  switch (encoding.name) {
+    case 'utf-16le':
+      body = Buffer.from(content, 'utf16le');
+      break;
+    case 'utf-16be':
+      body = Buffer.from(content, 'utf16le').swap16();
+      break;
+    case 'latin1': {
+      const unencodable = content.match(/[^\u0000-\u00ff]/);
+      if (unencodable) {
+        throw new Error(`Character "${unencodable[0]}" cannot be written to a Latin-1 file - the file keeps its original encoding`);
+      }
+      body = Buffer.from(content, 'latin1');
+      break;
+    }
+    case 'utf-8':
+      body = Buffer.from(content, 'utf-8');
+      break;
+    default:
+      throw new Error(`Cannot write text in ${describeEncoding(encoding)} encoding`);
+  }
+  return encoding.bom ? Buffer.concat([BOMS[encoding.name], body]) : body;
+}
+
+/**
+ * Read and decode a text file
+ * @param {string} filePath - File to read
+ * @returns {Promise<Object>} - { content, encoding }
+ * @throws {Error} If the file is binary or cannot be read
+ */
+export async function readTextFile(filePath) {
+  const raw = await fs.readFile(filePath);
+  const encoding = detectEncoding(raw);
+  if (encoding.name === 'binary') {
+    throw new Error(`❌ ${path.basename(filePath)} appears to be a binary file - text tools cannot read or edit it safely`);
+  }
+  return decodeText(raw, encoding);
+}
+
+/**
+ * Detect a file's encoding from its first bytes without reading all of it
+ * @param {string} filePath - File to inspect
+ * @returns {Promise<Object>} - Encoding from detectEncoding
+ */
+export async function sniffFileEncoding(filePath) {
+  const fileHandle = await fs.open(filePath, 'r');
+  try {
+    const sample = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await fileHandle.read(sample, 0, SNIFF_BYTES, 0);
+    return detectEncoding(sample.subarray(0, bytesRead), { partial: true });
+  } finally {
+    await fileHandle.close();
+  }
+}
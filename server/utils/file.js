@@ -6,24 +6,56 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { randomBytes } from 'crypto';
-import { detectLineEnding, normalizeLineEndings } from './line-ending.js';
+import { normalizeLineEndings, restoreLineEndings, formatLineEndingNote } from './line-ending.js';
 import { createUnifiedDiff, formatDiff } from './diff.js';
+import { readTextFile, encodeText, sniffFileEncoding } from './encoding.js';
+import { debugLog } from './logger.js';
 import { PERFORMANCE_LIMITS } from '../constants.js';
 
+/**
+ * Give a freshly written temp file the permissions and owner of the file it replaces
+ * Ownership can only be changed by privileged processes, so failures there are ignored
+ * @param {string} tempPath - Temp file about to be renamed over the original
+ * @param {fs.Stats} stats - Stats of the original file
+ */
+export async function preserveFileAttributes(tempPath, stats) {
+  await fs.chmod(tempPath, stats.mode & 0o7777);
+  
+  if (typeof process.getuid === 'function' && (stats.uid !== process.getuid() || stats.gid !== process.getgid())) {
+    try {
+      await fs.chown(tempPath, stats.uid, stats.gid);
+    } catch (error) {
+      debugLog(`Could not preserve owner of ${tempPath}:`, error.message);
+    }
+  }
+}
+
 /**
  * Write file content atomically to prevent corruption
  * Uses temporary file + atomic rename for safety
+ * An existing file keeps its permission bits and, where possible, its owner
  * @param {string} filePath - Target file path
- * @param {string} content - Content to write
+ * @param {string|Buffer} content - Content to write (strings are encoded, Buffers written as-is)
+ * @param {Object} [encoding] - Encoding from detectEncoding (default: UTF-8 without BOM)
  * @throws {Error} If write operation fails
  */
-export async function writeFileAtomically(filePath, content) {
+export async function writeFileAtomically(filePath, content, encoding) {
+  const data = typeof content === 'string' ? encodeText(content, encoding) : content;
+
   // Use random temp file name to prevent collisions
   const tempPath = `${filePath}.${randomBytes(16).toString('hex')}.tmp`;
   
   try {
+    let stats = null;
+    try {
+      stats = await fs.stat(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    
     // Write to temp file first
-    await fs.writeFile(tempPath, content, 'utf-8');
+    await fs.writeFile(tempPath, data);
+    if (stats) await preserveFileAttributes(tempPath, stats);
     
     // Atomic rename - this is the key security feature
     await fs.rename(tempPath, filePath);
@@ -44,6 +76,14 @@ export async function writeFileAtomically(filePath, content) {
  * @returns {Promise<string>} - Last N lines joined with newlines
  */
 export async function tailFile(filePath, numLines) {
+  const encoding = await sniffFileEncoding(filePath);
+  if (encoding.name !== 'utf-8') {
+    // Multi-byte and legacy encodings can't be split into chunks safely
+    const { content } = await readTextFile(filePath);
+    const lines = normalizeLineEndings(content).split('\n');
+    return lines.slice(-numLines).join('\n');
+  }
+  
   const CHUNK_SIZE = PERFORMANCE_LIMITS.CHUNK_SIZE; // Read chunks at a time
   const stats = await fs.stat(filePath);
   const fileSize = stats.size;
@@ -88,7 +128,8 @@ export async function tailFile(filePath, numLines) {
       }
     }
     
-    return lines.join('\n');
+    const result = lines.join('\n');
+    return encoding.bom && position === 0 ? result.replace(/^\uFEFF/, '') : result;
   } finally {
     await fileHandle.close();
   }
@@ -102,6 +143,13 @@ export async function tailFile(filePath, numLines) {
  * @returns {Promise<string>} - First N lines joined with newlines
  */
 export async function headFile(filePath, numLines) {
+  const encoding = await sniffFileEncoding(filePath);
+  if (encoding.name !== 'utf-8') {
+    // Multi-byte and legacy encodings can't be split into chunks safely
+    const { content } = await readTextFile(filePath);
+    return normalizeLineEndings(content).split('\n').slice(0, numLines).join('\n');
+  }
+  
   const fileHandle = await fs.open(filePath, 'r');
   try {
     const lines = [];
@@ -132,6 +180,7 @@ export async function headFile(filePath, numLines) {
       lines.push(buffer);
     }
     
+    if (encoding.bom && lines.length > 0) lines[0] = lines[0].replace(/^\uFEFF/, '');
     return lines.join('\n');
   } finally {
     await fileHandle.close();
@@ -139,18 +188,16 @@ export async function headFile(filePath, numLines) {
 }
 
 /**
- * Enhanced find-and-replace with intelligent line-by-line matching
- * Supports exact matching and flexible whitespace handling with indentation preservation
- * @param {string} filePath - File to edit
+ * Apply find-and-replace edits to content in memory
+ * Pure helper shared by applyFileEdits and multi-file changesets
+ * @param {string} originalContent - Current file content
  * @param {Array} edits - Array of {oldText, newText} edit operations
- * @param {boolean} dryRun - If true, only return diff without applying changes
- * @returns {Promise<string>} - Formatted diff of changes
- * @throws {Error} If edit operations fail
+ * @returns {string} - Edited content with the original line endings restored
+ * @throws {Error} If an edit's oldText cannot be found
  */
-export async function applyFileEdits(filePath, edits, dryRun = false) {
-  // Read file content and normalize line endings
-  const content = normalizeLineEndings(await fs.readFile(filePath, 'utf-8'));
-  const originalLineEnding = detectLineEnding(await fs.readFile(filePath, 'utf-8'));
+export function applyEditsToContent(originalContent, edits) {
+  // Normalize line endings for matching
+  const content = normalizeLineEndings(originalContent);
 
   // Apply edits sequentially
   let modifiedContent = content;
@@ -206,16 +253,30 @@ export async function applyFileEdits(filePath, edits, dryRun = false) {
   }
 
   // Restore original line endings
-  const finalContent = modifiedContent.split('\n').join(originalLineEnding);
+  return restoreLineEndings(originalContent, modifiedContent);
+}
+
+/**
+ * Enhanced find-and-replace with intelligent line-by-line matching
+ * Supports exact matching and flexible whitespace handling with indentation preservation
+ * @param {string} filePath - File to edit
+ * @param {Array} edits - Array of {oldText, newText} edit operations
+ * @param {boolean} dryRun - If true, only return diff without applying changes
+ * @returns {Promise<string>} - Formatted diff of changes (plus a mixed line ending warning)
+ * @throws {Error} If edit operations fail
+ */
+export async function applyFileEdits(filePath, edits, dryRun = false) {
+  const { content: originalFileContent, encoding } = await readTextFile(filePath);
+  const finalContent = applyEditsToContent(originalFileContent, edits);
 
   // Create unified diff
-  const originalFileContent = await fs.readFile(filePath, 'utf-8');
   const diff = createUnifiedDiff(originalFileContent, finalContent, filePath);
 
   if (!dryRun) {
-    // Use atomic write
-    await writeFileAtomically(filePath, finalContent);
+    // Use atomic write, keeping the original encoding
+    await writeFileAtomically(filePath, finalContent, encoding);
   }
 
-  return formatDiff(diff);
+  const lineEndingNote = formatLineEndingNote(originalFileContent);
+  return formatDiff(diff) + (lineEndingNote ? `${lineEndingNote}\n` : '');
 }
@@ -1,10 +1,37 @@
 /**
  * Git command execution utilities
- * Provides secure, read-only Git operations with enhanced error handling
+ * Provides secure, read-only Git operations with enhanced error handling,
+ * plus the narrow command set used by opt-in write mode
  */
 
+import fs from 'fs/promises';
+import path from 'path';
 import { spawn } from 'child_process';
-import { ALLOWED_GIT_COMMANDS } from '../constants.js';
+import { validatePath } from './path.js';
+import { ALLOWED_GIT_COMMANDS, GIT_WRITE_COMMANDS, GIT_FORBIDDEN_WRITE_FLAGS, PERFORMANCE_LIMITS } from '../constants.js';
+
+/**
+ * Environment overrides for every git child process
+ * No pager and no credential or terminal prompts - they would hang the server
+ */
+const GIT_ENV = {
+  GIT_PAGER: 'cat',
+  PAGER: 'cat',
+  GIT_TERMINAL_PROMPT: '0',
+  GIT_ASKPASS: '',
+  SSH_ASKPASS: '',
+  GCM_INTERACTIVE: 'never',
+  GIT_OPTIONAL_LOCKS: '0'
+};
+
+// Variables removed from the inherited environment (an external diff program)
+const GIT_ENV_REMOVED = ['GIT_EXTERNAL_DIFF', 'GIT_DIFF_OPTS'];
+
+// Commands whose diff output could otherwise run diff.<driver>.command from .gitattributes
+const DIFF_PRODUCING_COMMANDS = ['diff', 'show', 'log'];
+
+// Commands that would otherwise pipe file content through diff.<driver>.textconv; blame converts the blamed file too
+const TEXTCONV_COMMANDS = [...DIFF_PRODUCING_COMMANDS, 'blame'];
 
 /**
  * Execute a Git command with security restrictions
@@ -12,6 +39,12 @@ import { ALLOWED_GIT_COMMANDS } from '../constants.js';
  * @param {Array<string>} args - Git command arguments (e.g., ['status', '--porcelain'])
  * @param {string} workspacePath - Working directory for Git command
  * @param {Object} options - Additional spawn options
+ * @param {number} [options.timeout] - Kill git after this many milliseconds
+ * @param {number} [options.maxOutputBytes] - Truncate output beyond this many bytes
+ * @param {boolean} [options.allowTruncation=true] - Append a notice when truncating; when false, fail instead
+ *   (for output that is parsed rather than shown)
+ * @param {Array<number>} [options.acceptExitCodes=[0]] - Exit codes that count as success (merge-tree exits 1 on conflicts)
+ * @param {boolean} [options.trimOutput=true] - Trim surrounding whitespace; off for exact file content
  * @returns {Promise<string>} - Git command output
  * @throws {Error} If command is not allowed or execution fails
  */
@@ -28,34 +61,884 @@ export async function runGitCommand(args, workspacePath, options = {}) {
     throw new Error(`❌ Git command '${command}' is not in the allowed list. Allowed commands: ${ALLOWED_GIT_COMMANDS.join(', ')}`);
   }
   
+  const safetyFlags = [
+    ...(DIFF_PRODUCING_COMMANDS.includes(command) ? ['--no-ext-diff'] : []),
+    ...(TEXTCONV_COMMANDS.includes(command) ? ['--no-textconv'] : [])
+  ];
+  return spawnGit([command, ...safetyFlags, ...args.slice(1)], workspacePath, options);
+}
+
+/**
+ * Execute a mutating Git command for write mode
+ * Callers are responsible for the workspace policy (see server/git-write); this only
+ * enforces the command allowlist and refuses forcing/rewriting flags before '--'
+ * @param {Array<string>} args - Git command arguments (e.g., ['add', '--', 'src/a.js'])
+ * @param {string} workspacePath - Working directory for Git command
+ * @param {Object} options - Additional spawn options (see runGitCommand)
+ * @returns {Promise<string>} - Git command output
+ * @throws {Error} If command or a flag is not allowed, or execution fails
+ */
+export async function runGitWriteCommand(args, workspacePath, options = {}) {
+  const command = args[0];
+  if (!GIT_WRITE_COMMANDS.includes(command)) {
+    throw new Error(`❌ Git command '${command}' is not available in write mode. Allowed commands: ${GIT_WRITE_COMMANDS.join(', ')}`);
+  }
+
+  const separator = args.indexOf('--');
+  const flags = separator === -1 ? args.slice(1) : args.slice(1, separator);
+  const forbidden = flags.find(flag => GIT_FORBIDDEN_WRITE_FLAGS.includes(flag.split('=')[0]));
+  if (forbidden) {
+    throw new Error(`❌ Git flag '${forbidden}' is not allowed - write mode never forces, amends, discards work or bypasses hooks`);
+  }
+
+  return spawnGit(args, workspacePath, { timeout: PERFORMANCE_LIMITS.GIT_WRITE_TIMEOUT_MS, ...options });
+}
+
+/**
+ * Spawn git and collect its output, enforcing the timeout and output cap
+ * @param {Array<string>} args - Git command arguments
+ * @param {string} workspacePath - Working directory for Git command
+ * @param {Object} options - Spawn options plus timeout, maxOutputBytes, allowTruncation, acceptExitCodes and trimOutput
+ * @returns {Promise<string>} - Stdout (trimmed unless trimOutput is false), with a notice appended if it was truncated
+ */
+function spawnGit(args, workspacePath, options) {
+  const {
+    timeout = PERFORMANCE_LIMITS.GIT_COMMAND_TIMEOUT_MS,
+    maxOutputBytes = PERFORMANCE_LIMITS.MAX_GIT_OUTPUT_BYTES,
+    allowTruncation = true,
+    acceptExitCodes = [0],
+    trimOutput = true,
+    env,
+    ...spawnOptions
+  } = options;
+
+  const childEnv = { ...(env || process.env), ...GIT_ENV };
+  for (const name of GIT_ENV_REMOVED) delete childEnv[name];
+
   return new Promise((resolve, reject) => {
     const git = spawn('git', args, {
       cwd: workspacePath,
       stdio: ['ignore', 'pipe', 'pipe'],
-      ...options
+      ...spawnOptions,
+      env: childEnv
     });
     
-    let stdout = '';
-    let stderr = '';
+    // Buffers are decoded once at the end so multi-byte characters split across chunks survive
+    const stdout = [];
+    const stderr = [];
+    let stdoutBytes = 0;
+    let stderrBytes = 0;
+    let truncated = false;
+    let timedOut = false;
+    
+    const timer = setTimeout(() => {
+      timedOut = true;
+      git.kill('SIGKILL');
+    }, timeout);
     
     git.stdout.on('data', (data) => {
-      stdout += data.toString();
+      if (truncated) return;
+      if (stdoutBytes + data.length > maxOutputBytes) {
+        stdout.push(data.subarray(0, maxOutputBytes - stdoutBytes));
+        stdoutBytes = maxOutputBytes;
+        truncated = true;
+        git.kill('SIGKILL');
+        return;
+      }
+      stdout.push(data);
+      stdoutBytes += data.length;
     });
     
     git.stderr.on('data', (data) => {
-      stderr += data.toString();
+      if (stderrBytes < maxOutputBytes) {
+        stderr.push(data);
+        stderrBytes += data.length;
+      }
     });
     
     git.on('close', (code) => {
-      if (code === 0) {
-        resolve(stdout.trim());
+      clearTimeout(timer);
+      const output = Buffer.concat(stdout).toString('utf-8');
+      const errorOutput = Buffer.concat(stderr).toString('utf-8');
+      
+      if (truncated) {
+        if (!allowTruncation) {
+          reject(new Error(`Git output exceeded ${maxOutputBytes} bytes - narrow the request (a path, line range, limit or shorter range)`));
+        } else {
+          // Drop the partial last line (and with it any cut multi-byte character) before the notice
+          const complete = output.slice(0, output.lastIndexOf('\n') + 1);
+          resolve(`${complete.trimEnd()}\n\n⚠️ Output truncated at ${maxOutputBytes} bytes - narrow the request (a path, line range, limit or shorter range) to see the rest`);
+        }
+      } else if (timedOut) {
+        reject(new Error(`Git command timed out after ${Math.round(timeout / 1000)}s: git ${args[0]} - narrow the request or try again`));
+      } else if (acceptExitCodes.includes(code)) {
+        resolve(trimOutput ? output.trim() : output);
       } else {
-        reject(new Error(`Git command failed (exit code ${code}): ${stderr || stdout}`));
+        reject(new Error(`Git command failed (exit code ${code}): ${errorOutput || output}`));
       }
     });
     
     git.on('error', (err) => {
+      clearTimeout(timer);
       reject(new Error(`Failed to run git command: ${err.message}`));
     });
   });
 }
+
+/**
+ * Check that a user-supplied revision names an existing commit
+ * Values starting with '-' are refused outright so they can never be read as options
+ * @param {string} ref - Branch, tag, commit hash or expression such as HEAD~2
+ * @param {string} workspacePath - Working directory for Git commands
+ * @param {string} [label='Revision'] - Name of the argument for error messages
+ * @returns {Promise<string>} - The ref, unchanged
+ * @throws {Error} If the ref looks like an option or does not resolve to a commit
+ */
+export async function verifyGitRef(ref, workspacePath, label = 'Revision') {
+  if (typeof ref !== 'string' || ref.trim() === '') {
+    throw new Error(`${label} must be a non-empty string`);
+  }
+  if (ref.startsWith('-')) {
+    throw new Error(`${label} '${ref}' looks like a command-line option - refs cannot start with '-'`);
+  }
+  try {
+    await spawnGit(['rev-parse', '--verify', '--quiet', '--end-of-options', `${ref}^{commit}`], workspacePath, {});
+  } catch {
+    throw new Error(`❌ ${label} '${ref}' does not name a commit\n\n🔧 TROUBLESHOOTING:\n1. Use 'git_list_branches' to see branch names\n2. Use 'git_log' to find commit hashes\n3. Check spelling - refs are case-sensitive`);
+  }
+  return ref;
+}
+
+/**
+ * Validate a count argument such as a commit limit; numeric strings ('5') are accepted
+ * @param {*} value - Requested count
+ * @param {number} fallback - Count used when value is missing
+ * @param {string} [name='limit'] - Argument name for the error message
+ * @param {number} [min=1] - Smallest accepted value
+ * @returns {number} - Integer of at least min
+ * @throws {Error} If the value is not such an integer
+ */
+export function parseGitLimit(value, fallback, name = 'limit', min = 1) {
+  if (value === undefined || value === null) return fallback;
+  const limit = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (!Number.isInteger(limit) || limit < min) {
+    throw new Error(`${name} must be ${min === 1 ? 'a positive integer' : `an integer of at least ${min}`}, got '${value}'`);
+  }
+  return limit;
+}
+
+/**
+ * Turn since/until arguments into epoch bounds using git's own date parsing
+ * Accepts anything git log --since does: '2024-05-01', '2 weeks ago', 'yesterday'
+ * @param {string} [since] - Earliest date to include
+ * @param {string} [until] - Latest date to include
+ * @param {string} workspacePath - Working directory for Git commands
+ * @returns {Promise<Object>} - { since, until } in epoch seconds, null when not given
+ */
+export async function resolveGitDateRange(since, until, workspacePath) {
+  const bounds = { since: null, until: null };
+  const gitArgs = [];
+  if (since) gitArgs.push(`--since=${since}`);
+  if (until) gitArgs.push(`--until=${until}`);
+  if (gitArgs.length === 0) return bounds;
+
+  // rev-parse prints --since as --max-age=<epoch> and --until as --min-age=<epoch>
+  const output = await runGitCommand(['rev-parse', ...gitArgs], workspacePath);
+  for (const line of output.split('\n')) {
+    const match = line.match(/^--(max|min)-age=(\d+)$/);
+    if (match) bounds[match[1] === 'max' ? 'since' : 'until'] = parseInt(match[2]);
+  }
+  return bounds;
+}
+
+/**
+ * Check an epoch timestamp against bounds from resolveGitDateRange
+ * @param {number} timestamp - Seconds since the epoch
+ * @param {Object} bounds - { since, until }
+ * @returns {boolean} - True if the timestamp is inside the range
+ */
+export function isWithinDateRange(timestamp, bounds) {
+  return (bounds.since === null || timestamp >= bounds.since) && (bounds.until === null || timestamp <= bounds.until);
+}
+
+/**
+ * Read the reflog of a ref, newest first
+ * @param {string} ref - Ref with a reflog, e.g. HEAD, a branch name or refs/stash
+ * @param {string} workspacePath - Working directory for Git commands
+ * @returns {Promise<Array<Object>>} - Entries: { index, selector, timestamp, date, hash, shortHash, parents, action, message, subject };
+ *   empty if the ref has no reflog
+ */
+export async function readReflog(ref, workspacePath) {
+  try {
+    await spawnGit(['rev-parse', '--verify', '--quiet', '--end-of-options', ref], workspacePath, {});
+  } catch {
+    return [];
+  }
+
+  // With --date=unix, %gd prints the reflog timestamp instead of the entry number
+  const output = await runGitCommand(
+    ['log', '--walk-reflogs', '--date=unix', '--format=%x1e%gd%x00%H%x00%h%x00%P%x00%gs%x00%s', '--end-of-options', ref],
+    workspacePath,
+    { allowTruncation: false }
+  );
+  return output.split('\x1e').filter(record => record.trim()).map((record, index) => {
+    const [selector, hash, shortHash, parents, message, subject] = record.replace(/\n$/, '').split('\x00');
+    const timestamp = parseInt(selector.slice(selector.lastIndexOf('{') + 1));
+    const colon = message.indexOf(': ');
+    return {
+      index,
+      selector: `${ref === 'refs/stash' ? 'stash' : ref}@{${index}}`,
+      timestamp,
+      date: new Date(timestamp * 1000).toISOString(),
+      hash,
+      shortHash,
+      parents: parents ? parents.split(' ') : [],
+      action: colon === -1 ? message : message.slice(0, colon),
+      message,
+      subject
+    };
+  });
+}
+
+/**
+ * Format a git timestamp and timezone offset as a local date
+ * @param {string} epochSeconds - Seconds since the epoch (e.g. author-time)
+ * @param {string} [tz] - Offset such as '+0200' (e.g. author-tz)
+ * @returns {string} - Date in YYYY-MM-DD form, in the committer's own timezone
+ */
+export function formatGitDate(epochSeconds, tz = '+0000') {
+  const sign = tz.startsWith('-') ? -1 : 1;
+  const offsetMinutes = sign * (parseInt(tz.slice(1, 3)) * 60 + parseInt(tz.slice(3, 5)));
+  const local = new Date((parseInt(epochSeconds) + offsetMinutes * 60) * 1000);
+  return local.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse `git blame --porcelain` output into hunks of consecutive lines from the same commit
+ * Commit metadata is only printed the first time a commit appears, so it is cached per commit
+ * @param {string} output - Porcelain blame output
+ * @returns {Array<Object>} - Hunks: { commit, startLine, endLine, author, authorEmail, date, summary, filename, boundary, lines }
+ */
+export function parseBlamePorcelain(output) {
+  const commits = new Map();
+  const hunks = [];
+  const rows = output.split('\n');
+  let i = 0;
+
+  while (i < rows.length) {
+    const header = rows[i++].match(/^([0-9a-f]{40}) \d+ (\d+)(?: \d+)?$/);
+    if (!header) continue;
+
+    const [, commit, finalLine] = header;
+    if (!commits.has(commit)) commits.set(commit, { boundary: false });
+    const info = commits.get(commit);
+
+    // Metadata lines until the tab-prefixed content line
+    while (i < rows.length && !rows[i].startsWith('\t')) {
+      const row = rows[i++];
+      const space = row.indexOf(' ');
+      const key = space === -1 ? row : row.slice(0, space);
+      const value = space === -1 ? '' : row.slice(space + 1);
+      if (key === 'boundary') info.boundary = true;
+      else info[key] = value;
+    }
+    const text = i < rows.length ? rows[i++].slice(1) : '';
+
+    const line = parseInt(finalLine);
+    const last = hunks[hunks.length - 1];
+    if (last && last.commit === commit && last.endLine === line - 1 && last.filename === info.filename) {
+      last.endLine = line;
+      last.lines.push(text);
+      continue;
+    }
+
+    hunks.push({
+      commit,
+      startLine: line,
+      endLine: line,
+      author: info.author,
+      authorEmail: (info['author-mail'] || '').replace(/^<|>$/g, ''),
+      date: info['author-time'] ? formatGitDate(info['author-time'], info['author-tz']) : '',
+      summary: info.summary,
+      filename: info.filename,
+      boundary: info.boundary,
+      lines: [text]
+    });
+  }
+
+  return hunks;
+}
+
+/**
+ * Check whether a hash is the all-zero id git uses for uncommitted changes
+ * @param {string} commit - Commit hash
+ * @returns {boolean} - True for lines that are not committed yet
+ */
+export function isUncommittedHash(commit) {
+  return /^0+$/.test(commit);
+}
+
+/**
+ * Pretty format for parseGitLog: one \x1e-prefixed record per commit with NUL-separated fields,
+ * ended by \x1f so anything git appends (name-status, numstat, patch) can be told apart from the body
+ */
+export const GIT_LOG_FORMAT = '--format=%x1e%H%x00%h%x00%P%x00%an%x00%ae%x00%aI%x00%cn%x00%ce%x00%cI%x00%s%x00%b%x1f';
+
+/**
+ * Parse `git log` output produced with GIT_LOG_FORMAT
+ * @param {string} output - git log output
+ * @returns {Array<Object>} - Commits: { hash, shortHash, parents, author, authorEmail, authorDate, committer, committerEmail, committerDate, subject, body, extra }
+ */
+export function parseGitLog(output) {
+  return output.split('\x1e').filter(record => record.includes('\x1f')).map(record => {
+    const end = record.indexOf('\x1f');
+    const [hash, shortHash, parents, author, authorEmail, authorDate, committer, committerEmail, committerDate, subject, body] = record.slice(0, end).split('\x00');
+    return {
+      hash,
+      shortHash,
+      parents: parents ? parents.split(' ') : [],
+      author,
+      authorEmail,
+      authorDate,
+      committer,
+      committerEmail,
+      committerDate,
+      subject,
+      body: (body || '').trim(),
+      extra: record.slice(end + 1).trim()
+    };
+  });
+}
+
+// Porcelain status letters
+const STATUS_LETTERS = {
+  M: 'modified', T: 'type changed', A: 'added', D: 'deleted', R: 'renamed', C: 'copied', U: 'unmerged'
+};
+
+// Unmerged XY pairs in porcelain status
+const CONFLICT_STATES = {
+  DD: 'both deleted', AU: 'added by us', UD: 'deleted by them', UA: 'added by them',
+  DU: 'deleted by us', AA: 'both added', UU: 'both modified'
+};
+
+/**
+ * Describe a single-letter git change status
+ * @param {string} letter - Status letter such as M, A, D, R
+ * @returns {string} - e.g. 'modified'
+ */
+export function describeStatusLetter(letter) {
+  return STATUS_LETTERS[letter] || letter;
+}
+
+/**
+ * Parse `git status --porcelain=v2 -z --branch` output
+ * Entries are NUL-separated; rename/copy entries carry the original path as the next field
+ * @param {string} output - Porcelain v2 output
+ * @returns {Object} - { branch, staged, unstaged, untracked, renamed, conflicted, ignored, clean }
+ */
+export function parseStatusPorcelainV2(output) {
+  const status = {
+    branch: { head: null, oid: null, detached: false, upstream: null, ahead: null, behind: null },
+    staged: [],
+    unstaged: [],
+    untracked: [],
+    renamed: [],
+    conflicted: [],
+    ignored: [],
+    clean: true
+  };
+
+  const fields = output.split('\x00');
+  for (let i = 0; i < fields.length; i++) {
+    const entry = fields[i];
+    if (!entry) continue;
+
+    if (entry.startsWith('# ')) {
+      const [, key, ...rest] = entry.split(' ');
+      const value = rest.join(' ');
+      if (key === 'branch.oid') status.branch.oid = value === '(initial)' ? null : value;
+      if (key === 'branch.head') {
+        status.branch.detached = value === '(detached)';
+        status.branch.head = status.branch.detached ? null : value;
+      }
+      if (key === 'branch.upstream') status.branch.upstream = value;
+      if (key === 'branch.ab') {
+        const [ahead, behind] = value.match(/-?\d+/g).map(Number);
+        status.branch.ahead = ahead;
+        status.branch.behind = Math.abs(behind);
+      }
+      continue;
+    }
+
+    const type = entry[0];
+    if (type === '?') {
+      status.untracked.push(entry.slice(2));
+      status.clean = false;
+      continue;
+    }
+    if (type === '!') {
+      status.ignored.push(entry.slice(2));
+      continue;
+    }
+
+    // 1 XY sub mH mI mW hH hI path | 2 XY sub mH mI mW hH hI Xscore path \0 origPath | u XY sub m1 m2 m3 mW h1 h2 h3 path
+    const pathFieldIndex = { '1': 8, '2': 9, 'u': 10 }[type];
+    if (pathFieldIndex === undefined) continue;
+    const parts = entry.split(' ');
+    const xy = parts[1];
+    const submodule = parts[2] !== 'N...';
+    const filePath = parts.slice(pathFieldIndex).join(' ');
+    status.clean = false;
+
+    if (type === 'u') {
+      status.conflicted.push({ path: filePath, state: CONFLICT_STATES[xy] || xy, code: xy, submodule });
+      continue;
+    }
+
+    if (type === '2') {
+      const originalPath = fields[++i];
+      const score = parts[8];
+      status.renamed.push({
+        from: originalPath,
+        to: filePath,
+        kind: describeStatusLetter(score[0]),
+        similarity: parseInt(score.slice(1)),
+        submodule
+      });
+    } else if (xy[0] !== '.') {
+      status.staged.push({ path: filePath, status: describeStatusLetter(xy[0]), code: xy[0], submodule });
+    }
+
+    if (xy[1] !== '.') {
+      status.unstaged.push({ path: filePath, status: describeStatusLetter(xy[1]), code: xy[1], submodule });
+    }
+  }
+
+  return status;
+}
+
+/**
+ * Format for `git branch --format` understood by parseBranchList
+ */
+export const GIT_BRANCH_FORMAT = '--format=%(refname)%00%(objectname)%00%(HEAD)%00%(upstream:short)%00%(upstream:track,nobracket)%00%(symref)%00%(committerdate:iso8601-strict)%00%(subject)%00%(authorname)%00%(authoremail:trim)';
+
+/**
+ * Parse `git branch --format` output produced with GIT_BRANCH_FORMAT
+ * @param {string} output - git branch output
+ * @returns {Array<Object>} - Branches: { name, ref, remote, current, commit, upstream, ahead, behind, upstreamGone, symref,
+ *   lastCommitDate, lastCommitSubject, lastCommitAuthor, lastCommitAuthorEmail }
+ */
+export function parseBranchList(output) {
+  return output.split('\n').filter(Boolean).map(row => {
+    const [refname, commit, head, upstream, track, symref, date, subject, author, authorEmail] = row.split('\x00');
+    const remote = refname.startsWith('refs/remotes/');
+    const ahead = track.match(/ahead (\d+)/);
+    const behind = track.match(/behind (\d+)/);
+    return {
+      name: refname.replace(/^refs\/(heads|remotes)\//, ''),
+      ref: refname,
+      remote,
+      current: head === '*',
+      commit,
+      upstream: upstream || null,
+      ahead: upstream ? (ahead ? parseInt(ahead[1]) : 0) : null,
+      behind: upstream ? (behind ? parseInt(behind[1]) : 0) : null,
+      upstreamGone: track === 'gone',
+      symref: symref ? symref.replace(/^refs\/(heads|remotes)\//, '') : null,
+      lastCommitDate: date,
+      lastCommitSubject: subject,
+      lastCommitAuthor: author,
+      lastCommitAuthorEmail: authorEmail
+    };
+  });
+}
+
+/**
+ * Parse `--numstat -z` output into per-file line counts
+ * Renames are "added\tdeleted\t" followed by old and new path as separate fields
+ * @param {string} output - numstat -z output from git diff or git log
+ * @returns {Array<Object>} - Files: { path, oldPath, additions, deletions, binary }
+ */
+export function parseNumstat(output) {
+  const files = [];
+  const fields = output.split('\x00');
+  for (let i = 0; i < fields.length; i++) {
+    // git log -z separates a commit's header from its numstat with a newline
+    const row = fields[i].replace(/^\n/, '');
+    if (!row) continue;
+    const [added, deleted, inlinePath] = row.split('\t');
+    if (inlinePath === undefined) continue;
+    const oldPath = inlinePath === '' ? fields[++i] : null;
+    const filePath = inlinePath === '' ? fields[++i] : inlinePath;
+    const binary = added === '-';
+    files.push({
+      path: filePath,
+      oldPath,
+      additions: binary ? 0 : parseInt(added),
+      deletions: binary ? 0 : parseInt(deleted),
+      binary
+    });
+  }
+  return files;
+}
+
+/**
+ * Parse `git diff --name-status -z` and `git diff --numstat -z` output into per-file changes
+ * @param {string} nameStatus - --name-status -z output
+ * @param {string} numstat - --numstat -z output
+ * @returns {Object} - { files: [{ path, oldPath, status, similarity, additions, deletions, binary }], totals }
+ */
+export function parseDiffSummary(nameStatus, numstat) {
+  const files = [];
+  const byPath = new Map();
+
+  const statusFields = nameStatus.split('\x00');
+  for (let i = 0; i < statusFields.length; i++) {
+    const code = statusFields[i];
+    if (!code) continue;
+    const renamed = code[0] === 'R' || code[0] === 'C';
+    const oldPath = renamed ? statusFields[++i] : null;
+    const filePath = statusFields[++i];
+    const file = {
+      path: filePath,
+      oldPath,
+      status: describeStatusLetter(code[0]),
+      similarity: renamed ? parseInt(code.slice(1)) : null,
+      additions: 0,
+      deletions: 0,
+      binary: false
+    };
+    files.push(file);
+    byPath.set(filePath, file);
+  }
+
+  for (const change of parseNumstat(numstat)) {
+    const file = byPath.get(change.path);
+    if (!file) continue;
+    file.binary = change.binary;
+    file.additions = change.additions;
+    file.deletions = change.deletions;
+  }
+
+  return {
+    files,
+    totals: {
+      files: files.length,
+      additions: files.reduce((sum, file) => sum + file.additions, 0),
+      deletions: files.reduce((sum, file) => sum + file.deletions, 0)
+    }
+  };
+}
+
+// Commits listed in a structured comparison before truncating
+const COMPARE_COMMIT_LIMIT = 100;
+
+/**
+ * Build a structured comparison of two refs: the merge-base diff plus commits on each side
+ * Matches the three-dot diff used by the compare tools' text output
+ * @param {string} from - Base commit or reference
+ * @param {string} to - Compared commit or reference
+ * @param {string} workspacePath - Working directory for Git commands
+ * @param {string} [filePath] - Limit the comparison to one path
+ * @returns {Promise<Object>} - { from, to, ahead, behind, commits, commitsTruncated, files, totals }
+ */
+export async function compareRefs(from, to, workspacePath, filePath) {
+  const pathArgs = filePath ? ['--', filePath] : [];
+  const range = `${from}...${to}`;
+  const strict = { allowTruncation: false };
+  const nameStatus = await runGitCommand(['diff', '--name-status', '-z', '--end-of-options', range, ...pathArgs], workspacePath, strict);
+  const numstat = await runGitCommand(['diff', '--numstat', '-z', '--end-of-options', range, ...pathArgs], workspacePath, strict);
+
+  const commitsOutput = await runGitCommand(['log', GIT_LOG_FORMAT, '--end-of-options', `${from}..${to}`, ...pathArgs], workspacePath, strict);
+  const behindOutput = await runGitCommand(['log', '--format=%H', '--end-of-options', `${to}..${from}`, ...pathArgs], workspacePath, strict);
+  const commits = parseGitLog(commitsOutput).map(({ extra, ...commit }) => commit);
+
+  return {
+    from,
+    to,
+    ahead: commits.length,
+    behind: behindOutput ? behindOutput.split('\n').length : 0,
+    commits: commits.slice(0, COMPARE_COMMIT_LIMIT),
+    commitsTruncated: commits.length > COMPARE_COMMIT_LIMIT,
+    ...parseDiffSummary(nameStatus, numstat)
+  };
+}
+
+/**
+ * Read a small state file from the git directory
+ * @param {string} gitDir - Absolute git directory
+ * @param {string} name - File name relative to the git directory
+ * @returns {Promise<string|null>} - Trimmed first line, or null if the file does not exist
+ */
+async function readGitStateFile(gitDir, name) {
+  try {
+    return (await fs.readFile(path.join(gitDir, name), 'utf-8')).split('\n')[0].trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Detect a merge, rebase, cherry-pick, revert or am that stopped part-way
+ * @param {string} workspacePath - Working directory for Git commands
+ * @returns {Promise<Object|null>} - { operation, ... } with operation-specific details, or null
+ */
+export async function detectGitOperation(workspacePath) {
+  const gitDir = await runGitCommand(['rev-parse', '--absolute-git-dir'], workspacePath);
+  const shortName = ref => ref && ref.replace(/^refs\/heads\//, '');
+
+  const rebaseMerge = path.join(gitDir, 'rebase-merge');
+  if (await readGitStateFile(rebaseMerge, 'head-name') !== null) {
+    return {
+      operation: 'rebase',
+      branch: shortName(await readGitStateFile(rebaseMerge, 'head-name')),
+      onto: await readGitStateFile(rebaseMerge, 'onto'),
+      step: parseInt(await readGitStateFile(rebaseMerge, 'msgnum')) || null,
+      totalSteps: parseInt(await readGitStateFile(rebaseMerge, 'end')) || null,
+      stoppedAt: await readGitStateFile(rebaseMerge, 'stopped-sha')
+    };
+  }
+
+  const rebaseApply = path.join(gitDir, 'rebase-apply');
+  if (await readGitStateFile(rebaseApply, 'next') !== null) {
+    const isAm = await readGitStateFile(rebaseApply, 'applying') !== null;
+    return {
+      operation: isAm ? 'am' : 'rebase',
+      branch: shortName(await readGitStateFile(rebaseApply, 'head-name')),
+      onto: await readGitStateFile(rebaseApply, 'onto'),
+      step: parseInt(await readGitStateFile(rebaseApply, 'next')) || null,
+      totalSteps: parseInt(await readGitStateFile(rebaseApply, 'last')) || null,
+      stoppedAt: null
+    };
+  }
+
+  const mergeHead = await readGitStateFile(gitDir, 'MERGE_HEAD');
+  if (mergeHead) {
+    return { operation: 'merge', head: mergeHead, message: await readGitStateFile(gitDir, 'MERGE_MSG') };
+  }
+
+  const cherryPickHead = await readGitStateFile(gitDir, 'CHERRY_PICK_HEAD');
+  if (cherryPickHead) {
+    return { operation: 'cherry-pick', head: cherryPickHead, message: await readGitStateFile(gitDir, 'MERGE_MSG') };
+  }
+
+  const revertHead = await readGitStateFile(gitDir, 'REVERT_HEAD');
+  if (revertHead) {
+    return { operation: 'revert', head: revertHead, message: await readGitStateFile(gitDir, 'MERGE_MSG') };
+  }
+
+  return null;
+}
+
+/**
+ * Find the repository a path belongs to, so git runs in a submodule or nested repository
+ * instead of silently operating on the workspace's own repository
+ * @param {string} targetPath - Validated absolute path (a file, a directory or a deleted file)
+ * @param {string} workspacePath - Workspace directory
+ * @returns {Promise<Object>} - { cwd, root, path, nested, label }: run git in cwd with path as the pathspec;
+ *   nested is true when the path lives in a different repository than the workspace, label is that
+ *   repository's location relative to the workspace
+ */
+export async function resolveGitRepository(targetPath, workspacePath) {
+  // Deleted or not-yet-created paths: start from the nearest existing directory
+  let directory = targetPath;
+  for (;;) {
+    try {
+      if (!(await fs.stat(directory)).isDirectory()) directory = path.dirname(directory);
+      break;
+    } catch {
+      const parent = path.dirname(directory);
+      if (parent === directory) break;
+      directory = parent;
+    }
+  }
+
+  const root = await runGitCommand(['rev-parse', '--show-toplevel'], directory);
+  const workspaceRoot = await runGitCommand(['rev-parse', '--show-toplevel'], workspacePath).catch(() => null);
+  const nested = path.resolve(root) !== (workspaceRoot && path.resolve(workspaceRoot));
+  // validatePath resolves symlinks, so compare against the real workspace path
+  const realWorkspace = await fs.realpath(workspacePath);
+  const cwd = nested ? root : realWorkspace;
+  return {
+    cwd,
+    root,
+    path: path.relative(cwd, targetPath).split(path.sep).join('/') || '.',
+    nested,
+    label: nested ? path.relative(realWorkspace, root).split(path.sep).join('/') || '.' : null
+  };
+}
+
+/**
+ * Note shown by git tools that ran in a nested repository rather than the workspace's own
+ * @param {Object|null} repo - Result of resolveGitRepository
+ * @returns {string} - Note line ending in a newline, or '' for the workspace repository
+ */
+export function formatRepositoryNote(repo) {
+  return repo && repo.nested ? `📦 Repository: ${repo.label} (submodule or nested repository)\n` : '';
+}
+
+/**
+ * Check whether a repository has uncommitted changes or untracked files
+ * @param {string} repoPath - Working tree to check
+ * @returns {Promise<boolean>} - True if git status reports anything
+ */
+async function hasWorkingTreeChanges(repoPath) {
+  return (await runGitCommand(['status', '--porcelain'], repoPath, { maxOutputBytes: 4096 })) !== '';
+}
+
+/**
+ * List the submodules declared in .gitmodules with the commit recorded by the superproject
+ * and the commit actually checked out
+ * @param {string} repoRoot - Superproject working tree root
+ * @returns {Promise<Array<Object>>} - Submodules: { name, path, url, branch, initialized, recordedCommit,
+ *   checkedOutCommit, checkedOutBranch, commitMatches, dirty, state }
+ */
+export async function listSubmodules(repoRoot) {
+  const declared = await runGitCommand(
+    ['config', '--file', '.gitmodules', '--get-regexp', '^submodule\\..*\\.(path|url|branch)$'],
+    repoRoot
+  ).catch(() => '');
+
+  const byName = new Map();
+  for (const line of declared.split('\n')) {
+    const match = line.match(/^submodule\.(.+)\.(path|url|branch) (.*)$/);
+    if (!match) continue;
+    if (!byName.has(match[1])) byName.set(match[1], { name: match[1], path: null, url: null, branch: null });
+    byName.get(match[1])[match[2]] = match[3];
+  }
+
+  const submodules = [];
+  for (const declaredSubmodule of byName.values()) {
+    if (!declaredSubmodule.path) continue;
+    const submodulePath = path.join(repoRoot, declaredSubmodule.path);
+    const recordedCommit = await spawnGit(['rev-parse', '--verify', '--quiet', '--end-of-options', `HEAD:${declaredSubmodule.path}`], repoRoot, {})
+      .catch(() => null);
+    const initialized = await fs.access(path.join(submodulePath, '.git')).then(() => true, () => false);
+
+    const submodule = {
+      ...declaredSubmodule,
+      initialized,
+      recordedCommit,
+      checkedOutCommit: null,
+      checkedOutBranch: null,
+      commitMatches: null,
+      dirty: null,
+      state: 'not initialized'
+    };
+    if (initialized) {
+      submodule.checkedOutCommit = await runGitCommand(['rev-parse', 'HEAD'], submodulePath).catch(() => null);
+      submodule.checkedOutBranch = await runGitCommand(['branch', '--show-current'], submodulePath).catch(() => '') || null;
+      submodule.commitMatches = submodule.checkedOutCommit === recordedCommit;
+      submodule.dirty = await hasWorkingTreeChanges(submodulePath);
+      submodule.state = !recordedCommit ? 'not committed in superproject'
+        : !submodule.commitMatches ? 'different commit checked out'
+          : submodule.dirty ? 'modified' : 'clean';
+    }
+    submodules.push(submodule);
+  }
+  return submodules;
+}
+
+/**
+ * List the main worktree and linked worktrees of the repository
+ * Read from the git directory, since `git worktree` also has subcommands that change things
+ * @param {string} workspacePath - Working directory for Git commands
+ * @returns {Promise<Array<Object>>} - Worktrees: { path, main, current, bare, head, branch, detached,
+ *   locked, lockReason, prunable, dirty }
+ */
+export async function listWorktrees(workspacePath) {
+  const commonDir = path.resolve(workspacePath, await runGitCommand(['rev-parse', '--git-common-dir'], workspacePath));
+  const currentRoot = await runGitCommand(['rev-parse', '--show-toplevel'], workspacePath).catch(() => null);
+  const bare = path.basename(commonDir) !== '.git';
+
+  const describe = async (worktreePath, adminDir, main) => {
+    const head = await readGitStateFile(adminDir, 'HEAD');
+    const symbolic = head && head.startsWith('ref: ') ? head.slice(5) : null;
+    const exists = await fs.access(worktreePath).then(() => true, () => false);
+    const lockReason = main ? null : await readGitStateFile(adminDir, 'locked');
+    const worktree = {
+      path: worktreePath,
+      main,
+      current: currentRoot !== null && path.resolve(currentRoot) === path.resolve(worktreePath),
+      bare: main && bare,
+      head: symbolic
+        ? await spawnGit(['rev-parse', '--verify', '--quiet', '--end-of-options', symbolic], workspacePath, {}).catch(() => null)
+        : head,
+      branch: symbolic ? symbolic.replace(/^refs\/heads\//, '') : null,
+      detached: !symbolic,
+      locked: lockReason !== null,
+      lockReason: lockReason || null,
+      prunable: !exists,
+      dirty: null
+    };
+    if (exists && !worktree.bare) {
+      worktree.dirty = await hasWorkingTreeChanges(worktreePath).catch(() => null);
+    }
+    return worktree;
+  };
+
+  const worktrees = [await describe(bare ? commonDir : path.dirname(commonDir), commonDir, true)];
+  const adminRoot = path.join(commonDir, 'worktrees');
+  const linked = await fs.readdir(adminRoot).catch(() => []);
+  for (const id of linked.sort()) {
+    const adminDir = path.join(adminRoot, id);
+    // gitdir points at the .git file inside the linked worktree
+    const gitFile = await readGitStateFile(adminDir, 'gitdir');
+    if (!gitFile) continue;
+    worktrees.push(await describe(path.dirname(gitFile), adminDir, false));
+  }
+  return worktrees;
+}
+
+/**
+ * Turn a path or glob tool argument into the repository and pathspec history commands should use
+ * Plain paths are validated and may select a submodule or nested repository; globs such as
+ * 'src/**\/*.js' are matched against paths relative to the workspace
+ * @param {string} [target] - File, directory or glob (default: the whole workspace)
+ * @param {string} workspacePath - Workspace directory
+ * @returns {Promise<Object>} - { repo, cwd, pathspec }: repo is the resolveGitRepository result, or null
+ *   for globs and the whole workspace
+ * @throws {Error} If the glob is absolute or climbs out of the workspace
+ */
+export async function resolveHistoryScope(target, workspacePath) {
+  if (!target || target === '.') {
+    return { repo: null, cwd: workspacePath, pathspec: '.' };
+  }
+  if (/[*?[]/.test(target)) {
+    if (path.isAbsolute(target) || target.split(/[\\/]/).includes('..')) {
+      throw new Error(`Glob '${target}' must be relative to the workspace and cannot contain '..'`);
+    }
+    return { repo: null, cwd: workspacePath, pathspec: `:(glob)${target}` };
+  }
+  const validPath = await validatePath(target, workspacePath);
+  const repo = await resolveGitRepository(validPath, workspacePath);
+  return { repo, cwd: repo.cwd, pathspec: repo.path };
+}
+
+// Author fields go through .mailmap (%aN, %aE) so one person's aliases are counted together
+const CHANGE_HISTORY_FORMAT = '--format=%x1e%H%x00%aN%x00%aE%x00%at%x1f';
+
+/**
+ * Read the line changes of each commit reachable from HEAD
+ * Merge commits are skipped so the changes they bring in are not counted twice
+ * @param {Object} options - History filters
+ * @param {string} [options.since] - Only commits on or after this date (anything git log --since accepts)
+ * @param {string} [options.until] - Only commits on or before this date
+ * @param {string} [options.pathspec='.'] - Limit to this pathspec, relative to workspacePath
+ * @param {string} workspacePath - Working directory for Git commands
+ * @returns {Promise<Array<Object>>} - Commits, newest first: { hash, author, authorEmail, timestamp, files }
+ *   where files are parseNumstat entries with paths relative to the repository root
+ */
+export async function readChangeHistory(options, workspacePath) {
+  const args = ['log', '-z', '--no-merges', '--numstat', CHANGE_HISTORY_FORMAT];
+  if (options.since) args.push(`--since=${options.since}`);
+  if (options.until) args.push(`--until=${options.until}`);
+  args.push('--end-of-options', 'HEAD', '--', options.pathspec || '.');
+
+  const output = await runGitCommand(args, workspacePath, { allowTruncation: false });
+  return output.split('\x1e').filter(record => record.includes('\x1f')).map(record => {
+    const end = record.indexOf('\x1f');
+    const [hash, author, authorEmail, timestamp] = record.slice(0, end).split('\x00');
+    return { hash, author, authorEmail, timestamp: parseInt(timestamp), files: parseNumstat(record.slice(end + 1)) };
+  });
+}
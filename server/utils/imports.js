@@ -0,0 +1,159 @@
+/**
+ * JavaScript/TypeScript import path utilities
+ * Finds relative import/require specifiers and rewrites them when modules move
+ */
+
+import path from 'path';
+import { readTextFile } from './encoding.js';
+
+/**
+ * Extensions of files whose relative imports are tracked
+ */
+export const JS_MODULE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+
+// TypeScript ESM code imports './foo.js' for a './foo.ts' source file
+const TS_EXTENSION_FOR = { '.js': ['.ts', '.tsx'], '.jsx': ['.tsx'], '.mjs': ['.mts'], '.cjs': ['.cts'] };
+
+// import x from '...', export * from '...', import '...', require('...'), import('...')
+const SPECIFIER_PATTERNS = [
+  /(\bfrom\s*)(['"])(\.{1,2}\/[^'"\n]*)\2/g,
+  /(\bimport\s*)(['"])(\.{1,2}\/[^'"\n]*)\2/g,
+  /(\brequire\s*\(\s*)(['"])(\.{1,2}\/[^'"\n]*)\2/g,
+  /(\bimport\s*\(\s*)(['"])(\.{1,2}\/[^'"\n]*)\2/g
+];
+
+/**
+ * Check whether a file's relative imports should be tracked
+ * @param {string} filePath - File path
+ * @returns {boolean} - True for JS/TS source files
+ */
+export function isJsModule(filePath) {
+  return JS_MODULE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Resolve a relative specifier the way bundlers and Node/TypeScript do
+ * @param {string} importerDir - Directory of the importing file
+ * @param {string} specifier - Relative specifier (./ or ../)
+ * @param {Set<string>} knownFiles - Absolute paths of files that exist
+ * @returns {Object|null} - { target, form, writtenExt } or null if unresolved
+ */
+function resolveSpecifier(importerDir, specifier, knownFiles) {
+  const base = path.resolve(importerDir, specifier);
+  const writtenExt = path.extname(specifier);
+
+  if (knownFiles.has(base)) return { target: base, form: 'exact', writtenExt };
+
+  for (const ext of JS_MODULE_EXTENSIONS) {
+    if (knownFiles.has(base + ext)) return { target: base + ext, form: 'noext', writtenExt: '' };
+  }
+
+  for (const ext of TS_EXTENSION_FOR[writtenExt] || []) {
+    const candidate = base.slice(0, -writtenExt.length) + ext;
+    if (knownFiles.has(candidate)) return { target: candidate, form: 'swapext', writtenExt };
+  }
+
+  for (const ext of JS_MODULE_EXTENSIONS) {
+    const candidate = path.join(base, 'index' + ext);
+    if (knownFiles.has(candidate)) return { target: candidate, form: 'index', writtenExt: '' };
+  }
+
+  return null;
+}
+
+/**
+ * Build a relative specifier in the same style as the original one
+ * @param {string} importerDir - New directory of the importing file
+ * @param {string} target - New absolute path of the imported file
+ * @param {Object} resolved - Resolution of the original specifier
+ * @returns {string} - New specifier (always starting with ./ or ../)
+ */
+function buildSpecifier(importerDir, target, resolved) {
+  const ext = path.extname(target);
+  let targetPath = target;
+
+  if (resolved.form === 'index' && path.basename(target, ext) === 'index') {
+    targetPath = path.dirname(target);
+  } else if (resolved.form === 'noext' || resolved.form === 'index') {
+    targetPath = target.slice(0, -ext.length);
+  } else if (resolved.form === 'swapext') {
+    targetPath = target.slice(0, -ext.length) + resolved.writtenExt;
+  }
+
+  let specifier = path.relative(importerDir, targetPath).split(path.sep).join('/');
+  if (specifier === '') specifier = '.';
+  return specifier.startsWith('.') ? specifier : './' + specifier;
+}
+
+/**
+ * Rewrite the relative specifiers in one file after a set of moves
+ * Handles both sides: imports of moved modules, and a moved file's own imports
+ * @param {string} content - File content
+ * @param {string} importerOldPath - Absolute path of the file before the move
+ * @param {string} importerNewPath - Absolute path of the file after the move
+ * @param {Map<string, string>} moves - Old absolute path -> new absolute path
+ * @param {Set<string>} knownFiles - Absolute paths of files that exist before the move
+ * @returns {Object} - { content, rewrites: [{ line, from, to }] }
+ */
+export function rewriteRelativeImports(content, importerOldPath, importerNewPath, moves, knownFiles) {
+  const oldDir = path.dirname(importerOldPath);
+  const newDir = path.dirname(importerNewPath);
+  const rewrites = [];
+  let result = content;
+
+  for (const pattern of SPECIFIER_PATTERNS) {
+    result = result.replace(pattern, (match, prefix, quote, specifier, offset, whole) => {
+      const resolved = resolveSpecifier(oldDir, specifier, knownFiles);
+      if (!resolved) return match;
+
+      const newTarget = moves.get(resolved.target) || resolved.target;
+      if (newTarget === resolved.target && newDir === oldDir) return match;
+
+      const newSpecifier = buildSpecifier(newDir, newTarget, resolved);
+      if (newSpecifier === specifier) return match;
+
+      rewrites.push({
+        line: whole.slice(0, offset).split('\n').length,
+        from: specifier,
+        to: newSpecifier
+      });
+      return `${prefix}${quote}${newSpecifier}${quote}`;
+    });
+  }
+
+  return { content: result, rewrites };
+}
+
+/**
+ * Plan import rewrites across a set of JS/TS files for a set of moves
+ * @param {Array<string>} candidateFiles - Absolute paths of JS/TS files to scan
+ * @param {Map<string, string>} moves - Old absolute path -> new absolute path
+ * @param {Set<string>} knownFiles - Absolute paths of files that exist before the move
+ * @param {Object} [options] - Planning options
+ * @param {boolean} [options.includeImporters=true] - Also rewrite files that are not being moved
+ * @returns {Promise<Array<Object>>} - Changed files: { oldPath, newPath, original, content, rewrites }
+ */
+export async function planImportRewrites(candidateFiles, moves, knownFiles, options = {}) {
+  const includeImporters = options.includeImporters !== false;
+  const planned = [];
+
+  for (const filePath of candidateFiles) {
+    const newPath = moves.get(filePath) || filePath;
+    if (newPath === filePath && !includeImporters) continue;
+    if (!isJsModule(newPath)) continue;
+
+    let original;
+    try {
+      ({ content: original } = await readTextFile(filePath));
+    } catch {
+      continue;
+    }
+
+    const { content, rewrites } = rewriteRelativeImports(original, filePath, newPath, moves, knownFiles);
+    if (rewrites.length > 0) {
+      planned.push({ oldPath: filePath, newPath, original, content, rewrites });
+    }
+  }
+
+  return planned;
+}
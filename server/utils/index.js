@@ -7,15 +7,33 @@
 export {
   normalizePath,
   expandHome,
-  validatePath
+  validatePath,
+  isPathInScope
 } from './path.js';
 
 // Line ending utilities
 export {
+  analyzeLineEndings,
   detectLineEnding,
-  normalizeLineEndings
+  describeLineEnding,
+  formatLineEndingNote,
+  normalizeLineEndings,
+  restoreLineEndings
 } from './line-ending.js';
 
+// Encoding utilities
+export {
+  SNIFF_BYTES,
+  DEFAULT_ENCODING,
+  detectEncoding,
+  describeEncoding,
+  isDefaultEncoding,
+  decodeText,
+  encodeText,
+  readTextFile,
+  sniffFileEncoding
+} from './encoding.js';
+
 // Diff utilities
 export {
   createUnifiedDiff,
@@ -24,20 +42,108 @@ export {
 
 // File operation utilities
 export {
+  preserveFileAttributes,
   writeFileAtomically,
   tailFile,
   headFile,
-  applyFileEdits
+  applyFileEdits,
+  applyEditsToContent
 } from './file.js';
 
+// Replace utilities
+export {
+  escapeRegExp,
+  buildSearchPattern,
+  replaceInContent,
+  formatReplacementSummary
+} from './replace.js';
+
 // Edit utilities
 export {
-  editFileSafely
+  editFileSafely,
+  replaceLines
 } from './edit.js';
 
+// Changeset utilities
+export {
+  CHANGESET_OPERATIONS,
+  planChangeset,
+  commitChangeset,
+  removeCreatedDirectories
+} from './changeset.js';
+
+// Conflict marker utilities
+export {
+  parseConflictMarkers,
+  resolveConflictHunk
+} from './conflict.js';
+
+// Changelog utilities
+export {
+  CHANGELOG_SECTIONS,
+  parseConventionalCommit,
+  findCommitReferences,
+  getRepositoryWebUrl,
+  buildRepositoryLink
+} from './changelog.js';
+
+// Complexity utilities
+export {
+  measureComplexity
+} from './complexity.js';
+
+// Patch utilities
+export {
+  parseUnifiedPatch,
+  applyHunks
+} from './patch.js';
+
+// Import path utilities
+export {
+  JS_MODULE_EXTENSIONS,
+  isJsModule,
+  rewriteRelativeImports,
+  planImportRewrites
+} from './imports.js';
+
+// Version utilities
+export {
+  hashContent,
+  getFileVersion,
+  rememberVersion,
+  formatVersion,
+  checkExpectedHash,
+  assertFileVersion
+} from './version.js';
+
 // Git utilities
 export {
-  runGitCommand
+  runGitCommand,
+  runGitWriteCommand,
+  verifyGitRef,
+  parseGitLimit,
+  resolveGitDateRange,
+  isWithinDateRange,
+  readReflog,
+  formatGitDate,
+  parseBlamePorcelain,
+  isUncommittedHash,
+  GIT_LOG_FORMAT,
+  parseGitLog,
+  describeStatusLetter,
+  parseStatusPorcelainV2,
+  GIT_BRANCH_FORMAT,
+  parseBranchList,
+  parseNumstat,
+  parseDiffSummary,
+  compareRefs,
+  detectGitOperation,
+  resolveGitRepository,
+  formatRepositoryNote,
+  listSubmodules,
+  listWorktrees,
+  resolveHistoryScope,
+  readChangeHistory
 } from './git.js';
 
 // Logger utilities
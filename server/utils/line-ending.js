@@ -3,17 +3,58 @@
  * Handles different line ending formats (CRLF, LF, CR) consistently
  */
 
+import { diffArrays } from 'diff';
+
+/**
+ * Count each kind of line ending in content
+ * @param {string} content - Text content to analyze
+ * @returns {Object} - { crlf, lf, cr, mixed } where mixed means more than one kind is used
+ */
+export function analyzeLineEndings(content) {
+  const crlf = (content.match(/\r\n/g) || []).length;
+  const lf = (content.match(/\n/g) || []).length - crlf;
+  const cr = (content.match(/\r/g) || []).length - crlf;
+  const kinds = [crlf, lf, cr].filter(count => count > 0).length;
+  return { crlf, lf, cr, mixed: kinds > 1 };
+}
+
 /**
  * Detect the line ending format used in content
+ * Mixed files report their most common ending (new lines are written with it)
  * @param {string} content - Text content to analyze
  * @returns {string} - Line ending format ('\r\n', '\r', or '\n')
  */
 export function detectLineEnding(content) {
-  if (content.includes('\r\n')) return '\r\n';
-  if (content.includes('\r')) return '\r';
+  const { crlf, lf, cr } = analyzeLineEndings(content);
+  if (crlf > 0 && crlf >= lf && crlf >= cr) return '\r\n';
+  if (cr > 0 && cr > lf) return '\r';
   return '\n';
 }
 
+/**
+ * Describe a line ending for tool responses
+ * @param {string} lineEnding - '\r\n', '\r' or '\n'
+ * @returns {string} - 'CRLF', 'CR' or 'LF'
+ */
+export function describeLineEnding(lineEnding) {
+  return lineEnding === '\r\n' ? 'CRLF' : lineEnding === '\r' ? 'CR' : 'LF';
+}
+
+/**
+ * Warn about inconsistent line endings
+ * @param {string} content - Original file content
+ * @returns {string} - Warning line, or '' when the file is consistent
+ */
+export function formatLineEndingNote(content) {
+  const analysis = analyzeLineEndings(content);
+  if (!analysis.mixed) return '';
+  const counts = [['CRLF', analysis.crlf], ['LF', analysis.lf], ['CR', analysis.cr]]
+    .filter(([, count]) => count > 0)
+    .map(([name, count]) => `${count} ${name}`)
+    .join(', ');
+  return `⚠️ Mixed line endings (${counts}) - untouched lines keep their own ending, new lines use ${describeLineEnding(detectLineEnding(content))}`;
+}
+
 /**
  * Normalize line endings to Unix format (\n)
  * @param {string} text - Text with potentially mixed line endings
@@ -22,3 +63,51 @@ export function detectLineEnding(content) {
 export function normalizeLineEndings(text) {
   return text.replace(/\r\n/g, '\n');
 }
+
+/**
+ * Convert edited \n-normalized content back to the original file's line endings
+ * Consistent files get their single ending everywhere. In mixed files, lines that
+ * the edit did not touch keep the ending they had, changed lines take the ending of
+ * the line they replace, and extra new lines get the most common ending, so an
+ * edit never rewrites unrelated lines.
+ * @param {string} originalContent - Content before the edit, with its real endings
+ * @param {string} editedContent - Edited content using \n line endings
+ * @returns {string} - Edited content with line endings restored
+ */
+export function restoreLineEndings(originalContent, editedContent) {
+  const lineEnding = detectLineEnding(originalContent);
+  if (!analyzeLineEndings(originalContent).mixed) {
+    return lineEnding === '\n' ? editedContent : editedContent.split('\n').join(lineEnding);
+  }
+
+  const pieces = originalContent.split(/(\r\n|\n)/);
+  const originalLines = pieces.filter((_, index) => index % 2 === 0);
+  const originalEndings = pieces.filter((_, index) => index % 2 === 1);
+  const editedLines = editedContent.split('\n');
+
+  let result = '';
+  let originalIndex = 0;
+  let editedIndex = 0;
+  let replacedEndings = [];
+  for (const part of diffArrays(originalLines, editedLines)) {
+    if (part.removed) {
+      // Endings of removed lines are reused by the lines added in their place
+      replacedEndings = originalEndings.slice(originalIndex, originalIndex + part.value.length);
+      originalIndex += part.value.length;
+      continue;
+    }
+    for (const line of part.value) {
+      let ending;
+      if (part.added) {
+        ending = replacedEndings.shift() || lineEnding;
+      } else {
+        ending = originalEndings[originalIndex] ?? lineEnding;
+        originalIndex++;
+      }
+      result += line + (editedIndex === editedLines.length - 1 ? '' : ending);
+      editedIndex++;
+    }
+    if (!part.added) replacedEndings = [];
+  }
+  return result;
+}
@@ -0,0 +1,273 @@
+/**
+ * Unified diff parsing and application utilities
+ * Parses multi-file (git-style or plain) unified diffs and applies hunks
+ * with configurable fuzz and offset tolerance
+ */
+
+import { restoreLineEndings } from './line-ending.js';
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+/**
+ * Clean a path from a ---/+++ or diff --git header
+ * @param {string} rawPath - Path as written in the patch
+ * @param {number|null} strip - Leading components to strip (null = strip a/ and b/ prefixes)
+ * @returns {string|null} - Cleaned path, or null for /dev/null
+ */
+function cleanPatchPath(rawPath, strip) {
+  let filePath = rawPath.split('\t')[0].trim();
+  if (filePath.startsWith('"') && filePath.endsWith('"')) {
+    filePath = filePath.slice(1, -1);
+  }
+  if (filePath === '/dev/null') return null;
+
+  if (strip === null || strip === undefined) {
+    return filePath.replace(/^[ab]\//, '');
+  }
+  return filePath.split('/').slice(strip).join('/');
+}
+
+/**
+ * Parse a multi-file unified diff
+ * Understands git extended headers (new/deleted file, rename from/to) and plain diff -u output
+ * @param {string} patchText - Patch content
+ * @param {number|null} [strip=null] - Leading path components to strip (null = auto a/ b/)
+ * @returns {Array<Object>} - File patches: { oldPath, newPath, isNew, isDeleted, isRename, hunks }
+ * @throws {Error} If the patch is malformed or contains binary changes
+ */
+export function parseUnifiedPatch(patchText, strip = null) {
+  const lines = patchText.replace(/\r\n/g, '\n').split('\n');
+  const files = [];
+  let current = null;
+
+  const startFile = () => {
+    current = { oldPath: null, newPath: null, isNew: false, isDeleted: false, isRename: false, hunks: [] };
+    files.push(current);
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const gitHeader = line.match(/^diff --git (\S+) (\S+)$/);
+    if (gitHeader) {
+      startFile();
+      current.oldPath = cleanPatchPath(gitHeader[1], strip);
+      current.newPath = cleanPatchPath(gitHeader[2], strip);
+      current.git = true;
+      continue;
+    }
+
+    if (line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ')) {
+      // Plain diffs start a new file at every ---; git diffs already started one
+      if (!current || !current.git || current.hunks.length > 0 || current.sawHeader) {
+        startFile();
+      }
+      current.sawHeader = true;
+      current.oldPath = cleanPatchPath(line.slice(4), strip);
+      current.newPath = cleanPatchPath(lines[i + 1].slice(4), strip);
+      if (current.oldPath === null) current.isNew = true;
+      if (current.newPath === null) current.isDeleted = true;
+      i++;
+      continue;
+    }
+
+    if (!current) continue;
+
+    if (line.startsWith('new file mode')) {
+      current.isNew = true;
+    } else if (line.startsWith('deleted file mode')) {
+      current.isDeleted = true;
+    } else if (line.startsWith('rename from ')) {
+      current.isRename = true;
+      current.oldPath = cleanPatchPath(line.slice('rename from '.length), 0);
+    } else if (line.startsWith('rename to ')) {
+      current.isRename = true;
+      current.newPath = cleanPatchPath(line.slice('rename to '.length), 0);
+    } else if (line.startsWith('copy from ') || line.startsWith('copy to ')) {
+      throw new Error(`Copy patches are not supported (${current.newPath || current.oldPath})`);
+    } else if (line.startsWith('GIT binary patch') || line.startsWith('Binary files ')) {
+      throw new Error(`Binary patches are not supported (${current.newPath || current.oldPath})`);
+    } else if (HUNK_HEADER.test(line)) {
+      const [, oldStart, oldLines, newStart, newLines] = line.match(HUNK_HEADER);
+      const hunk = {
+        header: line,
+        oldStart: parseInt(oldStart),
+        oldLines: oldLines === undefined ? 1 : parseInt(oldLines),
+        newStart: parseInt(newStart),
+        newLines: newLines === undefined ? 1 : parseInt(newLines),
+        lines: []
+      };
+
+      // Consume exactly as many body lines as the header announces
+      let oldCount = 0;
+      let newCount = 0;
+      while (oldCount < hunk.oldLines || newCount < hunk.newLines || lines[i + 1]?.startsWith('\\')) {
+        const bodyLine = lines[++i];
+        if (bodyLine === undefined) {
+          throw new Error(`Truncated hunk ${hunk.header} in ${current.newPath || current.oldPath}`);
+        }
+        // Some tools drop the space prefix from empty context lines
+        const marker = bodyLine === '' ? ' ' : bodyLine[0];
+        if (marker === ' ') { oldCount++; newCount++; }
+        else if (marker === '-') oldCount++;
+        else if (marker === '+') newCount++;
+        else if (marker !== '\\') {
+          throw new Error(`Unexpected line in hunk ${hunk.header} of ${current.newPath || current.oldPath}: ${bodyLine}`);
+        }
+        hunk.lines.push(bodyLine === '' ? ' ' : bodyLine);
+      }
+      current.hunks.push(hunk);
+    }
+  }
+
+  const result = files.filter(file => file.hunks.length > 0 || file.isRename || file.isNew || file.isDeleted);
+  if (result.length === 0) {
+    throw new Error('No file changes found in patch - expected unified diff format (--- / +++ / @@ headers)');
+  }
+  for (const file of result) {
+    delete file.sawHeader;
+    delete file.git;
+    if (!file.oldPath && !file.newPath) {
+      throw new Error('Patch contains a file section without a path');
+    }
+  }
+  return result;
+}
+
+/**
+ * Split content into lines, remembering whether it ends with a newline
+ * @param {string} content - File content
+ * @returns {Object} - { lines, endsWithNewline }
+ */
+function splitContent(content) {
+  if (content === '') return { lines: [], endsWithNewline: true };
+  const lines = content.split(/\r\n|\n|\r/);
+  const endsWithNewline = lines[lines.length - 1] === '';
+  if (endsWithNewline) lines.pop();
+  return { lines, endsWithNewline };
+}
+
+/**
+ * Check whether a block of lines matches the file at a position
+ * @param {Array<string>} fileLines - File lines
+ * @param {Array<string>} block - Lines to find
+ * @param {number} position - Start index
+ * @returns {boolean} - True on exact match
+ */
+function matchesAt(fileLines, block, position) {
+  if (position < 0 || position + block.length > fileLines.length) return false;
+  return block.every((line, j) => fileLines[position + j] === line);
+}
+
+/**
+ * Apply parsed hunks to file content
+ * Each hunk is first tried at its expected position (adjusted by earlier hunks),
+ * then up to maxOffset lines away, then with up to `fuzz` context lines ignored
+ * at each end. Failed hunks are reported and skipped.
+ * @param {string} content - Original file content ('' for new files)
+ * @param {Array<Object>} hunks - Hunks from parseUnifiedPatch
+ * @param {Object} [options] - Matching options
+ * @param {number} [options.fuzz=2] - Max context lines to ignore at each end of a hunk
+ * @param {number} [options.maxOffset=100] - Max distance in lines from the expected position
+ * @returns {Object} - { content, results: [{ hunk, status, line, offset, fuzz, reason }] }
+ */
+export function applyHunks(content, hunks, options = {}) {
+  const fuzz = options.fuzz ?? 2;
+  const maxOffset = options.maxOffset ?? 100;
+  const { lines, endsWithNewline } = splitContent(content);
+  let finalNewline = endsWithNewline;
+
+  const results = [];
+  let delta = 0;       // Net lines added by hunks applied so far
+  let minPosition = 0; // Hunks must apply in order and never overlap
+
+  for (const [index, hunk] of hunks.entries()) {
+    const oldSide = [];
+    const newSide = [];
+    let noNewlineOld = false;
+    let noNewlineNew = false;
+    let previousMarker = null;
+
+    for (const line of hunk.lines) {
+      const marker = line[0];
+      if (marker === '\\') {
+        if (previousMarker === '-' || previousMarker === ' ') noNewlineOld = true;
+        if (previousMarker === '+' || previousMarker === ' ') noNewlineNew = true;
+        continue;
+      }
+      if (marker !== '+') oldSide.push(line.slice(1));
+      if (marker !== '-') newSide.push(line.slice(1));
+      previousMarker = marker;
+    }
+
+    const leadingContext = hunk.lines.findIndex(line => line[0] !== ' ');
+    const trailingContext = [...hunk.lines].reverse().filter(line => line[0] !== '\\').findIndex(line => line[0] !== ' ');
+
+    // Unified diffs use the preceding line number for pure insertions
+    const expected = (hunk.oldLines === 0 ? hunk.oldStart : hunk.oldStart - 1) + delta;
+    let applied = null;
+
+    for (let level = 0; level <= fuzz && !applied; level++) {
+      const trimStart = Math.min(level, Math.max(leadingContext, 0));
+      const trimEnd = Math.min(level, Math.max(trailingContext, 0));
+      if (level > 0 && trimStart === 0 && trimEnd === 0) break;
+
+      const oldBlock = oldSide.slice(trimStart, oldSide.length - trimEnd);
+      const newBlock = newSide.slice(trimStart, newSide.length - trimEnd);
+
+      if (oldBlock.length === 0) {
+        // Fuzz trimmed every context line away: nothing is left to verify the position with
+        if (level > 0) break;
+        // A pure insertion has nothing to match against: insert at the expected position
+        const position = Math.min(Math.max(expected, minPosition), lines.length);
+        applied = { position, oldBlock, newBlock, offset: position - expected, level };
+        break;
+      }
+
+      for (let offset = 0; offset <= maxOffset && !applied; offset++) {
+        for (const candidate of offset === 0 ? [expected] : [expected - offset, expected + offset]) {
+          const position = candidate + trimStart;
+          if (position >= minPosition && matchesAt(lines, oldBlock, position)) {
+            applied = { position, oldBlock, newBlock, offset: candidate - expected, level };
+            break;
+          }
+        }
+      }
+    }
+
+    if (!applied) {
+      results.push({
+        hunk: index + 1,
+        header: hunk.header,
+        status: 'failed',
+        reason: `context not found within ±${maxOffset} lines of line ${expected + 1} (fuzz ${fuzz})`
+      });
+      continue;
+    }
+
+    lines.splice(applied.position, applied.oldBlock.length, ...applied.newBlock);
+    delta += applied.newBlock.length - applied.oldBlock.length;
+    minPosition = applied.position + applied.newBlock.length;
+
+    // End-of-file newline markers only matter for hunks touching the last line
+    if (minPosition >= lines.length) {
+      if (noNewlineNew) finalNewline = false;
+      else if (noNewlineOld) finalNewline = true;
+    }
+
+    results.push({
+      hunk: index + 1,
+      header: hunk.header,
+      status: 'applied',
+      line: applied.position + 1,
+      offset: applied.offset,
+      fuzz: applied.level
+    });
+  }
+
+  const joined = lines.join('\n');
+  return {
+    content: restoreLineEndings(content, lines.length > 0 && finalNewline ? joined + '\n' : joined),
+    results
+  };
+}
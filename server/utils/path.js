@@ -6,6 +6,7 @@
 import path from 'path';
 import os from 'os';
 import fs from 'fs/promises';
+import { minimatch } from 'minimatch';
 
 /**
  * Normalize a file path for consistent handling
@@ -33,10 +34,13 @@ export function expandHome(filepath) {
  * Ensures paths are within the workspace and prevents directory traversal attacks
  * @param {string} requestedPath - Path to validate
  * @param {string} workspacePath - Base workspace path
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.allowMissingParents=false] - Accept a new path whose parent directories do not
+ *   exist yet, as long as the nearest existing ancestor is inside the workspace
  * @returns {Promise<string>} - Validated absolute path
  * @throws {Error} If path is outside workspace or invalid
  */
-export async function validatePath(requestedPath, workspacePath) {
+export async function validatePath(requestedPath, workspacePath, options = {}) {
   const expandedPath = expandHome(requestedPath);
   const absolute = path.isAbsolute(expandedPath)
     ? path.resolve(expandedPath)
@@ -67,7 +71,18 @@ export async function validatePath(requestedPath, workspacePath) {
   } catch (error) {
     // For new files that don't exist yet, verify parent directory
     if (error.code === 'ENOENT') {
-      const parentDir = path.dirname(absolute);
+      let parentDir = path.dirname(absolute);
+      if (options.allowMissingParents) {
+        // Climb to the nearest ancestor that exists; the caller creates the rest
+        while (parentDir !== path.dirname(parentDir)) {
+          try {
+            await fs.lstat(parentDir);
+            break;
+          } catch {
+            parentDir = path.dirname(parentDir);
+          }
+        }
+      }
       try {
         const realParentPath = await fs.realpath(parentDir);
         const normalizedParent = normalizePath(realParentPath);
@@ -85,3 +100,24 @@ export async function validatePath(requestedPath, workspacePath) {
     throw error;
   }
 }
+
+/**
+ * Check a workspace-relative path against a search scope
+ * Globs are matched against the '/'-separated relative path, dotfiles included
+ * @param {string} relativePath - Path relative to the workspace
+ * @param {Object} scope - Scope to check
+ * @param {string} [scope.glob] - Glob the path must match
+ * @param {boolean} [scope.matchBase=false] - Match a glob without a slash against the file name in any directory
+ * @param {Array<string>} [scope.include] - The path must match one of these globs
+ * @param {Array<string>} [scope.exclude] - The path must match none of these globs
+ * @returns {boolean} - True if the path is in scope
+ */
+export function isPathInScope(relativePath, { glob, matchBase = false, include, exclude }) {
+  const posixPath = relativePath.split(path.sep).join('/');
+  const options = { dot: true };
+
+  if (glob && !minimatch(posixPath, glob, { ...options, matchBase })) return false;
+  if (include?.length && !include.some(pattern => minimatch(posixPath, pattern, options))) return false;
+  if (exclude?.some(pattern => minimatch(posixPath, pattern, options))) return false;
+  return true;
+}
@@ -0,0 +1,168 @@
+/**
+ * Find-and-replace utilities
+ * Literal and regular expression replacement with per-match line/column reporting
+ */
+
+import { normalizeLineEndings, restoreLineEndings } from './line-ending.js';
+import { PERFORMANCE_LIMITS } from '../constants.js';
+
+// Matches listed individually in a replacement summary
+const SUMMARY_LIMIT = 50;
+
+// Longest match/replacement text shown in a summary line
+const SUMMARY_TEXT_LENGTH = 60;
+
+/**
+ * Escape a literal string for use inside a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} - Escaped pattern source
+ */
+export function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the global regular expression for a search
+ * @param {string} search - Literal text or regex source
+ * @param {Object} [options] - Search options
+ * @param {boolean} [options.regex=false] - Treat search as a regular expression
+ * @param {boolean} [options.wholeWord=false] - Only match whole identifiers (not next to letters, digits, _ or $)
+ * @param {boolean} [options.ignoreCase=false] - Case-insensitive matching
+ * @param {boolean} [options.multiline=false] - ^ and $ match at line boundaries
+ * @param {boolean} [options.dotAll=false] - . also matches newlines
+ * @returns {RegExp} - Pattern with the g flag set
+ * @throws {Error} If the regular expression is invalid
+ */
+export function buildSearchPattern(search, options = {}) {
+  if (typeof search !== 'string' || search === '') {
+    throw new Error('Search text must be a non-empty string');
+  }
+
+  let source = options.regex ? search : escapeRegExp(normalizeLineEndings(search));
+  if (options.wholeWord) {
+    source = `(?<![\\w$])(?:${source})(?![\\w$])`;
+  }
+  const flags = 'g' + (options.ignoreCase ? 'i' : '') + (options.multiline ? 'm' : '') + (options.dotAll ? 's' : '');
+  try {
+    return new RegExp(source, flags);
+  } catch (error) {
+    throw new Error(`${error.message} - escape special characters or turn off regex mode`);
+  }
+}
+
+/**
+ * Expand $-substitutions in a regex replacement template for one match
+ * Follows String.prototype.replace: $$, $&, $`, $', $1-$99 and $<name>
+ * @param {string} template - Replacement template
+ * @param {RegExpMatchArray} match - Match from matchAll
+ * @param {string} content - Full searched content
+ * @returns {string} - Expanded replacement
+ */
+function expandReplacement(template, match, content) {
+  const groupCount = match.length - 1;
+  return template.replace(/\$(\$|&|`|'|\d{1,2}|<([^>]*)>)/g, (token, spec, name) => {
+    if (spec === '$') return '$';
+    if (spec === '&') return match[0];
+    if (spec === '`') return content.slice(0, match.index);
+    if (spec === "'") return content.slice(match.index + match[0].length);
+    if (name !== undefined) {
+      if (!match.groups) return token;
+      return match.groups[name] ?? '';
+    }
+
+    // $nn uses two digits only when that group exists, otherwise $n followed by a digit
+    const twoDigit = parseInt(spec);
+    if (spec.length === 2 && twoDigit >= 1 && twoDigit <= groupCount) return match[twoDigit] ?? '';
+    const oneDigit = parseInt(spec[0]);
+    if (oneDigit >= 1 && oneDigit <= groupCount) return (match[oneDigit] ?? '') + spec.slice(1);
+    return token;
+  });
+}
+
+/**
+ * Replace literal text or regex matches in content
+ * Line endings are normalized for matching and restored afterwards
+ * @param {string} originalContent - Content to search
+ * @param {string} search - Literal text or regex source
+ * @param {string} replacement - Replacement text ($-substitutions apply in regex mode)
+ * @param {Object} [options] - Replacement options (plus buildSearchPattern options)
+ * @param {boolean} [options.replaceAll=false] - Replace every match instead of the first
+ * @param {number} [options.maxReplacements] - Refuse when more matches than this would be replaced
+ * @returns {Object} - { content, matches: [{ line, column, text, replacement }] }
+ * @throws {Error} If the pattern is invalid or the safety cap is exceeded
+ */
+export function replaceInContent(originalContent, search, replacement, options = {}) {
+  const content = normalizeLineEndings(originalContent);
+  const template = normalizeLineEndings(replacement);
+  const pattern = buildSearchPattern(search, options);
+  const maxReplacements = options.maxReplacements ?? PERFORMANCE_LIMITS.MAX_REPLACEMENTS;
+
+  const found = [];
+  for (const match of content.matchAll(pattern)) {
+    found.push(match);
+    if (!options.replaceAll) break;
+    if (found.length > maxReplacements) {
+      throw new Error(`Refusing to replace more than ${maxReplacements} matches of ${options.regex ? `/${search}/` : JSON.stringify(search)} - narrow the search or raise max_replacements`);
+    }
+  }
+
+  const matches = [];
+  let result = '';
+  let lastIndex = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  for (const match of found) {
+    // Advance the line counter up to this match
+    for (let i = lastIndex; i < match.index; i++) {
+      if (content[i] === '\n') {
+        line++;
+        lineStart = i + 1;
+      }
+    }
+
+    const newText = options.regex ? expandReplacement(template, match, content) : template;
+    matches.push({ line, column: match.index - lineStart + 1, text: match[0], replacement: newText });
+    result += content.slice(lastIndex, match.index) + newText;
+
+    // Count newlines inside the match so the next match's line stays correct
+    for (let i = match.index; i < match.index + match[0].length; i++) {
+      if (content[i] === '\n') {
+        line++;
+        lineStart = i + 1;
+      }
+    }
+    lastIndex = match.index + match[0].length;
+  }
+  result += content.slice(lastIndex);
+
+  return {
+    content: restoreLineEndings(originalContent, result),
+    matches
+  };
+}
+
+/**
+ * Shorten match text for a one-line summary
+ * @param {string} text - Match or replacement text
+ * @returns {string} - Quoted, escaped and truncated text
+ */
+function summarizeText(text) {
+  const shown = text.length > SUMMARY_TEXT_LENGTH ? text.slice(0, SUMMARY_TEXT_LENGTH) + '…' : text;
+  return JSON.stringify(shown);
+}
+
+/**
+ * Format a per-match replacement summary
+ * @param {Array<Object>} matches - Matches from replaceInContent
+ * @returns {string} - Human-readable summary
+ */
+export function formatReplacementSummary(matches) {
+  const lines = matches
+    .slice(0, SUMMARY_LIMIT)
+    .map(match => `• line ${match.line}, col ${match.column}: ${summarizeText(match.text)} → ${summarizeText(match.replacement)}`);
+  if (matches.length > SUMMARY_LIMIT) {
+    lines.push(`... and ${matches.length - SUMMARY_LIMIT} more`);
+  }
+  return `🔁 ${matches.length} replacement${matches.length === 1 ? '' : 's'}:\n${lines.join('\n')}`;
+}
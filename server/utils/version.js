@@ -0,0 +1,143 @@
+/**
+ * File version utilities
+ * Content hashing and optimistic concurrency checks so edits never clobber
+ * changes made (e.g. in an IDE) after the agent last read a file
+ */
+
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import { createHash } from 'crypto';
+import { createUnifiedDiff, formatDiff } from './diff.js';
+import { detectEncoding, decodeText, describeEncoding, isDefaultEncoding } from './encoding.js';
+import { PERFORMANCE_LIMITS } from '../constants.js';
+
+// Content the agent has seen, keyed by hash - used as the base of three-way conflict diffs
+const versionCache = new Map();
+
+/**
+ * Hash file content
+ * @param {string|Buffer} content - Content to hash (strings are hashed as UTF-8)
+ * @returns {string} - SHA-256 hex digest
+ */
+export function hashContent(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Get the current version of a file without loading it into memory
+ * @param {string} filePath - File to inspect
+ * @returns {Promise<Object>} - { hash, mtime, size }
+ */
+export async function getFileVersion(filePath) {
+  const stats = await fs.stat(filePath);
+  const hash = await new Promise((resolve, reject) => {
+    const hasher = createHash('sha256');
+    createReadStream(filePath)
+      .on('data', chunk => hasher.update(chunk))
+      .on('end', () => resolve(hasher.digest('hex')))
+      .on('error', reject);
+  });
+  return { hash, mtime: stats.mtime, size: stats.size };
+}
+
+/**
+ * Remember content the agent has read so a later conflict can show what changed
+ * @param {string} hash - Content hash
+ * @param {string} content - Content as returned to the agent
+ */
+export function rememberVersion(hash, content) {
+  versionCache.delete(hash);
+  versionCache.set(hash, content);
+  while (versionCache.size > PERFORMANCE_LIMITS.MAX_VERSION_CACHE_ENTRIES) {
+    versionCache.delete(versionCache.keys().next().value);
+  }
+}
+
+/**
+ * Format a version line for tool responses
+ * @param {Object} version - Version from getFileVersion (optionally with an encoding)
+ * @returns {string} - Formatted version note
+ */
+export function formatVersion(version) {
+  const encodingNote = version.encoding && !isDefaultEncoding(version.encoding)
+    ? `\n🔤 Encoding: ${describeEncoding(version.encoding)} - edits keep this encoding`
+    : '';
+  return `📌 Version: hash=${version.hash} mtime=${version.mtime.toISOString()} size=${version.size}\n` +
+         `Pass expected_hash to write tools to refuse the edit if the file changes in the meantime` +
+         encodingNote;
+}
+
+/**
+ * Decode file content for display in a conflict diff
+ * @param {string|Buffer} content - Content as stored or read from disk
+ * @returns {string} - Text content
+ */
+function contentText(content) {
+  if (typeof content === 'string') return content;
+  const encoding = detectEncoding(content);
+  return encoding.name === 'binary' ? '(binary content)\n' : decodeText(content, encoding).content;
+}
+
+/**
+ * Refuse an edit when the file no longer matches the version the agent expected
+ * The error carries a three-way view: what changed on disk since the agent's read,
+ * and what the agent intended to change relative to that same base
+ * @param {string} displayPath - Path shown in messages
+ * @param {string|Buffer|null} currentContent - Current content on disk (null if missing)
+ * @param {string} [expectedHash] - Hash the agent last saw; no check when omitted
+ * @param {Function} [proposeFromBase] - (baseContent) => intended new content
+ * @throws {Error} If the current content does not match expectedHash
+ */
+export function checkExpectedHash(displayPath, currentContent, expectedHash, proposeFromBase) {
+  if (!expectedHash) return;
+
+  const currentHash = currentContent === null ? '(file does not exist)' : hashContent(currentContent);
+  if (currentHash === expectedHash) return;
+
+  const lines = [
+    `❌ CONFLICT: ${displayPath} has changed since you read it - edit refused`,
+    `• Expected hash: ${expectedHash}`,
+    `• Current hash:  ${currentHash}`,
+    ''
+  ];
+
+  const base = versionCache.get(expectedHash);
+  const current = currentContent === null ? '' : contentText(currentContent);
+  if (base !== undefined) {
+    lines.push('Changes made since your read (base → current):');
+    lines.push(formatDiff(createUnifiedDiff(base, current, displayPath)).trimEnd() + '\n');
+    if (proposeFromBase) {
+      try {
+        lines.push('Your intended change (base → yours):');
+        lines.push(formatDiff(createUnifiedDiff(base, proposeFromBase(base), displayPath)).trimEnd() + '\n');
+      } catch (error) {
+        lines.push(`(could not apply your change to the base version: ${error.message})\n`);
+      }
+    }
+  } else {
+    lines.push('(The version you expected is not in this session\'s read history, so no diff is available)\n');
+  }
+
+  lines.push(`🔧 TROUBLESHOOTING:\n1. Use 'read_file ${displayPath}' to get the current content and hash\n2. Re-apply your change on top of the current content\n3. Pass the new hash as expected_hash`);
+  throw new Error(lines.join('\n'));
+}
+
+/**
+ * Read a file and check it against an expected hash before editing it
+ * @param {string} filePath - Validated absolute file path
+ * @param {string} displayPath - Path shown in messages
+ * @param {string} [expectedHash] - Hash the agent last saw; no check when omitted
+ * @param {Function} [proposeFromBase] - (baseContent) => intended new content
+ * @throws {Error} If the file changed since the expected version
+ */
+export async function assertFileVersion(filePath, displayPath, expectedHash, proposeFromBase) {
+  if (!expectedHash) return;
+
+  let currentContent = null;
+  try {
+    currentContent = await fs.readFile(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  checkExpectedHash(displayPath, currentContent, expectedHash, proposeFromBase);
+}